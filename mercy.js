@@ -6,16 +6,35 @@
  * This file combines all M.E.R.C.Y integration functionality:
  * - Integration initialization
  * - Integration validation
+ * - Integration testing with mocked Discord objects
+ * - Integration packaging (signed, reproducible archives)
+ * - Marketplace publishing (with a local stand-in marketplace server)
+ * - Integration host that loads integrations and injects the M.E.R.C.Y API
+ * - Sandboxed execution in worker threads with the manifest's resource limits
  * - Integration template class
  * 
  * Usage:
- *   Import as module: import { initIntegration, validateIntegration, IntegrationTemplate } from './mercy.js'
- *   Run as CLI: node mercy.js init|validate
+ *   Import as module: import { initIntegration, validateIntegration, testIntegration, packageIntegration, publishIntegration, IntegrationHost, IntegrationTemplate } from './mercy.js'
+ *   Run as CLI: node mercy.js init|validate|test|package|verify|publish|status|marketplace|run
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import os from 'os';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import http from 'http';
+import net from 'net';
+import dns from 'dns';
+import * as acorn from 'acorn';
+import * as walk from 'acorn-walk';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Worker, MessageChannel, isMainThread, parentPort, workerData, receiveMessageOnPort } from 'worker_threads';
+import Module from 'module';
+import { AsyncLocalStorage } from 'async_hooks';
+import assert from 'assert';
 import readline from 'readline';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -34,989 +53,7077 @@ async function loadDiscordJS() {
     return EmbedBuilder;
 }
 
+// Lazy load axios only when an integration sends a request through this.http
+let axios;
+async function loadAxios() {
+    if (!axios) {
+        axios = (await import('axios')).default;
+    }
+    return axios;
+}
+
 // ============================================================================
 // PART 1: INTEGRATION TEMPLATE CLASS
 // ============================================================================
 
+// Rate limits applied when the manifest's resources.rateLimits does not override them
+const DEFAULT_RATE_LIMITS = {
+    guild: { limit: 100, interval: 60 * 1000 },
+    user: { limit: 20, interval: 60 * 1000 },
+    methods: {
+        sendWebhook: { limit: 30, interval: 60 * 1000 },
+        http: { limit: 60, interval: 60 * 1000 },
+        onWebhook: { limit: 60, interval: 60 * 1000 }
+    }
+};
+
+// discord.js methods that send or edit messages, and so count against the rate limits
+const DISCORD_SEND_METHODS = ['send', 'reply', 'followUp', 'editReply', 'update'];
+
+// Rate-limited proxy -> the Discord object it wraps
+const RATE_LIMITED_ORIGINALS = new WeakMap();
+
 /**
- * M.E.R.C.Y Integration Template
- * 
- * This is the base template for creating M.E.R.C.Y integrations.
- * Replace this template with your integration logic.
- * 
- * IMPORTANT: Do not modify the export structure or class name.
+ * Token bucket holding up to `limit` tokens, refilled evenly over `interval` milliseconds
  */
-export class IntegrationTemplate {
-    constructor(config) {
-        this.config = config;
-        this.client = null; // Will be injected by M.E.R.C.Y
-        this.guild = null; // Will be injected by M.E.R.C.Y
-        this.settings = new Map(); // Integration-specific settings
-        this.version = '1.0.0';
+class TokenBucket {
+    constructor({ limit, interval }) {
+        this.limit = limit;
+        this.interval = interval;
+        this.tokens = limit;
+        this.updatedAt = Date.now();
     }
 
-    /**
-     * Called when integration is loaded and activated
-     * Use this method for initialization logic
-     */
-    async onLoad() {
-        console.log(`[${this.config.name}] Integration loaded successfully`);
-        
-        // Initialize integration settings
-        await this.loadSettings();
-        
-        // Perform any setup tasks
-        await this.initialize();
-        
-        return true;
+    refill(now) {
+        this.tokens = Math.min(this.limit, this.tokens + ((now - this.updatedAt) * this.limit) / this.interval);
+        this.updatedAt = now;
     }
 
     /**
-     * Called when integration is unloaded or disabled
-     * Use this method for cleanup tasks
+     * Milliseconds until a token is available (0 if one is available now)
      */
-    async onUnload() {
-        console.log(`[${this.config.name}] Integration unloaded`);
-        
-        // Clean up resources
-        await this.cleanup();
-        
-        return true;
+    retryAfter(now) {
+        this.refill(now);
+        return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) * this.interval) / this.limit);
+    }
+
+    get full() {
+        return this.tokens >= this.limit;
+    }
+}
+
+/**
+ * Per-guild, per-user and per-method token-bucket rate limiter
+ */
+export class RateLimiter {
+    constructor(limits = {}) {
+        this.limits = {
+            guild: limits.guild || DEFAULT_RATE_LIMITS.guild,
+            user: limits.user || DEFAULT_RATE_LIMITS.user,
+            methods: { ...DEFAULT_RATE_LIMITS.methods, ...limits.methods }
+        };
+        this.buckets = new Map();
+    }
+
+    bucket(key, limit) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, new TokenBucket(limit));
+        }
+        return this.buckets.get(key);
     }
 
     /**
-     * Initialize the integration
-     * Override this method with your initialization logic
+     * Take a token from every bucket that applies, or from none of them
+     * Returns null when the call may go ahead, otherwise a rate limit error (not thrown).
      */
-    async initialize() {
-        // Example initialization
-        this.startTime = Date.now();
-        this.commandCount = 0;
-        this.eventCount = 0;
+    consume({ guildId, userId, method } = {}) {
+        const now = Date.now();
+        const scopes = [];
+        if (guildId) scopes.push(['guild', `guild:${guildId}`, this.limits.guild]);
+        if (userId) scopes.push(['user', `user:${userId}`, this.limits.user]);
+        if (method && Object.hasOwn(this.limits.methods, method)) scopes.push(['method', `method:${method}`, this.limits.methods[method]]);
+
+        const checked = scopes.map(([scope, key, limit]) => {
+            const bucket = this.bucket(key, limit);
+            return { scope, limit, bucket, retryAfter: bucket.retryAfter(now) };
+        });
+
+        const blocked = checked.filter(check => check.retryAfter > 0).sort((a, b) => b.retryAfter - a.retryAfter)[0];
+        if (blocked) {
+            return Object.assign(new Error(`Rate limited (${blocked.scope}${method ? ` ${method}` : ''}): retry after ${blocked.retryAfter}ms`), {
+                code: 'ERR_MERCY_RATE_LIMITED',
+                scope: blocked.scope,
+                method: method || null,
+                retryAfter: blocked.retryAfter,
+                limit: blocked.limit.limit,
+                interval: blocked.limit.interval
+            });
+        }
+
+        checked.forEach(check => check.bucket.tokens--);
+        this.prune();
+        return null;
     }
 
     /**
-     * Clean up resources
-     * Override this method with your cleanup logic
+     * Wrap an async function so every call consumes a token first
      */
-    async cleanup() {
-        // Example cleanup
-        this.commandCount = 0;
-        this.eventCount = 0;
+    wrap(method, fn, context = {}) {
+        return async (...args) => {
+            const error = this.consume({ ...context, method });
+            if (error) throw error;
+            return fn(...args);
+        };
     }
 
     /**
-     * Load integration settings from database
+     * Drop buckets that have refilled completely, so idle users do not accumulate
      */
-    async loadSettings() {
-        try {
-            const savedSettings = await this.getStoredSettings();
-            if (savedSettings) {
-                this.settings = new Map(Object.entries(savedSettings));
-            } else {
-                // Load default settings from config
-                this.settings = new Map(Object.entries(this.config.defaultSettings || {}));
+    prune() {
+        if (this.buckets.size < 1000) return;
+        const now = Date.now();
+        for (const [key, bucket] of this.buckets) {
+            bucket.refill(now);
+            if (bucket.full) this.buckets.delete(key);
+        }
+    }
+}
+
+/**
+ * Wrap a Discord object so sends made through it (or anything reached from it) are rate limited
+ * `context` carries the guild and the user that triggered the event being handled.
+ */
+export function rateLimitDiscord(value, limiter, context = {}, proxies = new WeakMap()) {
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return value;
+    if (proxies.has(value)) return proxies.get(value);
+    if (RATE_LIMITED_ORIGINALS.has(value)) return value;
+
+    const wrap = (result) => rateLimitDiscord(result, limiter, context, proxies);
+    const proxy = new Proxy(value, {
+        get(target, prop) {
+            const result = Reflect.get(target, prop);
+            const descriptor = Reflect.getOwnPropertyDescriptor(target, prop);
+            if (descriptor && !descriptor.configurable && !descriptor.writable) return result;
+            if (typeof result !== 'function') return wrap(result);
+
+            // Methods run against the original object, so built-ins like Map keep working
+            return function (...args) {
+                if (DISCORD_SEND_METHODS.includes(prop)) {
+                    const error = limiter.consume({ ...context, method: prop });
+                    if (error) return Promise.reject(error);
+                }
+                const output = Reflect.apply(result, target, args.map(arg => RATE_LIMITED_ORIGINALS.get(arg) ?? arg));
+                return typeof output?.then === 'function' ? output.then(wrap) : wrap(output);
+            };
+        }
+    });
+
+    proxies.set(value, proxy);
+    RATE_LIMITED_ORIGINALS.set(proxy, value);
+    return proxy;
+}
+
+/**
+ * The user an event was triggered by, if any
+ */
+function getEventUserId(payload) {
+    return payload?.author?.id ?? payload?.user?.id ?? payload?.moderator?.id ?? payload?.executorId ?? null;
+}
+
+// Stored alongside the setting values to record which manifest version wrote them
+const SETTINGS_VERSION_KEY = '$version';
+
+// Raw IDs, or the mention syntax Discord uses for each kind of entity
+const SNOWFLAKE_PATTERNS = {
+    channel: /^(?:<#)?(\d{17,20})>?$/,
+    role: /^(?:<@&)?(\d{17,20})>?$/,
+    user: /^(?:<@!?)?(\d{17,20})>?$/
+};
+
+const GUILD_MANAGERS = { channel: 'channels', role: 'roles', user: 'members' };
+
+/**
+ * Check that a channel, role or member exists in a guild
+ * Only members are fetched when missing from the cache; channels and roles are always cached.
+ */
+async function guildHasEntity(guild, type, id) {
+    const manager = guild[GUILD_MANAGERS[type]];
+    if (manager?.cache?.has(id)) return true;
+    if (type !== 'user' || typeof manager?.fetch !== 'function') return false;
+    try {
+        return Boolean(await manager.fetch(id));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check a setting value against its manifest definition and convert it to the declared type
+ * Missing optional values become null. Throws an ERR_MERCY_INVALID_SETTING error otherwise.
+ */
+export async function coerceSetting(key, definition, value, guild = null) {
+    const invalid = (reason) => Object.assign(new Error(`Invalid value for setting "${key}": ${reason}`), {
+        code: 'ERR_MERCY_INVALID_SETTING',
+        setting: key,
+        reason
+    });
+
+    const missing = value === undefined || value === null || (value === '' && (definition.type !== 'string' || definition.required));
+    if (missing) {
+        if (definition.required) throw invalid('a value is required');
+        return null;
+    }
+
+    switch (definition.type) {
+        case 'string':
+            if (!['string', 'number', 'boolean'].includes(typeof value)) throw invalid('expected a string');
+            return String(value);
+
+        case 'number': {
+            const number = typeof value === 'string' ? Number(value.trim()) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) throw invalid(`expected a number, got ${JSON.stringify(value)}`);
+            if (definition.min !== undefined && number < definition.min) throw invalid(`must be at least ${definition.min}`);
+            if (definition.max !== undefined && number > definition.max) throw invalid(`must be at most ${definition.max}`);
+            return number;
+        }
+
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (value === 'true' || value === 'false') return value === 'true';
+            throw invalid(`expected true or false, got ${JSON.stringify(value)}`);
+
+        case 'choice': {
+            const choices = (definition.choices || []).map(choice => choice.value);
+            if (!choices.includes(String(value))) throw invalid(`expected one of ${choices.join(', ')}`);
+            return String(value);
+        }
+
+        case 'channel':
+        case 'role':
+        case 'user': {
+            const id = typeof value === 'object' ? value.id : String(value).match(SNOWFLAKE_PATTERNS[definition.type])?.[1];
+            if (!id) throw invalid(`expected a ${definition.type} ID or mention, got ${JSON.stringify(value)}`);
+            if (guild && !await guildHasEntity(guild, definition.type, id)) {
+                throw invalid(`${definition.type} ${id} does not exist in this server`);
+            }
+            return id;
+        }
+
+        default:
+            throw invalid(`unknown setting type ${definition.type}`);
+    }
+}
+
+/**
+ * Compare two x.y.z version strings, returning a negative number, zero or a positive number
+ */
+function compareVersions(a, b) {
+    const parse = (version) => String(version).split('-')[0].split('.').map(part => Number.parseInt(part, 10) || 0);
+    const left = parse(a);
+    const right = parse(b);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const difference = (left[i] || 0) - (right[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Find problems in manifest setting definitions that the schema cannot express
+ */
+export async function checkSettingDefinitions(settings = {}) {
+    const problems = [];
+    for (const [key, definition] of Object.entries(settings)) {
+        if (!definition || typeof definition !== 'object') continue;
+        if (definition.type === 'choice' && !definition.choices?.length) {
+            problems.push(`Setting "${key}" is a choice but declares no choices`);
+        }
+        if (definition.min !== undefined && definition.max !== undefined && definition.min > definition.max) {
+            problems.push(`Setting "${key}" has min ${definition.min} greater than max ${definition.max}`);
+        }
+        if (definition.default !== undefined) {
+            try {
+                await coerceSetting(key, definition, definition.default);
+            } catch (error) {
+                problems.push(`Setting "${key}" has an invalid default: ${error.reason}`);
             }
-        } catch (error) {
-            console.error(`[${this.config.name}] Failed to load settings:`, error);
-            this.settings = new Map();
         }
     }
+    return problems;
+}
+
+// Manifest option types -> Discord application command option type and discord.js getter
+const COMMAND_OPTION_TYPES = {
+    string: { code: 3, getter: 'getString' },
+    integer: { code: 4, getter: 'getInteger' },
+    boolean: { code: 5, getter: 'getBoolean' },
+    user: { code: 6, getter: 'getUser' },
+    channel: { code: 7, getter: 'getChannel' },
+    role: { code: 8, getter: 'getRole' },
+    mentionable: { code: 9, getter: 'getMentionable' },
+    number: { code: 10, getter: 'getNumber' },
+    attachment: { code: 11, getter: 'getAttachment' }
+};
+
+// Discord permission bits for the permissions a manifest can declare
+const PERMISSION_FLAGS = {
+    KickMembers: 1n << 1n,
+    BanMembers: 1n << 2n,
+    AddReactions: 1n << 6n,
+    ViewChannel: 1n << 10n,
+    SendMessages: 1n << 11n,
+    ManageMessages: 1n << 13n,
+    EmbedLinks: 1n << 14n,
+    AttachFiles: 1n << 15n,
+    ReadMessageHistory: 1n << 16n,
+    UseExternalEmojis: 1n << 18n,
+    ManageRoles: 1n << 28n,
+    UseSlashCommands: 1n << 31n,
+    ManageThreads: 1n << 34n,
+    CreatePublicThreads: 1n << 35n,
+    CreatePrivateThreads: 1n << 36n,
+    ModerateMembers: 1n << 40n
+};
+
+/**
+ * Convert a manifest command definition into a Discord application command payload
+ */
+export function buildCommandPayload(command) {
+    const payload = {
+        name: command.name,
+        description: command.description,
+        type: 1, // CHAT_INPUT
+        dm_permission: false,
+        options: (command.options || []).map(option => ({
+            name: option.name,
+            description: option.description,
+            type: COMMAND_OPTION_TYPES[option.type].code,
+            required: option.required ?? false,
+            ...(option.autocomplete && { autocomplete: true }),
+            ...(option.choices && { choices: option.choices }),
+            ...(option.min !== undefined && { min_value: option.min }),
+            ...(option.max !== undefined && { max_value: option.max })
+        }))
+    };
+
+    if (command.permissions?.length) {
+        const bits = command.permissions.reduce((flags, permission) => flags | PERMISSION_FLAGS[permission], 0n);
+        payload.default_member_permissions = bits.toString();
+    }
+    return payload;
+}
+
+/**
+ * Read a command's declared options from an interaction, using the getter for each type
+ */
+function parseCommandOptions(command, interaction) {
+    const options = {};
+    for (const option of command.options || []) {
+        const { getter } = COMMAND_OPTION_TYPES[option.type];
+        options[option.name] = interaction.options[getter](option.name, option.required ?? false);
+    }
+    return options;
+}
+
+// Discord's limit on customId length, and the length of the state signature inside it
+const CUSTOM_ID_MAX_LENGTH = 100;
+const COMPONENT_SIGNATURE_LENGTH = 12;
+
+/**
+ * Sign a component's namespaced name and state payload with the integration's component key
+ */
+function signComponentState(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest('base64url').slice(0, COMPONENT_SIGNATURE_LENGTH);
+}
+
+// Log levels in increasing severity; entries below an integration's level are dropped
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LOG_LEVEL = 'info';
+const REDACTED = '[REDACTED]';
+const LOG_MAX_DEPTH = 5;
+
+// Fields whose values never reach the log store, and credentials embedded in text
+const SECRET_FIELD_PATTERN = /token|secret|password|passphrase|authorization|cookie|credential|api[-_]?key|private[-_]?key/i;
+const SECRET_VALUE_PATTERNS = [
+    /[MNO][\w-]{23,27}\.[\w-]{6}\.[\w-]{27,38}/g, // Discord bot tokens
+    /\bBearer\s+[\w.~+/-]+=*/gi
+];
+
+// The event and correlation id of the hook being handled, read by every logger call it makes
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Copy a value for the log store, replacing secret fields and credentials in strings
+ * Errors keep their name, message, code and stack; other class instances are stringified.
+ */
+function redactLogValue(value, depth = 0) {
+    if (typeof value === 'string') {
+        return SECRET_VALUE_PATTERNS.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+    }
+    if (typeof value === 'bigint') return value.toString();
+    if (value === null || typeof value !== 'object') return typeof value === 'function' ? undefined : value;
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= LOG_MAX_DEPTH) return '[Truncated]';
+
+    if (value instanceof Error) {
+        return redactLogValue({
+            name: value.name,
+            message: value.message,
+            ...(value.code !== undefined && { code: value.code }),
+            stack: value.stack
+        }, depth);
+    }
+    if (Array.isArray(value)) return value.map(item => redactLogValue(item, depth + 1));
+
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) return redactLogValue(String(value), depth);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_FIELD_PATTERN.test(key) ? REDACTED : redactLogValue(item, depth + 1)
+    ]));
+}
+
+/**
+ * Print a log record as one console line, for hosts without a log store
+ */
+export function writeConsoleLog(record) {
+    const fields = Object.keys(record.fields || {}).length > 0 ? ` ${JSON.stringify(record.fields)}` : '';
+    const context = record.correlationId ? ` (${record.event} ${record.correlationId.slice(0, 8)})` : '';
+    const line = `[${record.integration}] ${record.level.toUpperCase()} ${record.message}${context}${fields}`;
+    if (record.level === 'error') {
+        console.error(line);
+    } else if (record.level === 'warn') {
+        console.warn(line);
+    } else {
+        console.log(line);
+    }
+}
+
+/**
+ * Structured, leveled logger available to every integration as `this.logger`
+ *
+ * Each record carries the integration, guild, event and correlation id of the hook being
+ * handled, with secrets redacted, and is written to the host's log store through
+ * `writeLog`. The level comes from the host, then the manifest's `logging.level`.
+ */
+export class IntegrationLogger {
+    constructor(integration, fields = {}) {
+        this.integration = integration;
+        this.fields = fields;
+    }
+
+    get level() {
+        return this.integration.logLevel ?? this.integration.config.logging?.level ?? DEFAULT_LOG_LEVEL;
+    }
+
+    isLevelEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+    }
 
     /**
-     * Save integration settings to database
+     * A logger that adds `fields` to every record it writes
      */
-    async saveSettings() {
+    child(fields) {
+        return new IntegrationLogger(this.integration, { ...this.fields, ...fields });
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    log(level, message, fields = {}) {
+        if (!Object.hasOwn(LOG_LEVELS, level)) {
+            throw Object.assign(new Error(`Unknown log level "${level}"`), { code: 'ERR_MERCY_LOG_LEVEL' });
+        }
+        if (!this.isLevelEnabled(level)) return;
+
+        const { integration } = this;
+        const context = logContext.getStore();
+        const record = {
+            level,
+            message: redactLogValue(String(message)),
+            integration: integration.config.name,
+            guild: integration.guild?.id ?? null,
+            event: context?.event ?? null,
+            correlationId: context?.correlationId ?? null,
+            fields: redactLogValue({ ...this.fields, ...(fields instanceof Error ? { error: fields } : fields) }),
+            timestamp: new Date()
+        };
+
+        // Logging never throws into the integration; without a log store, records go to the console
         try {
-            const settingsObject = Object.fromEntries(this.settings);
-            await this.updateStoredSettings(settingsObject);
-        } catch (error) {
-            console.error(`[${this.config.name}] Failed to save settings:`, error);
+            Promise.resolve(integration.writeLog(record)).catch(() => writeConsoleLog(record));
+        } catch {
+            writeConsoleLog(record);
         }
     }
+}
+
+// Metrics recorded for every integration by M.E.R.C.Y itself
+const HOOK_DURATION_METRIC = 'mercy_hook_duration_seconds';
+const HOOK_ERRORS_METRIC = 'mercy_hook_errors_total';
+const COMMANDS_METRIC = 'mercy_commands_total';
+const LIFECYCLE_HOOKS = ['onLoad', 'onUnload'];
+
+const METRIC_TYPES = ['counter', 'gauge', 'histogram'];
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const METRIC_LABEL_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const DEFAULT_HISTOGRAM_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// Each label combination is a separate series; this stops unbounded labels such as user ids
+const MAX_SERIES_PER_METRIC = 1000;
+// Counts updates dropped because their metric already had MAX_SERIES_PER_METRIC series, labelled by metric
+const DROPPED_SERIES_METRIC = 'mercy_metric_updates_dropped_total';
+
+/**
+ * Accept both `inc(value)` and `inc(labels, value)` argument orders
+ */
+function splitMetricArgs(labels, value, defaultValue) {
+    if (typeof labels === 'number') return [{}, labels];
+    return [labels || {}, value ?? defaultValue];
+}
+
+/**
+ * Escape a label value or help text for the Prometheus text format
+ */
+function escapePrometheus(text, quoted = true) {
+    const escaped = String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+    return quoted ? escaped.replace(/"/g, '\\"') : escaped;
+}
+
+function formatPrometheusLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapePrometheus(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Counters, gauges and histograms, keyed by name and label values
+ *
+ * The host keeps one registry for every integration it runs and gives each instance a
+ * MetricsScope labelled with its integration, guild and version, so the numbers outlive
+ * reloads and can be compared between versions.
+ */
+export class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map(); // name -> { type, help, buckets, series: Map(label key -> series) }
+    }
 
     /**
-     * Handle Discord message events
-     * Override this method to process messages
+     * Declare a metric, or return the existing one with the same name and type
      */
-    async onMessage(message) {
-        // Example message handling
-        this.eventCount++;
-        
-        // Don't process bot messages
-        if (message.author.bot) return;
-        
-        // Example: respond to mentions
-        if (message.mentions.has(this.client.user)) {
-            await this.handleMention(message);
+    define(type, name, help = '', buckets = DEFAULT_HISTOGRAM_BUCKETS) {
+        if (!METRIC_TYPES.includes(type) || !METRIC_NAME_PATTERN.test(name)) {
+            throw Object.assign(new Error(`Invalid ${type} name "${name}"`), { code: 'ERR_MERCY_METRIC' });
         }
+        const existing = this.metrics.get(name);
+        if (existing) {
+            if (existing.type !== type) {
+                throw Object.assign(new Error(`Metric "${name}" is already a ${existing.type}`), { code: 'ERR_MERCY_METRIC' });
+            }
+            if (help && !existing.help) existing.help = help;
+            return existing;
+        }
+
+        const metric = { type, help, series: new Map() };
+        if (type === 'histogram') metric.buckets = [...buckets].sort((a, b) => a - b);
+        this.metrics.set(name, metric);
+        return metric;
     }
 
     /**
-     * Handle member join events
-     * Override this method to process new members
+     * The series for one label combination, created empty on first use
      */
-    async onMemberJoin(member) {
-        this.eventCount++;
-        
-        // Example member join handling
-        const welcomeChannel = this.settings.get('welcomeChannel');
-        const welcomeMessage = this.settings.get('welcomeMessage') || 'Welcome to the server!';
-        
-        if (welcomeChannel) {
-            const channel = this.guild.channels.cache.get(welcomeChannel);
-            if (channel) {
-                await channel.send({
-                    content: welcomeMessage.replace('{user}', member.toString()),
-                    embeds: [await this.createWelcomeEmbed(member)]
-                });
+    series(name, labels) {
+        const metric = this.metrics.get(name);
+        const invalid = Object.keys(labels).find(label => !METRIC_LABEL_PATTERN.test(label) || label === 'le');
+        if (invalid) {
+            throw Object.assign(new Error(`Invalid label "${invalid}" on metric "${name}"`), { code: 'ERR_MERCY_METRIC' });
+        }
+
+        const normalized = Object.fromEntries(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)).map(([key, value]) => [key, String(value)]));
+        const key = JSON.stringify(normalized);
+        let series = metric.series.get(key);
+        if (!series) {
+            series = metric.type === 'histogram'
+                ? { labels: normalized, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+                : { labels: normalized, value: 0 };
+            // Past the limit the update goes to a series that is never kept
+            if (metric.series.size >= MAX_SERIES_PER_METRIC) {
+                this.countDropped(name);
+            } else {
+                metric.series.set(key, series);
             }
         }
+        return series;
     }
 
     /**
-     * Handle member leave events
-     * Override this method to process member departures
+     * Count an update dropped because `name` is at MAX_SERIES_PER_METRIC, warning the first time
      */
-    async onMemberLeave(member) {
-        this.eventCount++;
-        
-        // Example member leave handling
-        console.log(`[${this.config.name}] Member left: ${member.user.tag}`);
+    countDropped(name) {
+        const dropped = this.define('counter', DROPPED_SERIES_METRIC, `Metric updates dropped because the metric already had ${MAX_SERIES_PER_METRIC} label combinations`);
+        const key = JSON.stringify({ metric: name });
+        const series = dropped.series.get(key);
+        if (series) {
+            series.value++;
+            return;
+        }
+        dropped.series.set(key, { labels: { metric: name }, value: 1 });
+        console.warn(`⚠️  Metric "${name}" has ${MAX_SERIES_PER_METRIC} label combinations; updates for new ones are dropped and counted in ${DROPPED_SERIES_METRIC}`);
     }
 
     /**
-     * Handle moderation actions
-     * Override this method to process moderation events
+     * Apply one update: `inc` and `set` for counters and gauges, `observe` for histograms
      */
-    async onModerationAction(action) {
-        this.eventCount++;
-        
-        // Example moderation action handling
-        console.log(`[${this.config.name}] Moderation action: ${action.type} by ${action.moderator.tag} on ${action.target.tag}`);
+    record(name, operation, labels, value) {
+        const metric = this.metrics.get(name);
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw Object.assign(new Error(`Metric "${name}" needs a numeric value`), { code: 'ERR_MERCY_METRIC' });
+        }
+        if ((metric.type === 'histogram') !== (operation === 'observe') || (metric.type === 'counter' && operation === 'set')) {
+            throw Object.assign(new Error(`${metric.type} "${name}" does not support ${operation}()`), { code: 'ERR_MERCY_METRIC' });
+        }
+        if (metric.type === 'counter' && value < 0) {
+            throw Object.assign(new Error(`Counter "${name}" can only be increased`), { code: 'ERR_MERCY_METRIC' });
+        }
+
+        const series = this.series(name, labels);
+        if (operation === 'observe') {
+            const bucket = metric.buckets.findIndex(bound => value <= bound);
+            if (bucket !== -1) series.counts[bucket]++;
+            series.sum += value;
+            series.count++;
+        } else {
+            series.value = operation === 'set' ? value : series.value + value;
+        }
     }
 
     /**
-     * Handle Discord interactions (slash commands, buttons, etc.)
-     * Override this method to process interactions
+     * A view whose metrics all carry `labels`, as handed to an integration instance
      */
-    async onInteraction(interaction) {
-        this.commandCount++;
+    scope(labels) {
+        return new MetricsScope(this, labels);
+    }
+
+    /**
+     * Plain-object copy of every metric, optionally only the series matching `labels`
+     */
+    snapshot(labels = {}) {
+        const matches = (series) => Object.entries(labels).every(([key, value]) => series.labels[key] === String(value));
+        const snapshot = [];
+        for (const [name, { type, help, buckets, series }] of this.metrics) {
+            const selected = [...series.values()].filter(matches).map(entry => structuredClone(entry));
+            if (selected.length > 0) snapshot.push({ name, type, help, ...(buckets && { buckets }), series: selected });
+        }
+        return snapshot;
+    }
+
+    /**
+     * Load a snapshot taken earlier, replacing the series it contains
+     */
+    restore(snapshot) {
+        for (const { name, type, help, buckets, series } of snapshot) {
+            const metric = this.define(type, name, help, buckets);
+            for (const entry of series) {
+                metric.series.set(JSON.stringify(entry.labels), structuredClone(entry));
+            }
+        }
+    }
+
+    /**
+     * Render every metric in the Prometheus text exposition format
+     */
+    toPrometheus() {
+        const lines = [];
+        for (const { name, type, help, buckets, series } of this.snapshot()) {
+            if (help) lines.push(`# HELP ${name} ${escapePrometheus(help, false)}`);
+            lines.push(`# TYPE ${name} ${type}`);
+            for (const entry of series) {
+                if (type !== 'histogram') {
+                    lines.push(`${name}${formatPrometheusLabels(entry.labels)} ${entry.value}`);
+                    continue;
+                }
+                let cumulative = 0;
+                buckets.forEach((bound, index) => {
+                    cumulative += entry.counts[index];
+                    lines.push(`${name}_bucket${formatPrometheusLabels({ ...entry.labels, le: bound })} ${cumulative}`);
+                });
+                lines.push(`${name}_bucket${formatPrometheusLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${formatPrometheusLabels(entry.labels)} ${entry.sum}`);
+                lines.push(`${name}_count${formatPrometheusLabels(entry.labels)} ${entry.count}`);
+            }
+        }
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+}
+
+/**
+ * An integration's view of a MetricsRegistry, available as `this.metrics`
+ * Labels passed to a metric are combined with the scope's, which cannot be overridden.
+ */
+export class MetricsScope {
+    constructor(registry, labels = {}) {
+        this.registry = registry;
+        this.labels = labels;
+    }
+
+    counter(name, help) {
+        this.registry.define('counter', name, help);
+        return new Metric(this, name);
+    }
+
+    gauge(name, help) {
+        this.registry.define('gauge', name, help);
+        return new Metric(this, name);
+    }
+
+    histogram(name, help, buckets) {
+        this.registry.define('histogram', name, help, buckets);
+        return new Metric(this, name);
+    }
+
+    record(name, operation, labels, value) {
+        this.registry.record(name, operation, { ...labels, ...this.labels }, value);
+    }
+
+    /**
+     * This scope's metrics, without the scope's own labels
+     */
+    snapshot() {
+        return this.registry.snapshot(this.labels).map(metric => ({
+            ...metric,
+            series: metric.series.map(({ labels, ...values }) => ({
+                labels: Object.fromEntries(Object.entries(labels).filter(([key]) => !Object.hasOwn(this.labels, key))),
+                ...values
+            }))
+        }));
+    }
+}
+
+/**
+ * Handle for one metric returned by MetricsScope.counter(), gauge() and histogram()
+ */
+class Metric {
+    constructor(scope, name) {
+        this.scope = scope;
+        this.name = name;
+    }
+
+    inc(labels, value) {
+        this.scope.record(this.name, 'inc', ...splitMetricArgs(labels, value, 1));
+    }
+
+    dec(labels, value) {
+        const [resolved, amount] = splitMetricArgs(labels, value, 1);
+        this.scope.record(this.name, 'inc', resolved, -amount);
+    }
+
+    set(labels, value) {
+        this.scope.record(this.name, 'set', ...splitMetricArgs(labels, value));
+    }
+
+    observe(labels, value) {
+        this.scope.record(this.name, 'observe', ...splitMetricArgs(labels, value));
+    }
+
+    /**
+     * Start timing; the returned function observes the elapsed seconds and returns them
+     */
+    startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return () => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.observe(labels, seconds);
+            return seconds;
+        };
+    }
+}
+
+/**
+ * Run a hook, recording its latency and any error in the integration's metrics
+ * A failure to record is ignored, so the hook's result or error always comes through unchanged.
+ */
+async function measureHook(metrics, hook, run) {
+    const started = process.hrtime.bigint();
+    let failed = false;
+    try {
+        return await run();
+    } catch (error) {
+        failed = true;
+        throw error;
+    } finally {
+        try {
+            if (failed) metrics.counter(HOOK_ERRORS_METRIC, 'Hook calls that threw').inc({ hook });
+            metrics.histogram(HOOK_DURATION_METRIC, 'Time spent in integration hooks')
+                .observe({ hook }, Number(process.hrtime.bigint() - started) / 1e9);
+        } catch {
+            // Metrics are best effort
+        }
+    }
+}
+
+// Limits on storage names; record size is capped by the manifest's resources.maxFileSize
+const STORAGE_COLLECTION_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const STORAGE_KEY_MAX_LENGTH = 256;
+const DEFAULT_STORAGE_RECORD_SIZE = 1048576;
+
+function storageError(message, fields = {}) {
+    return Object.assign(new Error(message), { code: 'ERR_MERCY_STORAGE', ...fields });
+}
+
+/**
+ * An integration's data storage in one guild, available as `this.storage`
+ *
+ * Records live in named collections that other integrations and guilds cannot see.
+ * Values must be JSON-serializable; `ttl` (milliseconds) makes a record expire.
+ */
+export class IntegrationStorage {
+    constructor(store, integrationId, guildId, { maxRecordSize = DEFAULT_STORAGE_RECORD_SIZE } = {}) {
+        this.store = store;
+        this.integrationId = integrationId;
+        this.guildId = guildId;
+        this.maxRecordSize = maxRecordSize;
+    }
+
+    /**
+     * A handle for one collection, e.g. `this.storage.collection('warnings')`
+     */
+    collection(name) {
+        if (typeof name !== 'string' || !STORAGE_COLLECTION_PATTERN.test(name)) {
+            throw storageError(`Invalid collection name "${name}": use up to 64 letters, digits, "-" and "_"`);
+        }
+        return new StorageCollection(this, name);
+    }
+
+    /**
+     * Records in any collection keyed by a user's id, as `{ collection, key, value, updatedAt, expiresAt }`
+     */
+    async findUserRecords(userId) {
+        const records = await this.store.find(entry => this.owns(entry) && isUserKey(entry.key, userId));
+        return records.map(({ collection, key, value, updatedAt, expiresAt }) => ({ collection, key, value, updatedAt, expiresAt }));
+    }
+
+    /**
+     * Delete the records keyed by a user's id; resolves to how many were removed
+     */
+    async deleteUserRecords(userId) {
+        return this.store.remove(entry => this.owns(entry) && isUserKey(entry.key, userId));
+    }
+
+    owns({ integrationId, guildId }) {
+        return integrationId === this.integrationId && guildId === this.guildId;
+    }
+}
+
+/**
+ * Whether a storage key belongs to a user: their id, or their id followed by ":"
+ */
+function isUserKey(key, userId) {
+    return key === userId || key.startsWith(`${userId}:`);
+}
+
+/**
+ * get/set/delete/query/increment on one collection of an IntegrationStorage
+ */
+class StorageCollection {
+    constructor(storage, name) {
+        this.storage = storage;
+        this.name = name;
+    }
+
+    scope(key) {
+        if (key !== undefined && (typeof key !== 'string' || key.length === 0 || key.length > STORAGE_KEY_MAX_LENGTH)) {
+            throw storageError(`Storage keys must be strings of 1 to ${STORAGE_KEY_MAX_LENGTH} characters`, { collection: this.name });
+        }
+        const { integrationId, guildId } = this.storage;
+        return { integrationId, guildId, collection: this.name };
+    }
+
+    checkOptions({ ttl } = {}) {
+        if (ttl !== undefined && !(Number.isFinite(ttl) && ttl > 0)) {
+            throw storageError('ttl must be a positive number of milliseconds', { collection: this.name });
+        }
+        return { ttl };
+    }
+
+    async get(key) {
+        return this.storage.store.get(this.scope(key), key);
+    }
+
+    /**
+     * Store a value, replacing any previous one
+     * Throws ERR_MERCY_STORAGE for values that are not JSON or exceed resources.maxFileSize.
+     */
+    async set(key, value, options) {
+        const scope = this.scope(key);
+        let json;
+        try {
+            json = JSON.stringify(value);
+        } catch (error) {
+            throw storageError(`Value for "${key}" is not JSON-serializable: ${error.message}`, { collection: this.name });
+        }
+        if (json === undefined) {
+            throw storageError(`Value for "${key}" is not JSON-serializable`, { collection: this.name });
+        }
+        if (Buffer.byteLength(json) > this.storage.maxRecordSize) {
+            throw storageError(`Value for "${key}" is larger than ${this.storage.maxRecordSize} bytes`, { collection: this.name });
+        }
+        await this.storage.store.set(scope, key, JSON.parse(json), this.checkOptions(options));
+    }
+
+    /**
+     * Remove a record; resolves to whether it existed
+     */
+    async delete(key) {
+        return this.storage.store.delete(this.scope(key), key);
+    }
+
+    /**
+     * Atomically add `amount` to a numeric record, creating it at 0 first
+     * `ttl` only applies when the record is created, so it suits counters over a time window.
+     */
+    async increment(key, amount = 1, options) {
+        if (!Number.isFinite(amount)) {
+            throw storageError('increment amount must be a finite number', { collection: this.name });
+        }
+        return this.storage.store.increment(this.scope(key), key, amount, this.checkOptions(options));
+    }
+
+    /**
+     * List records as `{ key, value, updatedAt, expiresAt }`
+     * Filter with `prefix` (on the key) and `where` (equal top-level fields of object values),
+     * order by 'key', 'value', 'updatedAt' or 'value.<field>' with `descending`, and cap with `limit`.
+     */
+    async query({ prefix, where, orderBy = 'key', descending = false, limit } = {}) {
+        if (!['key', 'value', 'updatedAt'].includes(orderBy) && !orderBy.startsWith('value.')) {
+            throw storageError(`Cannot order by "${orderBy}"`, { collection: this.name });
+        }
+        return this.storage.store.query(this.scope(), { prefix, where, orderBy, descending, limit });
+    }
+}
+
+// Addresses this.http never connects to: unspecified, private, shared, loopback, link-local,
+// reserved and multicast ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges;
+// NAT64 (64:ff9b::/96, 64:ff9b:1::/48) and 6to4 (2002::/16) addresses can carry any IPv4 address, so
+// they are blocked as a whole.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16]]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+const DEFAULT_HTTP_RESPONSE_SIZE = 1048576;
+
+// axios options that could route around the checks, so this.http ignores them
+const HTTP_RESERVED_OPTIONS = ['adapter', 'transport', 'socketPath', 'httpAgent', 'httpsAgent', 'proxy', 'lookup', 'beforeRedirect', 'baseURL', 'maxContentLength', 'allowAbsoluteUrls'];
+
+function httpError(message, fields = {}) {
+    return Object.assign(new Error(message), { code: 'ERR_MERCY_HTTP', ...fields });
+}
+
+function httpForbidden(message, fields = {}) {
+    return httpError(message, { code: 'ERR_MERCY_HTTP_FORBIDDEN', ...fields });
+}
+
+/**
+ * Whether a string is an IP address this.http must not connect to
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether a hostname matches a network.allowedHosts entry
+ * "api.example.com" matches only itself; "*.example.com" matches any of its subdomains.
+ */
+function matchesHost(hostname, pattern) {
+    const host = pattern.toLowerCase();
+    return host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host;
+}
+
+/**
+ * Wrap a dns.lookup-style function so it fails when a hostname resolves to a private address
+ * Every connection resolves through it, so DNS answers cannot point this.http inside the network.
+ */
+function guardLookup(lookup) {
+    return (hostname, options, callback) => {
+        lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+            if (blocked) {
+                return callback(httpForbidden(`${hostname} resolves to a private address (${blocked.address})`, { host: hostname }));
+            }
+            return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+/**
+ * The policy error behind an axios failure, which wraps errors thrown during DNS lookup or redirects
+ */
+function findHttpForbidden(error) {
+    for (let cause = error; cause; cause = cause.cause) {
+        if (cause.code === 'ERR_MERCY_HTTP_FORBIDDEN') return cause;
+    }
+    return null;
+}
+
+/**
+ * Turn an axios failure into an ERR_MERCY_HTTP error, or the policy error that caused it
+ */
+function toHttpError(error, target) {
+    const forbidden = findHttpForbidden(error);
+    if (forbidden) return forbidden;
+    const host = target.hostname;
+    if (error.response) {
+        return httpError(`${target.host} responded with ${error.response.status}`, { host, status: error.response.status });
+    }
+    if (error.message?.includes('maxContentLength')) {
+        return httpError(`Response from ${target.host} is larger than resources.maxFileSize`, { host });
+    }
+    return httpError(`Request to ${target.host} failed: ${error.message}`, { host });
+}
+
+/**
+ * An integration's outbound HTTP client in one guild, available as `this.http`
+ *
+ * Wraps axios. Requests may only go to hosts listed in the manifest's network.allowedHosts and
+ * never to private, loopback or link-local addresses, checked again after DNS resolution and on
+ * every redirect. Each request counts against the guild's rate limits, and a response larger than
+ * resources.maxFileSize fails. Resolves to `{ status, statusText, headers, data }`.
+ */
+export class IntegrationHttp {
+    constructor({ allowedHosts = [], maxResponseSize = DEFAULT_HTTP_RESPONSE_SIZE, rateLimiter = null, guildId = null, adapter, lookup = dns.lookup } = {}) {
+        this.allowedHosts = allowedHosts;
+        this.maxResponseSize = maxResponseSize;
+        this.rateLimiter = rateLimiter;
+        this.guildId = guildId;
+        this.adapter = adapter; // axios adapter; the default sends real requests
+        this.lookup = guardLookup(lookup);
+    }
+
+    /**
+     * Parse a URL and check it against the policy
+     */
+    checkUrl(url, base) {
+        let target;
+        try {
+            target = new URL(url, base);
+        } catch {
+            throw httpError(`Invalid URL: ${url}`);
+        }
+        const hostname = target.hostname.replace(/^\[|\]$/g, '');
+        if (!['http:', 'https:'].includes(target.protocol)) {
+            throw httpForbidden(`Only http and https requests are allowed: ${target.href}`, { host: hostname });
+        }
+        if (isPrivateAddress(hostname)) {
+            throw httpForbidden(`Requests to private addresses are forbidden: ${hostname}`, { host: hostname });
+        }
+        if (!this.allowedHosts.some(pattern => matchesHost(hostname, pattern))) {
+            throw httpForbidden(`Host ${hostname} is not in the manifest's network.allowedHosts`, { host: hostname });
+        }
+        return target;
+    }
+
+    /**
+     * Send a request described by an axios config
+     * Options that would bypass the policy (adapter, agents, proxy, lookup, ...) are ignored.
+     */
+    async request(config = {}) {
+        if (config.responseType === 'stream') {
+            throw httpError('Streamed responses are not supported; responses are buffered up to resources.maxFileSize');
+        }
+        const target = this.checkUrl(config.url, config.baseURL);
+        const limited = this.rateLimiter?.consume({ guildId: this.guildId, method: 'http' });
+        if (limited) throw limited;
+
+        const options = Object.fromEntries(Object.entries(config).filter(([key]) => !HTTP_RESERVED_OPTIONS.includes(key)));
+        const client = await loadAxios();
+        try {
+            const response = await client.request({
+                ...options,
+                url: target.href,
+                adapter: this.adapter,
+                proxy: false,
+                lookup: this.lookup,
+                maxContentLength: this.maxResponseSize,
+                beforeRedirect: (redirect) => {
+                    this.checkUrl(redirect.href);
+                }
+            });
+            return { status: response.status, statusText: response.statusText, headers: response.headers.toJSON(), data: response.data };
+        } catch (error) {
+            throw toHttpError(error, target);
+        }
+    }
+
+    async get(url, config = {}) {
+        return this.request({ ...config, method: 'get', url });
+    }
+
+    async delete(url, config = {}) {
+        return this.request({ ...config, method: 'delete', url });
+    }
+
+    async head(url, config = {}) {
+        return this.request({ ...config, method: 'head', url });
+    }
+
+    async post(url, data, config = {}) {
+        return this.request({ ...config, method: 'post', url, data });
+    }
+
+    async put(url, data, config = {}) {
+        return this.request({ ...config, method: 'put', url, data });
+    }
+
+    async patch(url, data, config = {}) {
+        return this.request({ ...config, method: 'patch', url, data });
+    }
+}
+
+
+/**
+ * M.E.R.C.Y Integration Template
+ * 
+ * This is the base template for creating M.E.R.C.Y integrations.
+ * Replace this template with your integration logic.
+ * 
+ * IMPORTANT: Do not modify the export structure or class name.
+ */
+export class IntegrationTemplate {
+    constructor(config) {
+        this.config = config;
+        this.client = null; // Will be injected by M.E.R.C.Y
+        this.guild = null; // Will be injected by M.E.R.C.Y
+        this.settings = new Map(); // Integration-specific settings
+        this.commandHandlers = new Map(); // src/commands/<name>.js modules, injected by M.E.R.C.Y
+        this.eventHandlers = new Map(); // src/events/<eventName>.js modules, injected by M.E.R.C.Y
+        this.componentHandlers = []; // { pattern, handler } registered with registerComponent
+        this.componentKey = null; // Signs component state, injected by M.E.R.C.Y
+        this.logLevel = null; // Overrides the manifest's logging.level, injected by M.E.R.C.Y
+        this.logger = new IntegrationLogger(this);
+        this.metrics = new MetricsRegistry().scope(); // Replaced by the host's, which keeps them across reloads
+        this.storage = null; // IntegrationStorage for this guild, injected by M.E.R.C.Y
+        this.http = null; // IntegrationHttp for this guild, injected by M.E.R.C.Y
+        this.rateLimiter = new RateLimiter(config.resources?.rateLimits);
+        this.version = '1.0.0';
+    }
+
+    /**
+     * Called when integration is loaded and activated
+     * Use this method for initialization logic
+     */
+    async onLoad() {
+        this.logger.info('Integration loaded successfully');
         
-        if (interaction.isChatInputCommand()) {
-            await this.handleSlashCommand(interaction);
-        } else if (interaction.isButton()) {
-            await this.handleButton(interaction);
-        } else if (interaction.isStringSelectMenu()) {
-            await this.handleSelectMenu(interaction);
+        // Initialize integration settings
+        await this.loadSettings();
+        
+        // Perform any setup tasks
+        await this.initialize();
+        
+        return true;
+    }
+
+    /**
+     * Called when integration is unloaded or disabled
+     * Use this method for cleanup tasks
+     */
+    async onUnload() {
+        this.logger.info('Integration unloaded');
+        
+        // Clean up resources
+        await this.cleanup();
+        
+        return true;
+    }
+
+    /**
+     * Initialize the integration
+     * Override this method with your initialization logic
+     */
+    async initialize() {
+        // Example initialization
+        this.startTime = Date.now();
+    }
+
+    /**
+     * Clean up resources
+     * Override this method with your cleanup logic
+     */
+    async cleanup() {
+        // Metrics are kept by M.E.R.C.Y across reloads, so the base template has nothing to release
+    }
+
+    /**
+     * Load integration settings from database
+     * Settings written by an older version are migrated first. When the manifest declares
+     * settings, stored values are checked and converted against their definitions and
+     * missing ones take the declared default.
+     */
+    async loadSettings() {
+        try {
+            const storedSettings = await this.getStoredSettings();
+            const savedSettings = storedSettings && await this.migrateSettings(storedSettings);
+            if (this.config.settings) {
+                this.settings = await this.resolveSettings(savedSettings || {});
+            } else if (savedSettings) {
+                this.settings = new Map(Object.entries(savedSettings));
+            } else {
+                // Load default settings from config
+                this.settings = new Map(Object.entries(this.config.defaultSettings || {}));
+            }
+        } catch (error) {
+            // Starting from empty settings would overwrite the stored ones on the next save
+            if (error.code === 'ERR_MERCY_SETTINGS_MIGRATION') throw error;
+            this.logger.error('Failed to load settings', { error });
+            this.settings = new Map();
+        }
+    }
+
+    /**
+     * Run the settings migrations between the stored version and the manifest version
+     * Migrations are declared on the class as `static settingsMigrations = { '1.1.0': (settings) => settings }`
+     * and run in version order; each receives the settings as a plain object and returns them.
+     */
+    async migrateSettings(storedSettings) {
+        const { [SETTINGS_VERSION_KEY]: storedVersion = '0.0.0', ...settings } = storedSettings;
+        const targetVersion = this.config.version;
+        if (!targetVersion || compareVersions(storedVersion, targetVersion) >= 0) return settings;
+
+        const migrations = Object.entries(this.constructor.settingsMigrations || {})
+            .filter(([version]) => compareVersions(version, storedVersion) > 0 && compareVersions(version, targetVersion) <= 0)
+            .sort(([a], [b]) => compareVersions(a, b));
+
+        let migrated = settings;
+        for (const [version, migrate] of migrations) {
+            try {
+                migrated = (await migrate.call(this, { ...migrated })) ?? migrated;
+            } catch (error) {
+                throw Object.assign(new Error(`Settings migration to ${version} failed: ${error.message}`), {
+                    code: 'ERR_MERCY_SETTINGS_MIGRATION',
+                    version,
+                    cause: error
+                });
+            }
+            this.logger.info(`Migrated settings to ${version}`, { version });
+        }
+
+        // Record the new version even when no migration applied, so they are not re-checked
+        await this.updateStoredSettings({ ...migrated, [SETTINGS_VERSION_KEY]: targetVersion });
+        return migrated;
+    }
+
+    /**
+     * Build the settings map from stored values and the manifest definitions
+     * Invalid stored values are reported and replaced by the default.
+     */
+    async resolveSettings(savedSettings) {
+        const definitions = this.config.settings;
+        const settings = new Map();
+
+        for (const [key, definition] of Object.entries(definitions)) {
+            let value;
+            try {
+                value = await coerceSetting(key, definition, savedSettings[key] ?? definition.default, this.guild);
+            } catch (error) {
+                this.logger.error(error.message, { setting: key, reason: error.reason });
+                value = await coerceSetting(key, { ...definition, required: false }, definition.default).catch(() => null);
+            }
+            if (value !== null) settings.set(key, value);
+        }
+
+        for (const key of Object.keys(savedSettings)) {
+            if (!Object.hasOwn(definitions, key)) {
+                this.logger.warn(`Ignoring stored setting "${key}", which the manifest does not declare`, { setting: key });
+            }
+        }
+
+        return settings;
+    }
+
+    /**
+     * Save integration settings to database
+     */
+    async saveSettings() {
+        try {
+            const settingsObject = Object.fromEntries(this.settings);
+            if (this.config.version) settingsObject[SETTINGS_VERSION_KEY] = this.config.version;
+            await this.updateStoredSettings(settingsObject);
+        } catch (error) {
+            this.logger.error('Failed to save settings', { error });
+        }
+    }
+
+    /**
+     * Route a Discord event to its src/events/<eventName>.js module, or to the matching hook
+     * Handler modules are called as `execute(...eventArgs, integration)`. Everything logged while
+     * handling the event shares one correlation id, which is also set on a thrown error.
+     */
+    async handleEvent(event, ...args) {
+        const correlationId = crypto.randomUUID();
+        return logContext.run({ event, correlationId }, async () => {
+            try {
+                const handler = this.eventHandlers.get(event);
+                if (handler) return await handler.execute(...args, this);
+
+                const hook = EVENT_HOOKS[event];
+                if (event === 'guildAuditLogEntryCreate') {
+                    // Only audit log entries that record a moderation action reach onModerationAction
+                    const action = toModerationAction(...args);
+                    return action ? await this[hook](action) : undefined;
+                }
+                return hook ? await this[hook](...args) : undefined;
+            } catch (error) {
+                if (error instanceof Error) error.correlationId ??= correlationId;
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Handle Discord message events
+     * Override this method to process messages
+     */
+    async onMessage(message) {
+        // Example message handling
+        // Don't process bot messages
+        if (message.author.bot) return;
+        
+        // Example: respond to mentions
+        if (message.mentions.has(this.client.user)) {
+            await this.handleMention(message);
+        }
+    }
+
+    /**
+     * Handle member join events
+     * Override this method to process new members
+     */
+    async onMemberJoin(member) {
+        // Example member join handling
+        const welcomeChannel = this.settings.get('welcomeChannel');
+        const welcomeMessage = this.settings.get('welcomeMessage') || 'Welcome to the server!';
+        
+        if (welcomeChannel) {
+            const channel = this.guild.channels.cache.get(welcomeChannel);
+            if (channel) {
+                await channel.send({
+                    content: welcomeMessage.replace('{user}', member.toString()),
+                    embeds: [await this.createWelcomeEmbed(member)]
+                });
+            }
+        }
+    }
+
+    /**
+     * Handle member leave events
+     * Override this method to process member departures
+     */
+    async onMemberLeave(member) {
+        // Example member leave handling
+        this.logger.info(`Member left: ${member.user.tag}`, { userId: member.id });
+    }
+
+    /**
+     * Handle moderation actions
+     * Override this method to process kicks, bans, unbans and timeouts from the audit log.
+     * The moderator and target are null when discord.js has not cached them.
+     */
+    async onModerationAction(action) {
+        // Example moderation action handling
+        this.logger.info(`Moderation action: ${action.type} by ${action.moderator?.tag} on ${action.target?.tag}`, {
+            type: action.type,
+            moderatorId: action.moderator?.id,
+            targetId: action.target?.id
+        });
+    }
+
+    /**
+     * Handle a request to one of the incoming webhooks declared in the manifest
+     * `request` is `{ id, method, headers, query, body, rawBody }`, with JSON and form bodies parsed.
+     * Return a value to answer with it as JSON; otherwise the sender gets 204 No Content.
+     */
+    async onWebhook(name, request) {
+        this.logger.info(`Webhook received: ${name}`, { requestId: request.id });
+    }
+
+    /**
+     * Handle Discord interactions (slash commands, buttons, etc.)
+     * Override this method to process interactions
+     */
+    async onInteraction(interaction) {
+        if (interaction.isChatInputCommand()) {
+            this.metrics.counter(COMMANDS_METRIC, 'Slash commands received').inc({ command: interaction.commandName });
+            await this.handleSlashCommand(interaction);
+            return;
+        }
+        if (interaction.isAutocomplete()) {
+            await this.handleAutocomplete(interaction);
+            return;
+        }
+        if (await this.routeComponent(interaction)) return;
+
+        if (interaction.isButton()) {
+            await this.handleButton(interaction);
+        } else if (interaction.isAnySelectMenu()) {
+            await this.handleSelectMenu(interaction);
+        } else if (interaction.isModalSubmit()) {
+            await this.handleModalSubmit(interaction);
+        }
+    }
+
+    /**
+     * Register a handler for buttons, select menus and modals built with componentId()
+     * `pattern` is the exact component name or a RegExp tested against it. The handler is
+     * called with `this` bound to the integration, as `handler(interaction, state, match)`.
+     */
+    registerComponent(pattern, handler) {
+        this.componentHandlers.push({ pattern, handler });
+    }
+
+    /**
+     * Build a customId namespaced with the integration id, optionally carrying signed state
+     * `state` is JSON-encoded into the id, so the whole id must fit Discord's 100 characters.
+     */
+    componentId(name, state) {
+        if (name.includes(':')) {
+            throw Object.assign(new Error(`Component name "${name}" cannot contain ":"`), { code: 'ERR_MERCY_COMPONENT_ID' });
+        }
+
+        let customId = `${this.config.id}:${name}`;
+        if (state !== undefined) {
+            if (!this.componentKey) {
+                throw Object.assign(new Error('Component state needs the signing key injected by M.E.R.C.Y'), { code: 'ERR_MERCY_COMPONENT_ID' });
+            }
+            const payload = Buffer.from(JSON.stringify(state)).toString('base64url');
+            customId += `:${payload}.${signComponentState(this.componentKey, `${customId}:${payload}`)}`;
+        }
+
+        if (customId.length > CUSTOM_ID_MAX_LENGTH) {
+            throw Object.assign(new Error(`customId for "${name}" is ${customId.length} characters, over Discord's limit of ${CUSTOM_ID_MAX_LENGTH}; keep larger state in settings instead`), {
+                code: 'ERR_MERCY_COMPONENT_STATE_TOO_LARGE'
+            });
+        }
+        return customId;
+    }
+
+    /**
+     * Split a customId built by componentId() into its name and verified state
+     * Returns null for ids that belong to another integration.
+     */
+    parseComponentId(customId) {
+        const prefix = `${this.config.id}:`;
+        if (typeof customId !== 'string' || !customId.startsWith(prefix)) return null;
+
+        const rest = customId.slice(prefix.length);
+        const separator = rest.indexOf(':');
+        if (separator === -1) return { name: rest, state: undefined };
+
+        const name = rest.slice(0, separator);
+        const [payload, signature = ''] = rest.slice(separator + 1).split('.');
+        const expected = this.componentKey ? signComponentState(this.componentKey, `${prefix}${name}:${payload}`) : '';
+        if (!expected || signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw Object.assign(new Error(`Component state for "${name}" failed signature verification`), { code: 'ERR_MERCY_COMPONENT_SIGNATURE' });
+        }
+        return { name, state: JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')) };
+    }
+
+    /**
+     * Route a button, select menu or modal submission to its registered handler
+     * Returns false when nothing matches, so the interaction falls through to the default handlers.
+     */
+    async routeComponent(interaction) {
+        let component;
+        try {
+            component = this.parseComponentId(interaction.customId);
+        } catch (error) {
+            if (error.code !== 'ERR_MERCY_COMPONENT_SIGNATURE') throw error;
+            this.logger.warn(error.message, { customId: interaction.customId, userId: interaction.user.id });
+            await interaction.reply({ content: '❌ This component is no longer valid', ephemeral: true });
+            return true;
+        }
+        if (!component) return false;
+
+        for (const { pattern, handler } of this.componentHandlers) {
+            const match = pattern instanceof RegExp ? component.name.match(pattern) : (pattern === component.name ? [component.name] : null);
+            if (match) {
+                await handler.call(this, interaction, component.state, match);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Handle slash commands
+     * Commands declared in the manifest are routed to their src/commands/<name>.js module.
+     * Override this method to implement custom commands
+     */
+    async handleSlashCommand(interaction) {
+        const command = this.config.commands?.find(definition => definition.name === interaction.commandName);
+        const handler = this.commandHandlers.get(interaction.commandName);
+        if (command && handler) {
+            await this.runCommand(command, handler, interaction);
+            return;
+        }
+
+        // Example command handling
+        if (interaction.commandName === 'integration-stats') {
+            await this.sendStats(interaction);
+        }
+    }
+
+    /**
+     * Check a command's manifest permissions, parse its options and call its handler
+     * The handler is called as `execute(interaction, integration, options)`.
+     */
+    async runCommand(command, handler, interaction) {
+        if (command.permissions?.length && !await this.checkPermissions(interaction.user.id, command.permissions)) {
+            await interaction.reply({
+                content: `❌ You need the ${command.permissions.join(', ')} permission${command.permissions.length > 1 ? 's' : ''} to use /${command.name}`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        await handler.execute(interaction, this, parseCommandOptions(command, interaction));
+    }
+
+    /**
+     * Handle button interactions
+     * Override this method to implement button responses
+     */
+    async handleButton(interaction) {
+        // Example button handling
+        this.logger.debug(`Button pressed: ${interaction.customId}`, { customId: interaction.customId });
+        await interaction.reply({ content: 'Button handled!', ephemeral: true });
+    }
+
+    /**
+     * Handle select menu interactions
+     * Override this method to implement select menu responses
+     */
+    async handleSelectMenu(interaction) {
+        // Example select menu handling
+        this.logger.debug(`Select menu: ${interaction.customId}`, { customId: interaction.customId, values: interaction.values });
+        await interaction.reply({ content: 'Selection processed!', ephemeral: true });
+    }
+
+    /**
+     * Handle modal submissions
+     * Override this method to implement modal responses
+     */
+    async handleModalSubmit(interaction) {
+        // Example modal handling
+        this.logger.debug(`Modal submitted: ${interaction.customId}`, { customId: interaction.customId });
+        await interaction.reply({ content: 'Form received!', ephemeral: true });
+    }
+
+    /**
+     * Answer autocomplete requests for manifest command options
+     * Routed to the `autocomplete(interaction, integration)` export of the command's module.
+     */
+    async handleAutocomplete(interaction) {
+        const handler = this.commandHandlers.get(interaction.commandName);
+        if (typeof handler?.autocomplete === 'function') {
+            await handler.autocomplete(interaction, this);
+        } else {
+            await interaction.respond([]);
+        }
+    }
+
+    /**
+     * Handle mention responses
+     */
+    async handleMention(message) {
+        const EmbedBuilder = await loadDiscordJS();
+        const embed = new EmbedBuilder()
+            .setColor('#6366f1')
+            .setTitle(`${this.config.name} Integration`)
+            .setDescription('This is an example response from a M.E.R.C.Y integration!')
+            .addFields(
+                { name: 'Version', value: this.version, inline: true },
+                { name: 'Uptime', value: this.getUptime(), inline: true },
+                { name: 'Events Processed', value: this.getStats().events.toString(), inline: true }
+            )
+            .setTimestamp();
+
+        await message.reply({ embeds: [embed] });
+    }
+
+    /**
+     * Send integration statistics
+     */
+    async sendStats(interaction) {
+        const stats = this.getStats();
+        const EmbedBuilder = await loadDiscordJS();
+        const embed = new EmbedBuilder()
+            .setColor('#10b981')
+            .setTitle(`📊 ${this.config.name} Statistics`)
+            .addFields(
+                { name: 'Commands Executed', value: stats.commands.toString(), inline: true },
+                { name: 'Events Processed', value: stats.events.toString(), inline: true },
+                { name: 'Errors', value: stats.errors.toString(), inline: true },
+                { name: 'Average Latency', value: `${stats.averageLatency.toFixed(1)}ms`, inline: true },
+                { name: 'Uptime', value: this.getUptime(), inline: true },
+                // Metrics the integration records itself, within Discord's 25 fields per embed
+                ...stats.custom.slice(0, 20).map(({ name, value }) => ({ name, value, inline: true }))
+            )
+            .setFooter({ text: 'M.E.R.C.Y Integration Statistics' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    /**
+     * Summarize this instance's metrics for the current version
+     * `custom` lists the integration's own counters, gauges and histograms with display values.
+     */
+    getStats() {
+        const snapshot = this.metrics.snapshot();
+        const total = (name, select = () => true, field = 'value') => (snapshot.find(metric => metric.name === name)?.series || [])
+            .filter(series => select(series.labels))
+            .reduce((sum, series) => sum + series[field], 0);
+        const isEvent = (labels) => !LIFECYCLE_HOOKS.includes(labels.hook);
+
+        const events = total(HOOK_DURATION_METRIC, isEvent, 'count');
+        const custom = snapshot.filter(metric => !metric.name.startsWith('mercy_')).flatMap(metric => metric.series.map(series => {
+            const labels = Object.entries(series.labels).map(([key, value]) => `${key}=${value}`).join(', ');
+            const value = metric.type === 'histogram'
+                ? `${series.count} (avg ${series.count ? (series.sum / series.count).toFixed(3) : 0})`
+                : series.value.toString();
+            return { name: labels ? `${metric.name} (${labels})` : metric.name, value };
+        }));
+
+        return {
+            commands: total(COMMANDS_METRIC),
+            events,
+            errors: total(HOOK_ERRORS_METRIC, isEvent),
+            averageLatency: events ? (total(HOOK_DURATION_METRIC, isEvent, 'sum') / events) * 1000 : 0,
+            custom
+        };
+    }
+
+    /**
+     * Create welcome embed for new members
+     */
+    async createWelcomeEmbed(member) {
+        const EmbedBuilder = await loadDiscordJS();
+        return new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle('Welcome!')
+            .setDescription(`Welcome to ${this.guild.name}, ${member.user.tag}!`)
+            .setThumbnail(member.user.displayAvatarURL())
+            .addFields(
+                { name: 'Member #', value: this.guild.memberCount.toString(), inline: true },
+                { name: 'Account Created', value: `<t:${Math.floor(member.user.createdTimestamp / 1000)}:R>`, inline: true }
+            )
+            .setTimestamp();
+    }
+
+    /**
+     * Get integration uptime
+     */
+    getUptime() {
+        const uptime = Date.now() - this.startTime;
+        const hours = Math.floor(uptime / (1000 * 60 * 60));
+        const minutes = Math.floor((uptime % (1000 * 60 * 60)) / (1000 * 60));
+        return `${hours}h ${minutes}m`;
+    }
+
+    /**
+     * Get setting value
+     */
+    getSetting(key, defaultValue = null) {
+        return this.settings.get(key) ?? defaultValue;
+    }
+
+    /**
+     * Set setting value
+     * Declared settings are checked and converted first; pass null to restore the default.
+     * Throws an ERR_MERCY_INVALID_SETTING error for invalid values or undeclared keys.
+     */
+    async setSetting(key, value) {
+        const definitions = this.config.settings;
+        if (definitions) {
+            if (!Object.hasOwn(definitions, key)) {
+                throw Object.assign(new Error(`Unknown setting "${key}": it is not declared in the manifest`), {
+                    code: 'ERR_MERCY_INVALID_SETTING',
+                    setting: key
+                });
+            }
+            value = await coerceSetting(key, definitions[key], value ?? definitions[key].default, this.guild);
+        }
+
+        const previous = this.settings.get(key) ?? null;
+        if (value === null) {
+            this.settings.delete(key);
+        } else {
+            this.settings.set(key, value);
+        }
+        await this.saveSettings();
+
+        if (!Object.is(previous, value ?? null)) {
+            try {
+                await this.onSettingsChanged({ [key]: { previous, current: value ?? null } });
+            } catch (error) {
+                this.logger.error('onSettingsChanged failed', { error, setting: key });
+            }
+        }
+    }
+
+    /**
+     * Called after settings change, with `{ key: { previous, current } }` for each changed key
+     * Override this method to react to configuration changes
+     */
+    async onSettingsChanged(diff) {
+        // Settings are read when needed, so the base template has nothing to refresh
+    }
+
+    /**
+     * Check whether a user has run out of actions, consuming one if not
+     * Pass `method` to also count against that method's limit from the manifest.
+     */
+    isRateLimited(userId, method) {
+        return this.rateLimiter.consume({ userId, method }) !== null;
+    }
+
+    /**
+     * Record an audit event, such as a moderation action, in the M.E.R.C.Y audit log
+     * Use `this.logger` for diagnostics; audit entries are kept apart from them.
+     */
+    async logEvent(event, data = {}) {
+        const correlationId = logContext.getStore()?.correlationId;
+        try {
+            await this.createLogEntry({
+                integration: this.config.name,
+                event,
+                data,
+                timestamp: new Date(),
+                guild: this.guild.id,
+                ...(correlationId && { correlationId })
+            });
+        } catch (error) {
+            this.logger.error('Failed to log event', { error, auditEvent: event });
+        }
+    }
+
+    /**
+     * Collect what this integration keeps about a user in this guild, for a data access request
+     * Storage records keyed by the user's id are included; onExportUserData() adds anything else.
+     */
+    async exportUserData(userId) {
+        const custom = await this.onExportUserData(userId);
+        return {
+            integration: this.config.id,
+            guild: this.guild.id,
+            storage: this.storage ? await this.storage.findUserRecords(userId) : [],
+            ...(custom != null && { custom })
+        };
+    }
+
+    /**
+     * Erase a user's data in this guild, for a deletion request
+     * onDeleteUserData() runs first, then storage records keyed by the user's id are removed.
+     */
+    async deleteUserData(userId) {
+        await this.onDeleteUserData(userId);
+        return {
+            integration: this.config.id,
+            guild: this.guild.id,
+            storage: this.storage ? await this.storage.deleteUserRecords(userId) : 0
+        };
+    }
+
+    /**
+     * Return any other data about a user to include in exportUserData()
+     * Override this method when you store user data under other keys or in values
+     */
+    async onExportUserData(userId) {
+        return null;
+    }
+
+    /**
+     * Delete any other data about a user before deleteUserData() removes their records
+     * Override this method when you store user data under other keys or in values
+     */
+    async onDeleteUserData(userId) {
+        // Records keyed by the user's id are removed by deleteUserData()
+    }
+
+    // ========================================
+    // M.E.R.C.Y API METHODS
+    // These methods are injected by the M.E.R.C.Y system
+    // Do not implement these - they will be overridden
+    // ========================================
+
+    /**
+     * Get stored settings from M.E.R.C.Y database
+     */
+    async getStoredSettings() {
+        // Implemented by M.E.R.C.Y
+        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    }
+
+    /**
+     * Update stored settings in M.E.R.C.Y database
+     */
+    async updateStoredSettings(settings) {
+        // Implemented by M.E.R.C.Y
+        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    }
+
+    /**
+     * Create log entry in M.E.R.C.Y system
+     */
+    async createLogEntry(entry) {
+        // Implemented by M.E.R.C.Y
+        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    }
+
+    /**
+     * Write a structured record from this.logger to the M.E.R.C.Y log store
+     */
+    async writeLog(record) {
+        // Implemented by M.E.R.C.Y
+        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    }
+
+    /**
+     * Send one of the webhooks declared in the manifest, signed and retried by M.E.R.C.Y
+     * Resolves to the delivery: `{ id, webhook, status, attempts, ... }`, where status is
+     * 'delivered', 'retrying' or 'failed'.
+     */
+    async sendWebhook(name, data) {
+        // Implemented by M.E.R.C.Y
+        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    }
+
+    /**
+     * Get server configuration
+     */
+    async getServerConfig() {
+        // Implemented by M.E.R.C.Y
+        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    }
+
+    /**
+     * Check user permissions
+     */
+    async checkPermissions(userId, permissions) {
+        // Implemented by M.E.R.C.Y
+        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    }
+}
+
+// ============================================================================
+// PART 2: INTEGRATION INITIALIZATION
+// ============================================================================
+
+/**
+ * Helper function for readline questions
+ */
+function ask(rl, question) {
+    return new Promise((resolve) => {
+        rl.question(question, (answer) => {
+            resolve(answer.trim());
+        });
+    });
+}
+
+/**
+ * Convert string to PascalCase
+ */
+function toPascalCase(str) {
+    return str
+        .replace(/[^a-zA-Z0-9]/g, ' ')
+        .split(' ')
+        .filter(word => word.length > 0)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join('');
+}
+
+// Answers `init` asks for, with the CLI flag that supplies each one non-interactively
+const INIT_ANSWER_FLAGS = {
+    name: 'name',
+    id: 'id',
+    description: 'description',
+    category: 'category',
+    template: 'template',
+    developerName: 'developer-name',
+    developerEmail: 'developer-email',
+    githubUrl: 'github'
+};
+
+// Answers --yes has no default for
+const INIT_REQUIRED_ANSWERS = ['name', 'developerName', 'developerEmail'];
+
+// Built-in scaffolding templates, one per category
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, 'templates');
+const TEMPLATE_MANIFEST_FILE = 'template.json';
+const TEMPLATE_MANIFEST_KEYS = ['permissions', 'intents', 'events', 'settings', 'commands'];
+
+/**
+ * Read a single template directory (template.json plus a files/ tree)
+ */
+async function readTemplate(templateDir) {
+    const template = JSON.parse(await fs.readFile(path.join(templateDir, TEMPLATE_MANIFEST_FILE), 'utf8'));
+    if (!template.name) {
+        throw new Error(`Template in ${templateDir} has no name`);
+    }
+    try {
+        await fs.access(path.join(templateDir, 'files', 'src', 'integration.js'));
+    } catch {
+        throw new Error(`Template ${template.name} has no files/src/integration.js`);
+    }
+    return { manifest: {}, ...template, dir: templateDir };
+}
+
+/**
+ * Load every template from the built-in directory and any registered directories
+ * A registered directory is either one template or a directory of templates;
+ * later directories override templates of the same name.
+ */
+export async function loadTemplates(templateDirs = []) {
+    const templates = new Map();
+
+    for (const dir of [BUILTIN_TEMPLATES_DIR, ...templateDirs]) {
+        const templateDir = path.resolve(dir);
+        let candidates;
+        try {
+            await fs.access(path.join(templateDir, TEMPLATE_MANIFEST_FILE));
+            candidates = [templateDir];
+        } catch {
+            const entries = await fs.readdir(templateDir, { withFileTypes: true });
+            candidates = entries.filter(entry => entry.isDirectory()).map(entry => path.join(templateDir, entry.name)).sort();
+        }
+
+        for (const candidate of candidates) {
+            try {
+                await fs.access(path.join(candidate, TEMPLATE_MANIFEST_FILE));
+            } catch {
+                continue;
+            }
+            const template = await readTemplate(candidate);
+            templates.set(template.name, template);
+        }
+    }
+
+    return templates;
+}
+
+/**
+ * Copy a template's files/ tree into the integration, filling in {{placeholders}}
+ */
+async function renderTemplateFiles(template, integrationDir, variables) {
+    const filesDir = path.join(template.dir, 'files');
+    const written = [];
+    for (const file of await listFiles(filesDir, '.')) {
+        const content = await fs.readFile(path.join(filesDir, file), 'utf8');
+        const rendered = content.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in variables ? variables[key] : match));
+        await fs.mkdir(path.dirname(path.join(integrationDir, file)), { recursive: true });
+        await fs.writeFile(path.join(integrationDir, file), rendered);
+        written.push(file);
+    }
+    return written;
+}
+
+/**
+ * Initialize a new M.E.R.C.Y integration project
+ *
+ * Answers come from `answers` (CLI flags), then `answersFile`, then interactive prompts.
+ * With `yes`, missing answers fall back to their defaults instead of prompting.
+ * The template (defaulting to the category) supplies the manifest capabilities and source files.
+ */
+export async function initIntegration({ answers: flagAnswers = {}, answersFile, templateDirs = [], yes = false, force = false } = {}) {
+    let rl = null;
+
+    console.log('🚀 M.E.R.C.Y Integration Creator');
+    console.log('='.repeat(35));
+    console.log('');
+
+    try {
+        const fileAnswers = answersFile ? JSON.parse(await fs.readFile(answersFile, 'utf8')) : {};
+        const answers = { ...fileAnswers };
+        for (const [key, value] of Object.entries(flagAnswers)) {
+            if (value !== undefined) answers[key] = value;
+        }
+
+        if (yes) {
+            const missing = INIT_REQUIRED_ANSWERS.filter(key => !String(answers[key] ?? '').trim());
+            if (missing.length > 0) {
+                throw new Error(`--yes cannot fill in ${missing.map(key => `--${INIT_ANSWER_FLAGS[key]}`).join(', ')}, pass them as flags or in --answers`);
+            }
+        }
+
+        const resolveAnswer = async (key, question, fallback = '') => {
+            if (answers[key] !== undefined) return String(answers[key]).trim();
+            if (yes) return fallback;
+            rl ??= readline.createInterface({ input: process.stdin, output: process.stdout });
+            return (await ask(rl, question)) || fallback;
+        };
+
+        // Get integration details
+        const name = await resolveAnswer('name', 'Integration Name: ');
+        const defaultId = name.toLowerCase().replace(/[^a-z0-9]/g, '-');
+        const id = await resolveAnswer('id', `Integration ID [${defaultId}]: `, defaultId);
+        const defaultDescription = `${name} integration for M.E.R.C.Y`;
+        const description = await resolveAnswer('description', `Description [${defaultDescription}]: `, defaultDescription);
+        const envTemplateDirs = (process.env.MERCY_TEMPLATE_PATH || '').split(path.delimiter).filter(Boolean);
+        const templates = await loadTemplates([...envTemplateDirs, ...(answers.templateDirs || []), ...templateDirs]);
+        const category = await resolveAnswer('category', 'Category (moderation/utility/entertainment/automation/analytics/security): ', templates.get(answers.template)?.category || 'utility');
+        const templateName = await resolveAnswer('template', `Template (${[...templates.keys()].join('/')}) [${category}]: `, category);
+        const template = templates.get(templateName);
+        if (!template) {
+            throw new Error(`Unknown template: ${templateName} (available: ${[...templates.keys()].join(', ')})`);
+        }
+        const developerName = await resolveAnswer('developerName', 'Your Name: ');
+        const developerEmail = await resolveAnswer('developerEmail', 'Your Email: ');
+        const githubUrl = await resolveAnswer('githubUrl', 'Your GitHub URL (optional): ');
+
+        // Build and check the manifest before anything is written
+        const integrationConfig = {
+            id,
+            name,
+            version: '1.0.0',
+            description,
+            category,
+            developer: {
+                name: developerName,
+                email: developerEmail,
+                ...(githubUrl && { github: githubUrl })
+            },
+            ...Object.fromEntries(TEMPLATE_MANIFEST_KEYS
+                .filter(key => template.manifest[key] !== undefined)
+                .map(key => [key, template.manifest[key]])),
+            flags: {
+                premium: false,
+                experimental: false,
+                beta: false
+            }
+        };
+
+        const violations = await validateManifest(integrationConfig);
+        if (violations.length > 0) {
+            console.log('');
+            violations.forEach(violation => console.log(`  ❌ ${violation.message}`));
+            throw new Error('Integration details do not match mercy-integration.schema.json');
+        }
+
+        const integrationDir = path.resolve(process.cwd(), id);
+        try {
+            await fs.access(integrationDir);
+            if (!force) {
+                throw new Error(`Directory already exists: ${integrationDir} (use --force to replace it)`);
+            }
+            // Start from an empty directory so files from an earlier template or edit don't linger
+            console.log(`\n🗑️  Removing existing ${integrationDir}...`);
+            await fs.rm(integrationDir, { recursive: true, force: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        console.log(`\n📝 Creating integration structure from the ${template.name} template...`);
+
+        // Create integration directory
+        await fs.mkdir(integrationDir, { recursive: true });
+
+        // Create subdirectories
+        await fs.mkdir(path.join(integrationDir, 'src'), { recursive: true });
+        await fs.mkdir(path.join(integrationDir, 'src/commands'), { recursive: true });
+        await fs.mkdir(path.join(integrationDir, 'src/events'), { recursive: true });
+        await fs.mkdir(path.join(integrationDir, 'src/utils'), { recursive: true });
+        await fs.mkdir(path.join(integrationDir, 'test'), { recursive: true });
+
+        // Create package.json
+        const packageJson = {
+            name: id,
+            version: '1.0.0',
+            description,
+            main: 'src/integration.js',
+            type: 'module',
+            scripts: {
+                test: 'node ../mercy.js test',
+                validate: 'node ../mercy.js validate',
+                package: 'node ../mercy.js package'
+            },
+            dependencies: {
+                'discord.js': '^14.14.1',
+                'axios': '^1.6.0',
+                'lodash': '^4.17.21',
+                'moment': '^2.29.4',
+                'uuid': '^9.0.1'
+            },
+            author: `${developerName} <${developerEmail}>`,
+            license: 'MIT',
+            mercy: {
+                integrationId: id,
+                version: '1.0.0'
+            }
+        };
+
+        await fs.writeFile(
+            path.join(integrationDir, 'package.json'),
+            JSON.stringify(packageJson, null, 2)
+        );
+
+        // Create mercy-integration.json
+        await fs.writeFile(
+            path.join(integrationDir, 'mercy-integration.json'),
+            JSON.stringify(integrationConfig, null, 2)
+        );
+
+        // Create source files and test scenarios from the template
+        const templateFiles = await renderTemplateFiles(template, integrationDir, {
+            name,
+            id,
+            description,
+            className: toPascalCase(name),
+            developerName,
+            developerEmail,
+            year: new Date().getFullYear().toString()
+        });
+
+        // Create README.md
+        const readme = `# ${name}
+
+${description}
+
+## Installation
+
+1. Install dependencies:
+   \`\`\`bash
+   npm install
+   \`\`\`
+
+2. Test your integration:
+   \`\`\`bash
+   npm test
+   \`\`\`
+
+3. Validate integration:
+   \`\`\`bash
+   npm run validate
+   \`\`\`
+
+## Configuration
+
+This integration supports the following settings:
+
+${Object.entries(integrationConfig.settings || {}).map(([key, setting]) => `- **${key}** (${setting.type}): ${setting.description || ''}`).join('\n')}
+
+## Commands
+
+${(integrationConfig.commands || []).map(command => `- \`/${command.name}\`: ${command.description}`).join('\n') || '(Add your commands here)'}
+
+## Events
+
+This integration responds to the following Discord events:
+
+${(integrationConfig.events || []).map(event => `- \`${event}\` (\`${EVENT_HOOKS[event] ?? `src/events/${event}.js`}\`)`).join('\n')}
+
+## Development
+
+### Testing
+
+Run tests with:
+\`\`\`bash
+npm test
+\`\`\`
+
+### Validation
+
+Validate your integration code:
+\`\`\`bash
+npm run validate
+\`\`\`
+
+### Packaging
+
+Package for submission:
+\`\`\`bash
+npm run package
+\`\`\`
+
+## Support
+
+- **Developer**: ${developerName}
+- **Email**: ${developerEmail}
+${githubUrl ? `- **GitHub**: ${githubUrl}` : ''}
+
+## License
+
+MIT License - see LICENSE file for details.
+`;
+
+        await fs.writeFile(path.join(integrationDir, 'README.md'), readme);
+
+        // Create LICENSE file
+        const license = `MIT License
+
+Copyright (c) ${new Date().getFullYear()} ${developerName}
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+`;
+
+        await fs.writeFile(path.join(integrationDir, 'LICENSE'), license);
+
+        console.log('✅ Integration created successfully!');
+        console.log('');
+        console.log('📁 Project structure:');
+        console.log(`   ${integrationDir}/`);
+        templateFiles.forEach(file => console.log(`   ├── ${file}`));
+        console.log('   ├── mercy-integration.json');
+        console.log('   ├── package.json');
+        console.log('   ├── README.md');
+        console.log('   └── LICENSE');
+        console.log('');
+        console.log('🚀 Next steps:');
+        console.log(`   1. cd ${id}`);
+        console.log('   2. npm install');
+        console.log('   3. Edit src/integration.js with your logic');
+        console.log('   4. npm test');
+        console.log('   5. npm run validate');
+        console.log('');
+        console.log('📚 Documentation: https://docs.mercy-bot.com/integrations');
+
+    } catch (error) {
+        console.error('❌ Error creating integration:', error.message);
+        process.exit(1);
+    } finally {
+        rl?.close();
+    }
+}
+
+// ============================================================================
+// PART 3: INTEGRATION VALIDATION
+// ============================================================================
+
+const SECURITY_RULES = {
+    childProcess: { severity: 'critical', message: 'Child process access forbidden' },
+    processEnv: { severity: 'critical', message: 'Environment variable access forbidden' },
+    processBinding: { severity: 'critical', message: 'Native process API forbidden' },
+    eval: { severity: 'critical', message: 'Code evaluation forbidden' },
+    functionConstructor: { severity: 'critical', message: 'Function constructor forbidden' },
+    processExec: { severity: 'high', message: 'Process execution forbidden' },
+    processSpawn: { severity: 'high', message: 'Process spawning forbidden' },
+    fsWrite: { severity: 'high', message: 'File writing forbidden (use provided APIs)' },
+    fsDelete: { severity: 'high', message: 'File deletion forbidden' },
+    fsRmdir: { severity: 'high', message: 'Directory deletion forbidden' },
+    dynamicImport: { severity: 'high', message: 'Dynamic module loading with a computed specifier forbidden' },
+    dynamicGlobal: { severity: 'high', message: 'Computed access to the global object forbidden' },
+    unlistedModule: { severity: 'high', message: 'Import of unlisted module' },
+    escapingImport: { severity: 'high', message: 'Import outside the integration directory forbidden' },
+    unresolvedImport: { severity: 'high', message: 'Local import cannot be resolved' },
+    hostApi: { severity: 'high', message: 'Host-only M.E.R.C.Y export forbidden in integration code' },
+    directHttp: { severity: 'high', message: 'HTTP request bypasses this.http' },
+    fsAccess: { severity: 'medium', message: 'Direct filesystem access discouraged' },
+    stringTimeout: { severity: 'medium', message: 'String-based setTimeout forbidden' },
+    stringInterval: { severity: 'medium', message: 'String-based setInterval forbidden' },
+    infiniteLoop: { severity: 'medium', message: 'Infinite loops detected' },
+    undeclaredPermission: { severity: 'high', message: 'Permission used but not declared in manifest' },
+    undeclaredIntent: { severity: 'high', message: 'Intent required but not declared in manifest' },
+    undeclaredEvent: { severity: 'high', message: 'Event handled but not declared in manifest' },
+    unusedPermission: { severity: 'medium', message: 'Permission declared but never used (over-privileged)' },
+    unusedIntent: { severity: 'medium', message: 'Intent declared but never used (over-privileged)' },
+    unusedEvent: { severity: 'medium', message: 'Event declared but never handled' }
+};
+
+// Score deducted the first time each security rule is hit
+const SECURITY_DEDUCTIONS = { critical: 30, high: 20, medium: 10 };
+
+// Identifiers that refer to the global object, and globals the analyzer tracks through aliases
+const GLOBAL_OBJECTS = ['globalThis', 'global', 'window', 'self'];
+const TRACKED_GLOBALS = ['process', 'eval', 'Function', 'require', 'setTimeout', 'setInterval', 'fetch', 'Reflect'];
+
+// Reflect methods that read a property or call a function the way member access and calls do
+const REFLECT_APIS = ['get', 'apply'];
+
+// process members the analyzer tracks: environment access, module loading and native bindings
+const PROCESS_APIS = ['env', 'getBuiltinModule', 'binding', '_linkedBinding', 'dlopen'];
+const PROCESS_NATIVE_APIS = ['process.binding', 'process._linkedBinding', 'process.dlopen'];
+
+// Nodes that open a variable scope, and those that also scope `var` declarations
+const SCOPE_NODE_TYPES = [
+    'Program', 'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'StaticBlock',
+    'BlockStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'SwitchStatement', 'CatchClause'
+];
+const FUNCTION_SCOPE_TYPES = ['Program', 'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'StaticBlock'];
+
+// Statements an unlabeled `break` inside a loop body applies to instead of the loop itself
+const BREAKABLE_TYPES = ['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement', 'SwitchStatement'];
+
+// Node built-ins integrations may import (see DEVELOPER_POLICY "Approved Dependencies")
+const ALLOWED_BUILTINS = ['crypto'];
+
+// What integration code may import from mercy.js; the rest (stores, postWebhook, the host) is host-only,
+// and the sandbox does not provide it
+const KIT_INTEGRATION_EXPORTS = ['IntegrationTemplate', 'default'];
+
+const CHILD_PROCESS_EXEC = ['exec', 'execSync', 'execFile', 'execFileSync'];
+const CHILD_PROCESS_SPAWN = ['spawn', 'spawnSync', 'fork'];
+const FS_WRITE_METHODS = ['writeFile', 'writeFileSync', 'appendFile', 'appendFileSync', 'createWriteStream', 'copyFile', 'copyFileSync', 'rename', 'renameSync', 'truncate', 'truncateSync'];
+const FS_DELETE_METHODS = ['unlink', 'unlinkSync', 'rm', 'rmSync'];
+const FS_RMDIR_METHODS = ['rmdir', 'rmdirSync'];
+
+/**
+ * Reduce a module specifier to its package (or built-in) name
+ */
+function getModuleName(specifier) {
+    const normalized = specifier.replace(/^node:/, '');
+    const segments = normalized.split('/');
+    return normalized.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+}
+
+/**
+ * Symbol for a loaded module; the process built-in is the process global itself
+ * Local modules keep their specifier, so imports of the kit can be told apart.
+ */
+function getModuleSymbol(specifier) {
+    if (isRelativeSpecifier(specifier)) return `local:${specifier}`;
+    const moduleName = getModuleName(specifier);
+    return moduleName === 'process' ? 'process' : `module:${moduleName}`;
+}
+
+function isRelativeSpecifier(specifier) {
+    return specifier.startsWith('./') || specifier.startsWith('../') || specifier.startsWith('/');
+}
+
+/**
+ * Evaluate string concatenations and template literals built from constants
+ * Returns null when the value cannot be known statically
+ */
+function foldConstant(node) {
+    if (!node) return null;
+    switch (node.type) {
+        case 'Literal':
+            return typeof node.value === 'string' || typeof node.value === 'number' ? String(node.value) : null;
+        case 'TemplateLiteral': {
+            let value = node.quasis[0].value.cooked;
+            for (let i = 0; i < node.expressions.length; i++) {
+                const part = foldConstant(node.expressions[i]);
+                if (part === null) return null;
+                value += part + node.quasis[i + 1].value.cooked;
+            }
+            return value;
+        }
+        case 'BinaryExpression': {
+            if (node.operator !== '+') return null;
+            const left = foldConstant(node.left);
+            const right = foldConstant(node.right);
+            return left === null || right === null ? null : left + right;
+        }
+        default:
+            return null;
+    }
+}
+
+function getPropertyName(node) {
+    if (!node.computed) {
+        return node.property.type === 'Identifier' ? node.property.name : null;
+    }
+    return foldConstant(node.property);
+}
+
+/**
+ * Resolve a property access on a tracked symbol
+ * Symbols look like 'global', 'process', 'process.env', 'eval', 'module:fs' or 'module:fs#writeFile'
+ */
+function resolveMember(base, property) {
+    if (!base || property === null) return null;
+    if (base === 'global') {
+        if (GLOBAL_OBJECTS.includes(property)) return 'global';
+        return TRACKED_GLOBALS.includes(property) ? property : null;
+    }
+    if (base === 'process' && PROCESS_APIS.includes(property)) return `process.${property}`;
+    if (base === 'Reflect' && REFLECT_APIS.includes(property)) return `Reflect.${property}`;
+    if (base.startsWith('local:') && !base.includes('#')) return `${base}#${property}`;
+    if (base.startsWith('module:') && !base.includes('#')) {
+        if (property === 'default' || (base === 'module:fs' && property === 'promises')) return base;
+        return `${base}#${property}`;
+    }
+    return null;
+}
+
+/**
+ * Resolve an expression to the tracked symbol it refers to, following aliases
+ */
+function resolveSymbol(node, aliases) {
+    if (!node) return null;
+    switch (node.type) {
+        case 'Identifier':
+            if (aliases.has(node.name)) return aliases.get(node.name);
+            if (GLOBAL_OBJECTS.includes(node.name)) return 'global';
+            return TRACKED_GLOBALS.includes(node.name) ? node.name : null;
+        case 'MemberExpression':
+            return resolveMember(resolveSymbol(node.object, aliases), getPropertyName(node));
+        case 'ChainExpression':
+            return resolveSymbol(node.expression, aliases);
+        case 'AwaitExpression':
+            return resolveSymbol(node.argument, aliases);
+        case 'SequenceExpression':
+            return resolveSymbol(node.expressions[node.expressions.length - 1], aliases);
+        case 'ImportExpression': {
+            const specifier = foldConstant(node.source);
+            return specifier === null ? null : getModuleSymbol(specifier);
+        }
+        case 'CallExpression': {
+            const callee = resolveSymbol(node.callee, aliases);
+            if (callee === 'require' || callee === 'process.getBuiltinModule') {
+                const specifier = foldConstant(node.arguments[0]);
+                return specifier === null ? null : getModuleSymbol(specifier);
+            }
+            if (callee === 'Reflect.get') {
+                // Reflect.get(target, key) is target[key]
+                return resolveMember(resolveSymbol(node.arguments[0], aliases), foldConstant(node.arguments[1]));
+            }
+            return callee === 'module:module#createRequire' ? 'require' : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Whether a loop condition is a constant that never becomes false (`for (;;)`, `while (1)`)
+ */
+function isAlwaysTrue(test) {
+    if (!test) return true;
+    if (test.type === 'Literal') return Boolean(test.value);
+    if (test.type === 'UnaryExpression' && test.operator === '!' && test.argument.type === 'Literal') return !test.argument.value;
+    const folded = foldConstant(test);
+    return folded !== null && folded !== '';
+}
+
+/**
+ * Whether a loop body can leave the loop: a `return` or `throw` outside nested functions,
+ * or a `break` that is not taken by a nested loop, switch or label
+ */
+function hasLoopExit(loop) {
+    let exits = false;
+    const nested = (node, state, c) => walk.base[node.type](node, { ...state, breakable: true }, c);
+    walk.recursive(loop.body, { breakable: false, labels: [] }, {
+        Function: () => {},
+        ReturnStatement: () => { exits = true; },
+        ThrowStatement: () => { exits = true; },
+        BreakStatement: (node, state) => {
+            if (node.label ? !state.labels.includes(node.label.name) : !state.breakable) exits = true;
+        },
+        LabeledStatement: (node, state, c) => c(node.body, { ...state, labels: [...state.labels, node.label.name] }),
+        ...Object.fromEntries(BREAKABLE_TYPES.map(type => [type, nested]))
+    });
+    return exits;
+}
+
+/**
+ * List the names a declaration pattern binds
+ */
+function getPatternNames(pattern) {
+    switch (pattern?.type) {
+        case 'Identifier':
+            return [pattern.name];
+        case 'AssignmentPattern':
+            return getPatternNames(pattern.left);
+        case 'RestElement':
+            return getPatternNames(pattern.argument);
+        case 'ArrayPattern':
+            return pattern.elements.flatMap(getPatternNames);
+        case 'ObjectPattern':
+            return pattern.properties.flatMap(property => getPatternNames(property.type === 'RestElement' ? property : property.value));
+        default:
+            return [];
+    }
+}
+
+/**
+ * Build the lexical scopes of a module so aliases are tracked per declaration
+ * Returns a function that gives the alias table visible from a node's ancestors. A name
+ * declared in an inner scope shadows the same name outside it, globals included.
+ */
+function createScopedAliases(ast) {
+    const scopes = new Map();
+    const scopeOf = (ancestors, { functionScope = false } = {}) => {
+        let scope = null;
+        let target = null;
+        for (const node of ancestors) {
+            if (!SCOPE_NODE_TYPES.includes(node.type)) continue;
+            if (!scopes.has(node)) scopes.set(node, { parent: scope, bindings: new Map() });
+            scope = scopes.get(node);
+            if (!functionScope || FUNCTION_SCOPE_TYPES.includes(node.type)) target = scope;
+        }
+        return target;
+    };
+    const declare = (scope, names) => {
+        for (const name of names) {
+            if (!scope.bindings.has(name)) scope.bindings.set(name, { symbol: null });
+        }
+    };
+    const lookup = (scope, name) => {
+        for (let current = scope; current; current = current.parent) {
+            if (current.bindings.has(name)) return current.bindings.get(name);
+        }
+        return null;
+    };
+
+    // Declarations are hoisted to their scope before any alias is resolved
+    walk.fullAncestor(ast, (node, state, ancestors) => {
+        switch (node.type) {
+            case 'ImportDeclaration':
+                declare(scopeOf(ancestors), node.specifiers.map(specifier => specifier.local.name));
+                break;
+            case 'VariableDeclaration':
+                declare(scopeOf(ancestors, { functionScope: node.kind === 'var' }), node.declarations.flatMap(declarator => getPatternNames(declarator.id)));
+                break;
+            case 'ClassDeclaration':
+                if (node.id) declare(scopeOf(ancestors), [node.id.name]);
+                break;
+            case 'FunctionDeclaration':
+                if (node.id) declare(scopeOf(ancestors.slice(0, -1)), [node.id.name]);
+                declare(scopeOf(ancestors), node.params.flatMap(getPatternNames));
+                break;
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                declare(scopeOf(ancestors), [...(node.id ? [node.id.name] : []), ...node.params.flatMap(getPatternNames)]);
+                break;
+            case 'CatchClause':
+                declare(scopeOf(ancestors), getPatternNames(node.param));
+                break;
+        }
+    });
+
+    const root = scopeOf([ast]);
+    return (ancestors) => {
+        const scope = scopeOf(ancestors);
+        return {
+            has: name => lookup(scope, name) !== null,
+            get: name => lookup(scope, name)?.symbol ?? null,
+            set: (name, symbol) => {
+                // Assigning an undeclared name creates an implicit global
+                if (!lookup(scope, name)) declare(root, [name]);
+                lookup(scope, name).symbol = symbol;
+            }
+        };
+    };
+}
+
+/**
+ * Bind the identifiers in a declaration pattern to the symbols they alias
+ * Calls onBind for every destructured property so dangerous picks can be reported
+ */
+function bindPattern(pattern, symbol, aliases, onBind) {
+    if (!pattern || !symbol) return;
+    if (pattern.type === 'AssignmentPattern') {
+        bindPattern(pattern.left, symbol, aliases, onBind);
+    } else if (pattern.type === 'Identifier') {
+        aliases.set(pattern.name, symbol);
+    } else if (pattern.type === 'ObjectPattern') {
+        for (const property of pattern.properties) {
+            if (property.type !== 'Property') continue;
+            const key = property.computed
+                ? foldConstant(property.key)
+                : (property.key.name ?? String(property.key.value));
+            const propertySymbol = resolveMember(symbol, key);
+            if (propertySymbol) {
+                onBind?.(property, propertySymbol);
+                bindPattern(property.value, propertySymbol, aliases, onBind);
+            }
+        }
+    }
+}
+
+/**
+ * Statically analyze integration source code for forbidden APIs
+ *
+ * Parses the code with acorn, resolves aliases of dangerous globals and modules
+ * per lexical scope (including destructuring, dynamic import(), process.getBuiltinModule()
+ * and `node:` specifiers) and reports each finding with its line and column.
+ * `isKitImport(specifier)` tells which relative imports are mercy.js, whose host-only exports are reported.
+ */
+export function analyzeSecurity(code, file = 'src/integration.js', { isKitImport = () => false } = {}) {
+    let ast;
+    try {
+        ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'module', locations: true, allowHashBang: true });
+    } catch (error) {
+        throw new Error(`Syntax error in ${file}: ${error.message}`);
+    }
+
+    const findings = [];
+    const imports = [];
+    const aliasesAt = createScopedAliases(ast);
+    const ignoreBinding = { set: () => {} };
+
+    const report = (rule, node, detail) => {
+        const { severity, message } = SECURITY_RULES[rule];
+        findings.push({
+            rule,
+            severity,
+            message: detail ? `${message}: ${detail}` : message,
+            file,
+            line: node.loc.start.line,
+            column: node.loc.start.column + 1
+        });
+    };
+
+    const reportSymbol = (node, symbol) => {
+        if (symbol === 'process.env') report('processEnv', node);
+        if (PROCESS_NATIVE_APIS.includes(symbol)) report('processBinding', node, symbol);
+        if (symbol === 'eval') report('eval', node);
+        if (symbol?.startsWith('local:') && symbol.includes('#')) {
+            const [specifier, name] = symbol.slice('local:'.length).split('#');
+            if (isKitImport(specifier) && !KIT_INTEGRATION_EXPORTS.includes(name)) report('hostApi', node, name);
+        }
+    };
+
+    // Pass 1: collect aliases. Repeat so aliases of aliases resolve regardless of order.
+    for (let pass = 0; pass < 2; pass++) {
+        walk.fullAncestor(ast, (node, state, ancestors) => {
+            const aliases = aliasesAt(ancestors);
+            if (node.type === 'ImportDeclaration') {
+                const moduleSymbol = getModuleSymbol(node.source.value);
+                for (const specifier of node.specifiers) {
+                    aliases.set(specifier.local.name, specifier.type === 'ImportNamespaceSpecifier'
+                        ? moduleSymbol
+                        : resolveMember(moduleSymbol, specifier.type === 'ImportSpecifier' ? specifier.imported.name ?? specifier.imported.value : 'default'));
+                }
+            } else if (node.type === 'VariableDeclarator') {
+                bindPattern(node.id, resolveSymbol(node.init, aliases), aliases);
+            } else if (node.type === 'AssignmentExpression' && node.operator === '=') {
+                bindPattern(node.left, resolveSymbol(node.right, aliases), aliases);
+            }
+        });
+    }
+
+    const checkModule = (specifier, node, dynamic) => {
+        imports.push({ specifier, dynamic, line: node.loc.start.line, column: node.loc.start.column + 1 });
+        if (isRelativeSpecifier(specifier)) return;
+
+        const moduleName = getModuleName(specifier);
+        if (moduleName === 'child_process') {
+            report('childProcess', node);
+        } else if (moduleName === 'fs') {
+            report('fsAccess', node);
+        } else if (!ALLOWED_DEPENDENCIES.includes(moduleName) && !ALLOWED_BUILTINS.includes(moduleName)) {
+            report('unlistedModule', node, specifier);
+        }
+    };
+
+    // Pass 2: report findings
+    walk.fullAncestor(ast, (node, state, ancestors, type) => {
+        const aliases = aliasesAt(ancestors);
+        switch (node.type) {
+            case 'ImportDeclaration':
+                for (const specifier of node.specifiers) {
+                    if (specifier.type === 'ImportSpecifier') {
+                        reportSymbol(specifier, resolveMember(getModuleSymbol(node.source.value), specifier.imported.name ?? specifier.imported.value));
+                    }
+                }
+                checkModule(node.source.value, node.source, false);
+                break;
+
+            case 'ExportNamedDeclaration':
+            case 'ExportAllDeclaration':
+                if (!node.source) break;
+                if (node.type === 'ExportAllDeclaration') {
+                    reportSymbol(node, `${getModuleSymbol(node.source.value)}#*`);
+                } else {
+                    for (const specifier of node.specifiers) {
+                        reportSymbol(specifier, resolveMember(getModuleSymbol(node.source.value), specifier.local.name ?? specifier.local.value));
+                    }
+                }
+                checkModule(node.source.value, node.source, false);
+                break;
+
+            case 'ImportExpression': {
+                const specifier = foldConstant(node.source);
+                if (specifier === null) {
+                    report('dynamicImport', node);
+                } else {
+                    checkModule(specifier, node, true);
+                }
+                break;
+            }
+
+            case 'VariableDeclarator':
+                bindPattern(node.id, resolveSymbol(node.init, aliases), ignoreBinding, reportSymbol);
+                break;
+
+            case 'Identifier':
+                // Only plain references; aliases were reported where they were created
+                if (type === 'Identifier' || type === 'Expression') {
+                    if (node.name === 'eval' && !aliases.has(node.name)) report('eval', node);
+                }
+                break;
+
+            case 'MemberExpression': {
+                const objectSymbol = resolveSymbol(node.object, aliases);
+                const symbol = resolveMember(objectSymbol, getPropertyName(node));
+                if (objectSymbol === 'global' && node.computed && getPropertyName(node) === null) {
+                    report('dynamicGlobal', node);
+                }
+                reportSymbol(node, symbol);
+                break;
+            }
+
+            case 'NewExpression':
+            case 'CallExpression': {
+                let callee = resolveSymbol(node.callee, aliases);
+                let args = node.arguments;
+
+                if (callee === 'Reflect.get') {
+                    // Same checks as the computed member access target[key]
+                    const objectSymbol = resolveSymbol(node.arguments[0], aliases);
+                    const key = foldConstant(node.arguments[1]);
+                    if (objectSymbol === 'global' && key === null) report('dynamicGlobal', node);
+                    reportSymbol(node, resolveMember(objectSymbol, key));
+                } else if (callee === 'Reflect.apply') {
+                    // Reflect.apply(fn, thisArg, [args]) is fn(...args)
+                    callee = resolveSymbol(node.arguments[0], aliases);
+                    args = node.arguments[2]?.type === 'ArrayExpression' ? node.arguments[2].elements : [];
+                }
+
+                if (callee === 'Function') {
+                    report('functionConstructor', node);
+                } else if (node.callee.type === 'MemberExpression' && getPropertyName(node.callee) === 'constructor' && node.arguments.length > 0) {
+                    // (() => {}).constructor('code') reaches the Function constructor
+                    report('functionConstructor', node);
+                }
+
+                if (node.type !== 'CallExpression' || !callee) break;
+
+                if (callee === 'require' || callee === 'process.getBuiltinModule') {
+                    const specifier = foldConstant(args[0]);
+                    if (specifier === null) {
+                        report('dynamicImport', node);
+                    } else {
+                        checkModule(specifier, node, false);
+                    }
+                } else if (callee === 'fetch' || callee === 'module:axios' || callee.startsWith('module:axios#')) {
+                    report('directHttp', node, callee === 'fetch' ? 'fetch()' : callee.replace('module:', '').replace('#', '.'));
+                } else if ((callee === 'setTimeout' || callee === 'setInterval') && foldConstant(args[0]) !== null) {
+                    report(callee === 'setTimeout' ? 'stringTimeout' : 'stringInterval', node);
+                } else if (callee.startsWith('module:child_process#')) {
+                    const method = callee.split('#')[1];
+                    if (CHILD_PROCESS_EXEC.includes(method)) report('processExec', node);
+                    if (CHILD_PROCESS_SPAWN.includes(method)) report('processSpawn', node);
+                } else if (callee.startsWith('module:fs#')) {
+                    const method = callee.split('#')[1];
+                    if (FS_WRITE_METHODS.includes(method)) report('fsWrite', node);
+                    if (FS_DELETE_METHODS.includes(method)) report('fsDelete', node);
+                    if (FS_RMDIR_METHODS.includes(method)) report('fsRmdir', node);
+                }
+                break;
+            }
+
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+            case 'ForStatement':
+                if (isAlwaysTrue(node.test) && !hasLoopExit(node)) report('infiniteLoop', node);
+                break;
+        }
+    });
+
+    findings.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { findings, imports, capabilities: inferCapabilities(ast, file) };
+}
+
+// Discord events delivered to each IntegrationTemplate hook an integration overrides
+const HOOK_EVENTS = {
+    onMessage: 'messageCreate',
+    onMemberJoin: 'guildMemberAdd',
+    onMemberLeave: 'guildMemberRemove',
+    onInteraction: 'interactionCreate',
+    onModerationAction: 'guildAuditLogEntryCreate',
+    handleSlashCommand: 'interactionCreate',
+    handleButton: 'interactionCreate',
+    handleSelectMenu: 'interactionCreate',
+    handleModalSubmit: 'interactionCreate',
+    handleAutocomplete: 'interactionCreate'
+};
+
+// Permissions used by the default IntegrationTemplate behavior reached through super.<hook>()
+const TEMPLATE_HOOK_PERMISSIONS = {
+    onMessage: ['ViewChannel', 'SendMessages', 'EmbedLinks'],
+    onMemberJoin: ['ViewChannel', 'SendMessages', 'EmbedLinks'],
+    onInteraction: ['EmbedLinks'],
+    handleSlashCommand: ['EmbedLinks']
+};
+
+// discord.js methods and the permissions calling them requires
+const METHOD_PERMISSIONS = {
+    send: ['ViewChannel', 'SendMessages'],
+    reply: ['ViewChannel', 'SendMessages'],
+    react: ['ViewChannel', 'AddReactions'],
+    ban: ['BanMembers'],
+    unban: ['BanMembers'],
+    kick: ['KickMembers'],
+    timeout: ['ModerateMembers'],
+    disableCommunicationUntil: ['ModerateMembers'],
+    bulkDelete: ['ManageMessages'],
+    pin: ['ManageMessages'],
+    unpin: ['ManageMessages'],
+    startThread: ['CreatePublicThreads'],
+    setArchived: ['ManageThreads'],
+    setLocked: ['ManageThreads']
+};
+
+// discord.js manager methods (e.g. member.roles.add) and what they require
+const MANAGER_CAPABILITIES = {
+    roles: { add: ['ManageRoles'], remove: ['ManageRoles'], set: ['ManageRoles'], create: ['ManageRoles'] },
+    bans: { create: ['BanMembers'], remove: ['BanMembers'] },
+    messages: { fetch: ['ViewChannel', 'ReadMessageHistory'] },
+    threads: { create: ['CreatePublicThreads'] },
+    members: { fetch: ['intent:GuildMembers'] }
+};
+
+const CLASS_PERMISSIONS = { EmbedBuilder: ['EmbedLinks'], AttachmentBuilder: ['AttachFiles'] };
+
+// Storage writes, and the names that mark their key as a user's id (message.author.id, userId, ...)
+const STORAGE_WRITE_METHODS = ['set', 'increment'];
+const USER_REFERENCE_PATTERN = /^(user|member|author|target)(Id)?$/i;
+const PAYLOAD_PERMISSIONS = { embeds: ['EmbedLinks'], files: ['AttachFiles'] };
+const PROPERTY_INTENTS = { content: 'MessageContent', presence: 'GuildPresences', voice: 'GuildVoiceStates' };
+const EVENT_INTENTS = {
+    messageCreate: 'GuildMessages',
+    messageUpdate: 'GuildMessages',
+    messageDelete: 'GuildMessages',
+    guildMemberAdd: 'GuildMembers',
+    guildMemberRemove: 'GuildMembers',
+    guildMemberUpdate: 'GuildMembers',
+    voiceStateUpdate: 'GuildVoiceStates',
+    guildAuditLogEntryCreate: 'GuildModeration'
+};
+// Permissions the bot needs before Discord sends it an event
+const EVENT_PERMISSIONS = { guildAuditLogEntryCreate: ['ViewAuditLog'] };
+
+// Permissions and intents that cannot be inferred from code, so are never reported as unused
+const UNVERIFIABLE_PERMISSIONS = ['UseExternalEmojis', 'UseSlashCommands', 'CreatePrivateThreads'];
+const IMPLICIT_INTENTS = ['Guilds'];
+
+/**
+ * Infer the Discord permissions, intents and events a module uses
+ */
+function inferCapabilities(ast, file) {
+    const capabilities = [];
+    const lookup = (map, key) => (typeof key === 'string' && Object.hasOwn(map, key) ? map[key] : undefined);
+    const use = (kind, name, node) => {
+        capabilities.push({ kind, name, file, line: node.loc.start.line, column: node.loc.start.column + 1 });
+    };
+    const useAll = (names, node) => {
+        for (const name of names) {
+            if (name.startsWith('intent:')) {
+                use('intent', name.slice('intent:'.length), node);
+            } else {
+                use('permission', name, node);
+            }
+        }
+    };
+
+    // Variables and this.<property> holding a storage collection, e.g. const points = this.storage.collection('points')
+    const isCollectionCall = (node) => node?.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+        getPropertyName(node.callee) === 'collection' &&
+        node.callee.object.type === 'MemberExpression' && getPropertyName(node.callee.object) === 'storage';
+    const collectionName = (node) => {
+        if (node.type === 'Identifier') return node.name;
+        return node.type === 'MemberExpression' && node.object.type === 'ThisExpression' ? `this.${getPropertyName(node)}` : null;
+    };
+    const collections = new Set();
+    const trackCollection = (target, value) => {
+        if (isCollectionCall(value) && collectionName(target)) collections.add(collectionName(target));
+    };
+    walk.full(ast, (node) => {
+        if (node.type === 'VariableDeclarator') trackCollection(node.id, node.init);
+        if (node.type === 'AssignmentExpression') trackCollection(node.left, node.right);
+    });
+    const referencesUser = (node) => {
+        let found = false;
+        walk.full(node, (child) => {
+            const name = child.type === 'Identifier' ? child.name : (child.type === 'MemberExpression' && !child.computed ? child.property.name : null);
+            if (name && USER_REFERENCE_PATTERN.test(name)) found = true;
+        });
+        return found;
+    };
+
+    walk.full(ast, (node) => {
+        switch (node.type) {
+            case 'MethodDefinition': {
+                const event = lookup(HOOK_EVENTS, node.key.name);
+                if (event && !node.static) use('event', event, node);
+                if (node.key.name === 'onDeleteUserData' && !node.static) use('deletionHook', 'onDeleteUserData', node);
+                break;
+            }
+
+            case 'NewExpression':
+                if (node.callee.type === 'Identifier' && lookup(CLASS_PERMISSIONS, node.callee.name)) {
+                    useAll(CLASS_PERMISSIONS[node.callee.name], node);
+                }
+                break;
+
+            case 'CallExpression': {
+                if (node.callee.type !== 'MemberExpression') break;
+                const method = getPropertyName(node.callee);
+                const target = node.callee.object;
+
+                const managerMethods = target.type === 'MemberExpression' ? lookup(MANAGER_CAPABILITIES, getPropertyName(target)) : undefined;
+
+                if (STORAGE_WRITE_METHODS.includes(method) && (isCollectionCall(target) || collections.has(collectionName(target))) &&
+                    node.arguments.length > 0 && referencesUser(node.arguments[0])) {
+                    use('userData', method, node);
+                }
+
+                if (target.type === 'Super' && lookup(TEMPLATE_HOOK_PERMISSIONS, method)) {
+                    useAll(TEMPLATE_HOOK_PERMISSIONS[method], node);
+                } else if (managerMethods && lookup(managerMethods, method)) {
+                    useAll(managerMethods[method], node);
+                } else if (lookup(METHOD_PERMISSIONS, method)) {
+                    useAll(METHOD_PERMISSIONS[method], node);
+                } else if (method === 'delete' && node.arguments.length === 0) {
+                    // message.delete(); Map#delete always takes a key
+                    useAll(['ManageMessages'], node);
+                }
+
+                for (const argument of node.arguments) {
+                    if (argument.type !== 'ObjectExpression') continue;
+                    for (const property of argument.properties) {
+                        const key = property.type === 'Property' && !property.computed ? property.key.name : null;
+                        if (lookup(PAYLOAD_PERMISSIONS, key)) useAll(PAYLOAD_PERMISSIONS[key], property);
+                    }
+                }
+                break;
+            }
+
+            case 'MemberExpression': {
+                const intent = node.computed ? undefined : lookup(PROPERTY_INTENTS, node.property.name);
+                if (intent && node.object.type !== 'ThisExpression') use('intent', intent, node);
+                break;
+            }
+        }
+    });
+
+    return capabilities;
+}
+
+/**
+ * Locate a value inside a manifest array (e.g. "BanMembers" in "permissions")
+ */
+function locateInManifest(manifestText, key, value) {
+    const keyIndex = manifestText.indexOf(`"${key}"`);
+    const index = keyIndex === -1 ? -1 : manifestText.indexOf(`"${value}"`, keyIndex);
+    if (index === -1) return {};
+
+    const before = manifestText.slice(0, index).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Compare the capabilities the code uses with those the manifest declares
+ * Reports capabilities used without being declared, and declared ones the code never uses
+ */
+export function checkCapabilities(config, capabilities, manifestText = '') {
+    const findings = [];
+    const report = (rule, name, location) => {
+        const { severity, message } = SECURITY_RULES[rule];
+        findings.push({ rule, severity, message: `${message}: ${name}`, ...location });
+    };
+    const manifestLocation = (key, value) => ({ file: 'mercy-integration.json', ...locateInManifest(manifestText, key, value) });
+
+    const firstUse = (kind) => {
+        const uses = new Map();
+        for (const capability of capabilities) {
+            if (capability.kind === kind && !uses.has(capability.name)) uses.set(capability.name, capability);
+        }
+        return uses;
+    };
+
+    const declaredEvents = config.events || [];
+    const declaredPermissions = config.permissions || [];
+    const declaredIntents = config.intents || [];
+
+    // Events, including interactionCreate for manifest commands routed by the template
+    const usedEvents = firstUse('event');
+    const commands = config.commands || [];
+    if (commands.length > 0 && !usedEvents.has('interactionCreate')) {
+        usedEvents.set('interactionCreate', manifestLocation('commands', commands[0].name));
+    }
+    for (const [event, use] of usedEvents) {
+        if (!declaredEvents.includes(event)) report('undeclaredEvent', event, use);
+    }
+    for (const event of declaredEvents) {
+        if (!usedEvents.has(event)) report('unusedEvent', event, manifestLocation('events', event));
+    }
+
+    // Permissions, from code and from every event the integration receives
+    const usedPermissions = firstUse('permission');
+    for (const event of new Set([...usedEvents.keys(), ...declaredEvents])) {
+        for (const permission of EVENT_PERMISSIONS[event] || []) {
+            if (!usedPermissions.has(permission)) {
+                usedPermissions.set(permission, usedEvents.get(event) || manifestLocation('events', event));
+            }
+        }
+    }
+    for (const [permission, use] of usedPermissions) {
+        if (!declaredPermissions.includes(permission)) report('undeclaredPermission', permission, use);
+    }
+    for (const permission of declaredPermissions) {
+        if (!usedPermissions.has(permission) && !UNVERIFIABLE_PERMISSIONS.includes(permission)) {
+            report('unusedPermission', permission, manifestLocation('permissions', permission));
+        }
+    }
+
+    // Intents, from code access and from every event the integration receives
+    const usedIntents = firstUse('intent');
+    for (const event of new Set([...usedEvents.keys(), ...declaredEvents])) {
+        const intent = EVENT_INTENTS[event];
+        if (intent && !usedIntents.has(intent)) {
+            usedIntents.set(intent, usedEvents.get(event) || manifestLocation('events', event));
+        }
+    }
+    for (const [intent, use] of usedIntents) {
+        if (!declaredIntents.includes(intent)) report('undeclaredIntent', intent, use);
+    }
+    for (const intent of declaredIntents) {
+        if (!usedIntents.has(intent) && !IMPLICIT_INTENTS.includes(intent)) {
+            report('unusedIntent', intent, manifestLocation('intents', intent));
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Resolve a relative import to a file on disk
+ * Node's ESM loader adds no extensions and no index.js, so only the exact path is tried.
+ */
+async function resolveLocalImport(fromFile, specifier) {
+    const target = path.resolve(path.dirname(fromFile), specifier);
+    try {
+        if ((await fs.stat(target)).isFile()) return target;
+    } catch {
+        // Missing files are reported as unresolved
+    }
+    return null;
+}
+
+/**
+ * Analyze every local module reachable from the entry points
+ * Imports of the kit's own mercy.js are allowed, apart from its host-only exports; any
+ * other import that leaves the integration directory is reported. `kitPath` is where that
+ * import is expected, which is this mercy.js unless the integration was copied elsewhere.
+ */
+export async function analyzeImportGraph(integrationDir, entries = 'src/integration.js', { kitPath = __filename } = {}) {
+    const root = path.resolve(integrationDir);
+    const files = [];
+    const visited = new Set();
+    const queue = [].concat(entries).map(entry => path.join(root, entry));
+
+    while (queue.length > 0) {
+        const filePath = queue.shift();
+        if (visited.has(filePath)) continue;
+        visited.add(filePath);
+
+        const file = path.relative(root, filePath).split(path.sep).join('/');
+        const { findings, imports, capabilities } = analyzeSecurity(await fs.readFile(filePath, 'utf8'), file, {
+            isKitImport: specifier => path.resolve(path.dirname(filePath), specifier) === kitPath
+        });
+
+        const report = (rule, { line, column }, detail) => {
+            const { severity, message } = SECURITY_RULES[rule];
+            findings.push({ rule, severity, message: `${message}: ${detail}`, file, line, column });
+        };
+
+        for (const imported of imports) {
+            if (!isRelativeSpecifier(imported.specifier)) continue;
+
+            const target = path.resolve(path.dirname(filePath), imported.specifier);
+            if (target === kitPath) continue; // The M.E.R.C.Y SDK itself
+
+            if (target !== root && !target.startsWith(root + path.sep)) {
+                report('escapingImport', imported, imported.specifier);
+                continue;
+            }
+
+            const resolved = await resolveLocalImport(filePath, imported.specifier);
+            if (!resolved) {
+                report('unresolvedImport', imported, path.posix.extname(imported.specifier)
+                    ? imported.specifier
+                    : `${imported.specifier} (ES module imports need the full file name, e.g. ${imported.specifier}.js)`);
+            } else if (/\.(c|m)?js$/.test(resolved)) {
+                queue.push(resolved);
+            }
+        }
+
+        findings.sort((a, b) => a.line - b.line || a.column - b.column);
+        files.push({ file, findings, capabilities });
+    }
+
+    return files;
+}
+
+const REQUIRED_FILES = [
+    'mercy-integration.json',
+    'package.json',
+    'src/integration.js',
+    'README.md'
+];
+
+const SCHEMA_PATH = path.join(__dirname, 'mercy-integration.schema.json');
+
+// Severity and score deduction per manifest location, matching the original hand-written checks.
+// Any other schema violation is an error costing 10 points, like a missing required field.
+const SCHEMA_VIOLATION_RULES = {
+    '/version': { severity: 'warning', deduction: 5, hint: 'use semantic versioning (x.y.z)' },
+    '/id': { severity: 'error', deduction: 15, hint: 'use lowercase letters, numbers, hyphens, and underscores only' },
+    '/category': { severity: 'warning', deduction: 5 }
+};
+
+let manifestValidator;
+
+/**
+ * Compile mercy-integration.schema.json once and reuse it
+ */
+async function getManifestValidator() {
+    if (!manifestValidator) {
+        const schema = JSON.parse(await fs.readFile(SCHEMA_PATH, 'utf8'));
+        const ajv = new Ajv2020({ allErrors: true, strict: false });
+        addFormats(ajv);
+        manifestValidator = ajv.compile(schema);
+    }
+    return manifestValidator;
+}
+
+/**
+ * Validate a manifest object against mercy-integration.schema.json
+ * Returns one violation per failing JSON pointer, each with a severity and score deduction
+ */
+export async function validateManifest(config) {
+    const validate = await getManifestValidator();
+    if (validate(config)) return [];
+
+    const violations = new Map();
+    for (const error of validate.errors) {
+        const pointer = error.keyword === 'required'
+            ? `${error.instancePath}/${error.params.missingProperty}`
+            : error.instancePath || '/';
+        if (violations.has(pointer)) continue;
+
+        const rule = SCHEMA_VIOLATION_RULES[pointer] || { severity: 'error', deduction: 10 };
+        let message;
+        if (error.keyword === 'required') {
+            message = `Missing required config field: ${pointer}`;
+        } else {
+            message = `Invalid config at ${pointer}: ${error.message}`;
+            if (error.keyword === 'enum') message += ` (${error.params.allowedValues.join(', ')})`;
+            if (rule.hint) message += `, ${rule.hint}`;
+        }
+
+        violations.set(pointer, { pointer, keyword: error.keyword, message, severity: rule.severity, deduction: rule.deduction });
+    }
+
+    return [...violations.values()];
+}
+
+/**
+ * Validate a M.E.R.C.Y integration
+ *
+ * Returns the results object instead of exiting, so it can be used from other tooling.
+ * Pass `quiet: true` to suppress the human-readable progress output, and `kitPath` when the
+ * integration's mercy.js import points somewhere other than this file (see analyzeImportGraph).
+ */
+export async function validateIntegration(targetDir = process.cwd(), { quiet = false, kitPath = __filename } = {}) {
+    const log = quiet ? () => {} : console.log;
+
+    log('🔍 M.E.R.C.Y Integration Validator');
+    log('='.repeat(35));
+    log('');
+
+    const integrationDir = path.resolve(targetDir);
+    const results = {
+        integration: path.basename(integrationDir),
+        errors: [],
+        warnings: [],
+        findings: [], // Structured form of errors and warnings, used by the report formats
+        score: 100,
+        isValid: true
+    };
+
+    /**
+     * Record an error or warning and deduct it from the score
+     */
+    const addFinding = ({ severity, category, ruleId, message, file, line, column, deduction = 0 }) => {
+        (severity === 'error' ? results.errors : results.warnings).push(message);
+        results.findings.push({ severity, category, ruleId, message, file, line, column });
+        results.score -= deduction;
+    };
+    const resolve = (file) => path.join(integrationDir, file);
+
+    // Security rules deduct once per rule, but every location is listed
+    const penalizedRules = new Set();
+    const addSecurityFinding = (finding) => {
+        const location = finding.line ? `${finding.file}:${finding.line}:${finding.column}` : finding.file;
+        const label = `${finding.severity.toUpperCase()}: ${finding.message} (${location})`;
+        const penalize = !penalizedRules.has(finding.rule);
+        penalizedRules.add(finding.rule);
+
+        addFinding({
+            severity: finding.severity === 'medium' ? 'warning' : 'error',
+            category: 'security',
+            ruleId: `security/${finding.rule}`,
+            message: label,
+            file: finding.file,
+            line: finding.line,
+            column: finding.column,
+            deduction: penalize ? SECURITY_DEDUCTIONS[finding.severity] : 0
+        });
+        log(`    ${finding.severity === 'critical' ? '❌' : '⚠️ '} ${label}`);
+    };
+    let config = null;
+    let manifestText = '';
+
+    try {
+        log(`📁 Validating: ${results.integration}`);
+        log('');
+
+        // Validate file structure
+        log('📋 Checking file structure...');
+        for (const file of REQUIRED_FILES) {
+            try {
+                await fs.access(resolve(file));
+                log(`  ✅ ${file}`);
+            } catch {
+                addFinding({ severity: 'error', category: 'structure', ruleId: 'missing-file', message: `Missing required file: ${file}`, file, deduction: 20 });
+                log(`  ❌ ${file} (missing)`);
+            }
+        }
+        log('');
+
+        // Validate configuration
+        if (results.errors.length === 0 || results.errors.every(e => !e.includes('mercy-integration.json'))) {
+            log('⚙️  Validating configuration...');
+            try {
+                manifestText = await fs.readFile(resolve('mercy-integration.json'), 'utf8');
+                config = JSON.parse(manifestText);
+
+                // Check the manifest against mercy-integration.schema.json
+                const violations = await validateManifest(config);
+                for (const violation of violations) {
+                    addFinding({
+                        severity: violation.severity,
+                        category: 'configuration',
+                        ruleId: `schema/${violation.keyword}`,
+                        message: violation.message,
+                        file: 'mercy-integration.json',
+                        deduction: violation.deduction
+                    });
+                    log(`  ${violation.severity === 'error' ? '❌' : '⚠️ '} ${violation.message}`);
+                }
+
+                if (violations.length === 0) {
+                    log('  ✅ Configuration matches mercy-integration.schema.json');
+                }
+
+                // Check setting defaults and ranges the schema cannot express
+                if (config && typeof config.settings === 'object') {
+                    for (const message of await checkSettingDefinitions(config.settings)) {
+                        addFinding({ severity: 'error', category: 'configuration', ruleId: 'settings/invalid-definition', message, file: 'mercy-integration.json', deduction: 10 });
+                        log(`  ❌ ${message}`);
+                    }
+                }
+
+                // Manifest commands are routed to src/commands/<name>.js
+                const commands = Array.isArray(config?.commands) ? config.commands.filter(command => typeof command?.name === 'string') : [];
+                for (const command of commands) {
+                    try {
+                        await fs.access(resolve(`src/commands/${command.name}.js`));
+                    } catch {
+                        const message = `No handler module for /${command.name}, expected src/commands/${command.name}.js`;
+                        addFinding({ severity: 'warning', category: 'configuration', ruleId: 'commands/missing-handler', message, file: 'mercy-integration.json', deduction: 5 });
+                        log(`  ⚠️  ${message}`);
+                    }
+                }
+
+            } catch (error) {
+                addFinding({ severity: 'error', category: 'configuration', ruleId: 'invalid-manifest', message: `Invalid mercy-integration.json: ${error.message}`, file: 'mercy-integration.json', deduction: 25 });
+            }
+            log('');
+        }
+
+        // Validate package.json
+        if (results.errors.length === 0 || results.errors.every(e => !e.includes('package.json'))) {
+            log('📦 Validating package.json...');
+            const packageFinding = (severity, ruleId, message, deduction) => addFinding({ severity, category: 'package', ruleId, message, file: 'package.json', deduction });
+            try {
+                const packageData = await fs.readFile(resolve('package.json'), 'utf8');
+                const pkg = JSON.parse(packageData);
+
+                // Check required fields
+                if (!pkg.name) {
+                    packageFinding('warning', 'package-name', 'Missing package name', 5);
+                }
+                if (!pkg.version) {
+                    packageFinding('warning', 'package-version', 'Missing package version', 5);
+                }
+                if (pkg.type !== 'module') {
+                    packageFinding('warning', 'package-type', 'Package should use ES modules (type: "module")', 5);
+                }
+
+                // Check dependencies
+                if (pkg.dependencies) {
+                    for (const dep of Object.keys(pkg.dependencies)) {
+                        if (!ALLOWED_DEPENDENCIES.includes(dep)) {
+                            packageFinding('error', 'unauthorized-dependency', `Unauthorized dependency: ${dep}`, 15);
+                        }
+                    }
+                }
+
+                log('  ✅ Package configuration valid');
+            } catch (error) {
+                packageFinding('error', 'invalid-package', `Invalid package.json: ${error.message}`, 20);
+            }
+            log('');
+        }
+
+        // Validate integration code
+        if (results.errors.length === 0 || results.errors.every(e => !e.includes('src/integration.js'))) {
+            log('🔒 Performing security analysis...');
+            const codeFinding = (severity, ruleId, message, deduction) => addFinding({ severity, category: 'security', ruleId, message, file: 'src/integration.js', deduction });
+            try {
+                const codeData = await fs.readFile(resolve('src/integration.js'), 'utf8');
+
+                // Command and event handler modules are loaded by the kit, so they are entry points too
+                const entries = ['src/integration.js'];
+                for (const command of config?.commands || []) {
+                    const file = `src/commands/${command?.name}.js`;
+                    if (typeof command?.name === 'string' && await fs.access(resolve(file)).then(() => true, () => false)) entries.push(file);
+                }
+                const eventFiles = (await listFiles(integrationDir, 'src/events').catch(() => []))
+                    .filter(file => /^src\/events\/[^/]+\.js$/.test(file));
+                entries.push(...eventFiles);
+
+                // Check for security violations in every reachable local module
+                const analyzedFiles = await analyzeImportGraph(integrationDir, entries, { kitPath });
+                let violationsFound = false;
+                for (const { file, findings } of analyzedFiles) {
+                    log(`  📄 ${file}`);
+                    findings.forEach(addSecurityFinding);
+                    violationsFound = violationsFound || findings.length > 0;
+                }
+
+                if (!violationsFound) {
+                    log('  ✅ No security violations detected');
+                }
+
+                // Cross-check declared permissions, intents and events against code usage
+                if (config) {
+                    log('  🎯 Declared capabilities');
+                    // Each src/events/<eventName>.js file handles its event
+                    const capabilities = analyzedFiles.flatMap(({ capabilities }) => capabilities);
+                    for (const file of eventFiles) {
+                        capabilities.push({ kind: 'event', name: path.posix.basename(file, '.js'), file, line: 1, column: 1 });
+                    }
+                    const capabilityFindings = checkCapabilities(config, capabilities, manifestText);
+                    capabilityFindings.forEach(addSecurityFinding);
+                    if (capabilityFindings.length === 0) {
+                        log('    ✅ Permissions, intents and events match code usage');
+                    }
+
+                    // Data keyed by user IDs has to be erasable when a user asks for deletion
+                    const userData = capabilities.find(capability => capability.kind === 'userData');
+                    if (userData && !capabilities.some(capability => capability.kind === 'deletionHook')) {
+                        const message = `Stores data keyed by user IDs (${userData.file}:${userData.line}) but does not implement onDeleteUserData()`;
+                        addFinding({ severity: 'warning', category: 'privacy', ruleId: 'privacy/missing-deletion-hook', message, file: userData.file, line: userData.line, column: userData.column, deduction: 5 });
+                        log(`    ⚠️  ${message}`);
+                    }
+                }
+
+                // Check code structure
+                if (!codeData.includes('export default class')) {
+                    codeFinding('error', 'default-export', 'Integration must export a default class', 25);
+                }
+
+                if (!codeData.includes('async onLoad()')) {
+                    codeFinding('warning', 'on-load', 'Integration should implement onLoad() method', 5);
+                }
+
+                // Calculate complexity
+                const lines = codeData.split('\n').length;
+                const functions = (codeData.match(/function|=>/g) || []).length;
+                const complexity = lines + (functions * 2);
+
+                if (complexity > 1000) {
+                    codeFinding('warning', 'complexity', `High code complexity: ${complexity} (consider simplifying)`, 10);
+                } else {
+                    log(`  ✅ Code complexity: ${complexity} (acceptable)`);
+                }
+
+            } catch (error) {
+                codeFinding('error', 'unreadable-code', `Cannot read integration code: ${error.message}`, 30);
+            }
+            log('');
+        }
+
+        // Additional validations
+        log('📝 Additional checks...');
+
+        // Check README
+        try {
+            const readme = await fs.readFile(resolve('README.md'), 'utf8');
+            if (readme.length < 100) {
+                addFinding({ severity: 'warning', category: 'additional', ruleId: 'readme-length', message: 'README.md is very short, consider adding more documentation', file: 'README.md', deduction: 5 });
+            }
+            log('  ✅ README.md exists and has content');
+        } catch {
+            log('  ⚠️  README.md missing or unreadable');
+        }
+
+        // Check for test files
+        try {
+            await fs.access(resolve('test'));
+            log('  ✅ Test directory found');
+        } catch {
+            addFinding({ severity: 'warning', category: 'additional', ruleId: 'tests', message: 'No test directory found, consider adding tests', deduction: 5 });
+        }
+
+        log('');
+
+    } catch (error) {
+        addFinding({ severity: 'error', category: 'structure', ruleId: 'validator-error', message: `Validation error: ${error.message}` });
+    }
+
+    // Final validation
+    results.isValid = results.errors.length === 0 && results.score >= 70;
+
+    // Display results
+    log('📊 Validation Results');
+    log('='.repeat(20));
+
+    if (results.errors.length > 0) {
+        log('\n❌ ERRORS:');
+        results.errors.forEach(error => log(`  • ${error}`));
+    }
+
+    if (results.warnings.length > 0) {
+        log('\n⚠️  WARNINGS:');
+        results.warnings.forEach(warning => log(`  • ${warning}`));
+    }
+
+    log(`\n📈 Security Score: ${results.score}/100`);
+
+    if (results.isValid) {
+        log('\n🎉 Integration validation passed!');
+        log('✅ Ready for submission to M.E.R.C.Y marketplace');
+    } else {
+        log('\n❌ Integration validation failed');
+        log('Please fix all errors before submitting');
+    }
+
+    return results;
+}
+
+// ============================================================================
+// VALIDATION REPORT FORMATS
+// ============================================================================
+
+const VALIDATOR_NAME = 'mercy-integration-validator';
+const VALIDATOR_VERSION = '1.0.0';
+
+const FINDING_CATEGORIES = {
+    structure: 'File structure',
+    configuration: 'Configuration',
+    package: 'Package',
+    security: 'Security analysis',
+    privacy: 'Privacy',
+    additional: 'Additional checks'
+};
+
+// JUnit test case for findings whose category is not in FINDING_CATEGORIES
+const OTHER_FINDINGS_CATEGORY = 'Other checks';
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render validation results as JSON
+ */
+function formatJsonReport(results) {
+    return JSON.stringify(results, null, 2);
+}
+
+/**
+ * Render validation results as SARIF 2.1.0 for code-scanning annotations
+ */
+function formatSarifReport(results) {
+    const ruleIds = [...new Set(results.findings.map(finding => finding.ruleId))];
+    const describeRule = (id) => id.startsWith('security/')
+        ? SECURITY_RULES[id.slice('security/'.length)].message
+        : results.findings.find(finding => finding.ruleId === id).message;
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: VALIDATOR_NAME,
+                    version: VALIDATOR_VERSION,
+                    informationUri: 'https://docs.mercy-bot.com/integrations',
+                    rules: ruleIds.map(id => ({ id, shortDescription: { text: describeRule(id) } }))
+                }
+            },
+            results: results.findings.map(finding => ({
+                ruleId: finding.ruleId,
+                ruleIndex: ruleIds.indexOf(finding.ruleId),
+                level: finding.severity,
+                message: { text: finding.message },
+                ...(finding.file && {
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: { uri: finding.file },
+                            ...(finding.line && { region: { startLine: finding.line, startColumn: finding.column } })
+                        }
+                    }]
+                })
+            })),
+            properties: { score: results.score, isValid: results.isValid }
+        }]
+    }, null, 2);
+}
+
+/**
+ * Render validation results as JUnit XML, one test case per check category
+ * Findings of an unknown category go to an extra OTHER_FINDINGS_CATEGORY test case rather than being dropped.
+ */
+function formatJUnitReport(results) {
+    const known = (finding) => Object.hasOwn(FINDING_CATEGORIES, finding.category);
+    const categories = Object.entries(FINDING_CATEGORIES).map(([category, name]) => [name, finding => finding.category === category]);
+    if (!results.findings.every(known)) categories.push([OTHER_FINDINGS_CATEGORY, finding => !known(finding)]);
+
+    const testCases = categories.map(([name, matches]) => {
+        const findings = results.findings.filter(matches);
+        const errors = findings.filter(finding => finding.severity === 'error');
+        const warnings = findings.filter(finding => finding.severity === 'warning');
+        const describe = finding => finding.file && !finding.message.includes(finding.file)
+            ? `${finding.file}: ${finding.message}`
+            : finding.message;
+
+        let body = '';
+        if (errors.length > 0) {
+            body += `\n      <failure message="${escapeXml(`${errors.length} error(s)`)}" type="error">${escapeXml(errors.map(describe).join('\n'))}</failure>`;
+        }
+        if (warnings.length > 0) {
+            body += `\n      <system-out>${escapeXml(warnings.map(finding => `WARNING: ${describe(finding)}`).join('\n'))}</system-out>`;
+        }
+        return `    <testcase classname="${VALIDATOR_NAME}" name="${escapeXml(name)}">${body}${body ? '\n    ' : ''}</testcase>`;
+    });
+    const failures = testCases.filter(testCase => testCase.includes('<failure')).length;
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${VALIDATOR_NAME}" tests="${testCases.length}" failures="${failures}">`,
+        `  <testsuite name="${escapeXml(results.integration)}" tests="${testCases.length}" failures="${failures}">`,
+        `    <properties><property name="score" value="${results.score}"/></properties>`,
+        ...testCases,
+        '  </testsuite>',
+        '</testsuites>'
+    ].join('\n');
+}
+
+const REPORT_FORMATTERS = {
+    json: formatJsonReport,
+    sarif: formatSarifReport,
+    junit: formatJUnitReport
+};
+
+/**
+ * Render validation results in a machine-readable format (json, sarif or junit)
+ */
+export function formatValidationReport(results, format) {
+    const formatter = REPORT_FORMATTERS[format];
+    if (!formatter) {
+        throw new Error(`Unknown report format: ${format}. Use one of: ${Object.keys(REPORT_FORMATTERS).join(', ')}`);
+    }
+    return formatter(results);
+}
+
+// ============================================================================
+// PART 4: INTEGRATION TESTING
+// ============================================================================
+
+/**
+ * Discord events mapped to the IntegrationTemplate hook that handles them
+ */
+const EVENT_HOOKS = {
+    messageCreate: 'onMessage',
+    guildMemberAdd: 'onMemberJoin',
+    guildMemberRemove: 'onMemberLeave',
+    interactionCreate: 'onInteraction',
+    guildAuditLogEntryCreate: 'onModerationAction'
+};
+
+// AuditLogEvent values of the audit log entries that are moderation actions
+const AUDIT_LOG_MODERATION_ACTIONS = { 20: 'kick', 22: 'ban', 23: 'unban' };
+const AUDIT_LOG_MEMBER_UPDATE = 24;
+
+/**
+ * Turn a discord.js audit log entry into the action onModerationAction receives
+ * Returns null for entries that are not a kick, ban, unban or a timeout being set or lifted.
+ */
+function toModerationAction(entry, guild) {
+    let type = AUDIT_LOG_MODERATION_ACTIONS[entry?.action];
+    if (entry?.action === AUDIT_LOG_MEMBER_UPDATE) {
+        const timeout = (entry.changes || []).find(change => change.key === 'communication_disabled_until');
+        if (timeout) type = timeout.new ? 'timeout' : 'untimeout';
+    }
+    if (!type) return null;
+    return { type, moderator: entry.executor ?? null, target: entry.target ?? null, reason: entry.reason ?? null, guild };
+}
+
+// Every Discord event a manifest can declare, matching the schema's events enum
+const DISCORD_EVENTS = [
+    'messageCreate', 'messageUpdate', 'messageDelete',
+    'guildMemberAdd', 'guildMemberRemove', 'guildMemberUpdate',
+    'guildBanAdd', 'guildBanRemove', 'voiceStateUpdate',
+    'channelCreate', 'channelUpdate', 'channelDelete',
+    'roleCreate', 'roleUpdate', 'roleDelete',
+    'guildAuditLogEntryCreate', 'interactionCreate'
+];
+
+/**
+ * Manifest used when the test runner is pointed at the kit itself
+ */
+const TEMPLATE_TEST_MANIFEST = {
+    id: 'integration-template',
+    name: 'Integration Template',
+    version: '1.0.0',
+    description: 'Base template shipped with the M.E.R.C.Y development kit',
+    category: 'utility',
+    developer: { name: 'M.E.R.C.Y Development Team', email: 'dev-support@mercy-bot.com' },
+    permissions: ['ViewChannel', 'SendMessages', 'EmbedLinks'],
+    events: ['messageCreate', 'guildMemberAdd', 'guildMemberRemove', 'interactionCreate'],
+    settings: {
+        welcomeChannel: { type: 'channel', description: 'Channel to send welcome messages' },
+        welcomeMessage: { type: 'string', default: 'Welcome to the server!', description: 'Message to send to new members' },
+        prefix: { type: 'string', default: '!', description: 'Prefix for text commands' },
+        maxWarnings: { type: 'number', default: 3, min: 1, max: 10, description: 'Warnings before action is taken' }
+    }
+};
+
+let mockIdCounter = 100000000000000000n;
+
+/**
+ * Generate a unique snowflake-like ID for mock objects
+ */
+function nextMockId() {
+    mockIdCounter += 1n;
+    return mockIdCounter.toString();
+}
+
+/**
+ * Normalize a send/reply payload so tests can always inspect `content` and `embeds`
+ */
+function normalizePayload(payload) {
+    if (typeof payload === 'string') {
+        return { content: payload, embeds: [] };
+    }
+    return { embeds: [], ...payload };
+}
+
+/**
+ * Minimal stand-in for the discord.js Collection class
+ */
+export class MockCollection extends Map {
+    find(fn) {
+        for (const value of this.values()) {
+            if (fn(value)) return value;
+        }
+        return undefined;
+    }
+
+    filter(fn) {
+        return new MockCollection([...this.entries()].filter(([, value]) => fn(value)));
+    }
+
+    first() {
+        return this.values().next().value;
+    }
+
+    map(fn) {
+        return [...this.values()].map(fn);
+    }
+
+    some(fn) {
+        return [...this.values()].some(fn);
+    }
+
+    every(fn) {
+        return [...this.values()].every(fn);
+    }
+}
+
+export class MockUser {
+    constructor(id = nextMockId(), username = 'test-user', { bot = false } = {}) {
+        this.id = id;
+        this.username = username;
+        this.tag = username;
+        this.bot = bot;
+        this.createdTimestamp = Date.now() - (30 * 24 * 60 * 60 * 1000);
+    }
+
+    displayAvatarURL() {
+        return 'https://cdn.discordapp.com/embed/avatars/0.png';
+    }
+
+    toString() {
+        return `<@${this.id}>`;
+    }
+}
+
+export class MockChannel {
+    constructor(id = nextMockId(), name = 'general', guild = null) {
+        this.id = id;
+        this.name = name;
+        this.guild = guild;
+        this.sent = []; // Every payload passed to send()
+    }
+
+    async send(payload) {
+        const normalized = normalizePayload(payload);
+        this.sent.push(normalized);
+        return normalized;
+    }
+
+    toString() {
+        return `<#${this.id}>`;
+    }
+}
+
+export class MockRole {
+    constructor(id = nextMockId(), name = 'role', guild = null) {
+        this.id = id;
+        this.name = name;
+        this.guild = guild;
+    }
+
+    toString() {
+        return `<@&${this.id}>`;
+    }
+}
+
+export class MockMember {
+    constructor(user, guild) {
+        this.id = user.id;
+        this.user = user;
+        this.guild = guild;
+        this.roles = {
+            cache: new MockCollection(),
+            add: async (role) => {
+                this.roles.cache.set(role.id ?? role, role);
+            },
+            remove: async (role) => {
+                this.roles.cache.delete(role.id ?? role);
+            }
+        };
+        this.joinedTimestamp = Date.now();
+        this.actions = []; // Moderation actions taken against this member
+    }
+
+    get displayName() {
+        return this.user.username;
+    }
+
+    async ban(options = {}) {
+        this.actions.push({ type: 'ban', ...options });
+    }
+
+    async kick(reason) {
+        this.actions.push({ type: 'kick', reason });
+    }
+
+    async timeout(duration, reason) {
+        this.actions.push({ type: 'timeout', duration, reason });
+    }
+
+    toString() {
+        return `<@${this.id}>`;
+    }
+}
+
+export class MockGuild {
+    constructor(id = nextMockId(), name = 'Test Server') {
+        this.id = id;
+        this.name = name;
+        this.channels = { cache: new MockCollection() };
+        this.members = { cache: new MockCollection() };
+        this.roles = { cache: new MockCollection() };
+    }
+
+    get memberCount() {
+        return this.members.cache.size;
+    }
+
+    addChannel(name, id) {
+        const channel = new MockChannel(id, name, this);
+        this.channels.cache.set(channel.id, channel);
+        return channel;
+    }
+
+    addRole(name, id) {
+        const role = new MockRole(id, name, this);
+        this.roles.cache.set(role.id, role);
+        return role;
+    }
+
+    addMember(user) {
+        const member = new MockMember(user, this);
+        this.members.cache.set(member.id, member);
+        return member;
+    }
+}
+
+export class MockClient {
+    constructor() {
+        this.user = new MockUser(nextMockId(), 'M.E.R.C.Y', { bot: true });
+        this.guilds = { cache: new MockCollection() };
+        this.channels = { cache: new MockCollection() };
+    }
+}
+
+export class MockMessage {
+    constructor({ content = '', author, channel, guild = channel?.guild ?? null, mentions = [] }) {
+        this.id = nextMockId();
+        this.content = content;
+        this.author = author;
+        this.member = guild?.members.cache.get(author.id) ?? null;
+        this.channel = channel;
+        this.guild = guild;
+        this.createdTimestamp = Date.now();
+        this.replies = [];
+        this.reactions = [];
+        this.deleted = false;
+
+        const users = new MockCollection(mentions.map(user => [user.id, user]));
+        this.mentions = {
+            users,
+            has: (user) => users.has(user?.id ?? user)
+        };
+    }
+
+    async reply(payload) {
+        const normalized = normalizePayload(payload);
+        this.replies.push(normalized);
+        return normalized;
+    }
+
+    async react(emoji) {
+        this.reactions.push(emoji);
+    }
+
+    async delete() {
+        this.deleted = true;
+    }
+}
+
+// MockInteraction types for each kind of select menu
+const MOCK_SELECT_TYPES = ['selectMenu', 'userSelect', 'roleSelect', 'channelSelect', 'mentionableSelect'];
+
+export class MockInteraction {
+    constructor({ type = 'command', commandName = null, customId = null, values = [], options = {}, focused = null, fields = {}, user, member = null, guild = null, channel = null }) {
+        this.id = nextMockId();
+        this.type = type;
+        this.commandName = commandName;
+        this.customId = customId;
+        this.values = values;
+        this.user = user;
+        this.member = member;
+        this.guild = guild;
+        this.guildId = guild?.id ?? null;
+        this.channel = channel;
+        this.replies = [];
+        this.replied = false;
+        this.deferred = false;
+        this.modals = []; // Modals shown with showModal
+        this.choices = null; // Autocomplete choices sent with respond
+        this.fields = {
+            getTextInputValue: (customId) => {
+                if (!(customId in fields)) throw new Error(`Missing modal field: ${customId}`);
+                return fields[customId];
+            }
+        };
+
+        const getOption = (name, required = false) => {
+            if (!(name in options)) {
+                if (required) throw new Error(`Missing required option: ${name}`);
+                return null;
+            }
+            return options[name];
+        };
+        this.options = {
+            get: (name, required) => {
+                const value = getOption(name, required);
+                return value === null ? null : { name, value };
+            },
+            getString: getOption,
+            getInteger: getOption,
+            getNumber: getOption,
+            getBoolean: getOption,
+            getUser: getOption,
+            getMember: getOption,
+            getChannel: getOption,
+            getRole: getOption,
+            getMentionable: getOption,
+            getAttachment: getOption,
+            getFocused: (full = false) => (full ? focused : focused?.value ?? null),
+            getSubcommand: () => options.subcommand ?? null
+        };
+    }
+
+    isChatInputCommand() {
+        return this.type === 'command';
+    }
+
+    isButton() {
+        return this.type === 'button';
+    }
+
+    isStringSelectMenu() {
+        return this.type === 'selectMenu';
+    }
+
+    isUserSelectMenu() {
+        return this.type === 'userSelect';
+    }
+
+    isRoleSelectMenu() {
+        return this.type === 'roleSelect';
+    }
+
+    isChannelSelectMenu() {
+        return this.type === 'channelSelect';
+    }
+
+    isMentionableSelectMenu() {
+        return this.type === 'mentionableSelect';
+    }
+
+    isAnySelectMenu() {
+        return MOCK_SELECT_TYPES.includes(this.type);
+    }
+
+    isModalSubmit() {
+        return this.type === 'modal';
+    }
+
+    isAutocomplete() {
+        return this.type === 'autocomplete';
+    }
+
+    isRepliable() {
+        return true;
+    }
+
+    async reply(payload) {
+        this.replied = true;
+        this.replies.push(normalizePayload(payload));
+    }
+
+    async deferReply() {
+        this.deferred = true;
+    }
+
+    async editReply(payload) {
+        this.replies.push(normalizePayload(payload));
+    }
+
+    async followUp(payload) {
+        this.replies.push(normalizePayload(payload));
+    }
+
+    async update(payload) {
+        this.replied = true;
+        this.replies.push(normalizePayload(payload));
+    }
+
+    async showModal(modal) {
+        this.replied = true;
+        this.modals.push(typeof modal.toJSON === 'function' ? modal.toJSON() : modal);
+    }
+
+    async respond(choices) {
+        this.choices = choices;
+    }
+}
+
+/**
+ * Wires an integration instance to mock Discord objects and in-memory M.E.R.C.Y APIs
+ */
+export class IntegrationTestHarness {
+    constructor(IntegrationClass, manifest, { commandHandlers = new Map(), eventHandlers = new Map() } = {}) {
+        this.manifest = manifest;
+        this.commandHandlers = commandHandlers;
+        this.eventHandlers = eventHandlers;
+        this.client = new MockClient();
+        this.guild = new MockGuild();
+        this.client.guilds.cache.set(this.guild.id, this.guild);
+        this.channel = this.guild.addChannel('general');
+        this.client.channels.cache.set(this.channel.id, this.channel);
+        this.user = new MockUser();
+        this.member = this.guild.addMember(this.user);
+
+        // In-memory backing store for the injected API methods
+        this.store = {
+            settings: null,
+            logs: [],
+            logRecords: [],
+            webhooks: [],
+            httpRequests: [],
+            httpResponses: {}, // URL -> { status, headers, data } returned to this.http; anything else is a 404
+            serverConfig: { guildId: this.guild.id, locale: 'en-US' },
+            permissionChecks: [],
+            grantedPermissions: null // null grants everything
+        };
+        this.metrics = new MetricsRegistry();
+        this.dataStore = new MemoryDataStore();
+
+        this.integration = new IntegrationClass(manifest);
+        this.injectApi();
+    }
+
+    /**
+     * Replace the M.E.R.C.Y API stubs with in-memory implementations
+     */
+    injectApi() {
+        const { integration, store } = this;
+
+        const context = { guildId: this.guild.id };
+
+        integration.client = rateLimitDiscord(this.client, integration.rateLimiter, context);
+        integration.guild = rateLimitDiscord(this.guild, integration.rateLimiter, context);
+        integration.commandHandlers = this.commandHandlers;
+        integration.eventHandlers = this.eventHandlers;
+        integration.componentKey = 'mercy-test-component-key';
+        integration.metrics = this.metrics.scope({ integration: this.manifest.id, guild: this.guild.id, version: this.manifest.version });
+        integration.storage = new IntegrationStorage(this.dataStore, this.manifest.id, this.guild.id, { maxRecordSize: this.manifest.resources?.maxFileSize });
+        integration.http = new IntegrationHttp({
+            allowedHosts: this.manifest.network?.allowedHosts,
+            maxResponseSize: this.manifest.resources?.maxFileSize,
+            rateLimiter: integration.rateLimiter,
+            guildId: this.guild.id,
+            adapter: (config) => this.answerHttp(config)
+        });
+        integration.getStoredSettings = async () => (store.settings ? { ...store.settings } : null);
+        integration.updateStoredSettings = async (settings) => {
+            store.settings = { ...settings };
+        };
+        integration.createLogEntry = async (entry) => {
+            store.logs.push(entry);
+        };
+        integration.writeLog = async (record) => {
+            store.logRecords.push(record);
+            writeConsoleLog(record);
+        };
+        integration.sendWebhook = integration.rateLimiter.wrap('sendWebhook', async (name, data) => {
+            if (!findWebhook(this.manifest, name, 'outgoing')) {
+                throw webhookError(`Webhook "${name}" is not declared in the manifest`, { webhook: name });
+            }
+            const delivery = { id: crypto.randomUUID(), webhook: name, status: 'delivered', attempts: 1 };
+            store.webhooks.push({ ...delivery, data });
+            return delivery;
+        }, context);
+        integration.getServerConfig = async () => ({ ...store.serverConfig });
+        integration.checkPermissions = async (userId, permissions) => {
+            store.permissionChecks.push({ userId, permissions });
+            if (!store.grantedPermissions) return true;
+            const granted = store.grantedPermissions[userId] || [];
+            return [].concat(permissions).every(permission => granted.includes(permission));
+        };
+    }
+
+    /**
+     * axios adapter for this.http: records the request and answers from store.httpResponses
+     */
+    async answerHttp(config) {
+        this.store.httpRequests.push({ method: config.method.toUpperCase(), url: config.url, data: config.data ?? null });
+        const { status = 200, headers = {}, data = null } = this.store.httpResponses[config.url] ?? { status: 404 };
+        const body = typeof data === 'string' ? data : JSON.stringify(data);
+        if (Buffer.byteLength(body) > config.maxContentLength) {
+            throw new Error(`maxContentLength size of ${config.maxContentLength} exceeded`);
+        }
+
+        const response = { status, statusText: http.STATUS_CODES[status], headers, data: body, config, request: {} };
+        if (config.validateStatus && !config.validateStatus(status)) {
+            throw Object.assign(new Error(`Request failed with status code ${status}`), { response });
+        }
+        return response;
+    }
+
+    async load() {
+        return measureHook(this.integration.metrics, 'onLoad', () => this.integration.onLoad());
+    }
+
+    async unload() {
+        return measureHook(this.integration.metrics, 'onUnload', () => this.integration.onUnload());
+    }
+
+    /**
+     * Dispatch a Discord event (or a hook name) to the integration
+     */
+    async dispatch(event, ...args) {
+        // discord.js passes the guild after an audit log entry, which has none of its own
+        if (event === 'guildAuditLogEntryCreate' && args.length === 1) args.push(this.guild);
+        const context = { guildId: this.guild.id, userId: getEventUserId(args[0]) };
+        const wrapped = args.map(arg => rateLimitDiscord(arg, this.integration.rateLimiter, context));
+        if (this.integration.eventHandlers.has(event) || typeof this.integration[EVENT_HOOKS[event]] === 'function') {
+            return measureHook(this.integration.metrics, event, () => this.integration.handleEvent(event, ...wrapped));
+        }
+
+        if (typeof this.integration[event] !== 'function') {
+            throw new Error(`Integration has no handler for ${event}`);
+        }
+        return this.integration[event](...wrapped);
+    }
+
+    createUser(username, options) {
+        return new MockUser(undefined, username, options);
+    }
+
+    createMessage({ content = 'Hello world', author = this.user, channel = this.channel, mentions = [] } = {}) {
+        return new MockMessage({ content, author, channel, mentions });
+    }
+
+    createMember(username = 'new-member') {
+        return this.guild.addMember(new MockUser(undefined, username));
+    }
+
+    createInteraction(options = {}) {
+        return new MockInteraction({
+            user: this.user,
+            member: this.member,
+            guild: this.guild,
+            channel: this.channel,
+            ...options
+        });
+    }
+
+    createModerationAction({ type = 'kick', moderator = this.user, target, reason = 'Test action' } = {}) {
+        return { type, moderator, target: target || this.createUser('target-user'), reason, guild: this.guild };
+    }
+
+    /**
+     * Build a discord.js-like audit log entry; `action` is an AuditLogEvent value (20 is a kick)
+     */
+    createAuditLogEntry({ action = 20, executor = this.user, target, reason = 'Test action', changes = [] } = {}) {
+        target = target || this.createUser('target-user');
+        return { id: nextMockId(), action, executor, executorId: executor?.id ?? null, target, targetId: target.id, reason, changes };
+    }
+
+    /**
+     * Build a representative payload for an event
+     */
+    createPayload(event) {
+        switch (event) {
+            case 'messageCreate':
+                return this.createMessage();
+            case 'guildMemberAdd':
+                return this.createMember();
+            case 'guildMemberRemove':
+                return this.member;
+            case 'interactionCreate':
+                return this.createInteraction({ commandName: 'integration-stats' });
+            case 'guildAuditLogEntryCreate':
+                return this.createAuditLogEntry();
+            default:
+                throw new Error(`No default payload for ${event}`);
+        }
+    }
+}
+
+/**
+ * Create a smoke scenario for every declared event that has a hook
+ */
+function createSmokeScenarios(manifest) {
+    return (manifest.events || [])
+        .filter(event => EVENT_HOOKS[event])
+        .map(event => ({
+            name: `handles ${event} without errors`,
+            event
+        }));
+}
+
+/**
+ * Read and parse an integration's mercy-integration.json
+ */
+async function loadManifest(integrationDir) {
+    const manifestData = await fs.readFile(path.join(integrationDir, 'mercy-integration.json'), 'utf8');
+    return JSON.parse(manifestData);
+}
+
+/**
+ * Import an integration's default export from src/integration.js
+ */
+async function loadIntegrationClass(integrationDir) {
+    const entry = path.join(integrationDir, 'src', 'integration.js');
+    const module = await import(pathToFileURL(entry).href);
+    if (typeof module.default !== 'function') {
+        throw new Error('src/integration.js must export a default class');
+    }
+    return module.default;
+}
+
+/**
+ * Import the src/commands/<name>.js module for each manifest command that has one
+ * Commands without a module are left to handleSlashCommand.
+ */
+async function loadCommandHandlers(integrationDir, manifest) {
+    const handlers = new Map();
+    for (const command of manifest.commands || []) {
+        const file = path.join(integrationDir, 'src', 'commands', `${command.name}.js`);
+        try {
+            await fs.access(file);
+        } catch {
+            continue;
+        }
+
+        const module = await import(pathToFileURL(file).href);
+        if (typeof module.execute !== 'function') {
+            throw Object.assign(new Error(`src/commands/${command.name}.js must export an execute(interaction, integration) function`), {
+                code: 'ERR_MERCY_COMMAND_HANDLER'
+            });
+        }
+        handlers.set(command.name, module);
+    }
+    return handlers;
+}
+
+/**
+ * Import the src/events/<eventName>.js modules for the events the manifest declares
+ * Handlers for undeclared events are reported and not wired up.
+ */
+async function loadEventHandlers(integrationDir, manifest) {
+    const handlers = new Map();
+    let files;
+    try {
+        files = await fs.readdir(path.join(integrationDir, 'src', 'events'));
+    } catch {
+        return handlers;
+    }
+
+    for (const file of files.filter(name => name.endsWith('.js')).sort()) {
+        const event = path.basename(file, '.js');
+        if (!(manifest.events || []).includes(event)) {
+            console.warn(`[${manifest.name}] Ignoring src/events/${file}: ${event} is not declared in the manifest events`);
+            continue;
+        }
+
+        const module = await import(pathToFileURL(path.join(integrationDir, 'src', 'events', file)).href);
+        if (typeof module.execute !== 'function') {
+            throw Object.assign(new Error(`src/events/${file} must export an execute(...args, integration) function`), {
+                code: 'ERR_MERCY_EVENT_HANDLER'
+            });
+        }
+        handlers.set(event, module);
+    }
+    return handlers;
+}
+
+/**
+ * Load custom scenarios from test/scenarios.js (or another scenario file), if present
+ */
+async function loadScenarios(integrationDir, file = path.join('test', 'scenarios.js')) {
+    const scenarioFile = path.join(integrationDir, file);
+    try {
+        await fs.access(scenarioFile);
+    } catch {
+        return [];
+    }
+    const module = await import(pathToFileURL(scenarioFile).href);
+    const scenarios = typeof module.default === 'function' ? await module.default() : module.default;
+    if (!Array.isArray(scenarios)) {
+        throw new Error(`${file.split(path.sep).join('/')} must export an array of scenarios`);
+    }
+    return scenarios;
+}
+
+/**
+ * Run a single scenario against a fresh harness
+ * Console output is captured and only shown when the scenario fails
+ */
+async function runScenario(IntegrationClass, manifest, scenario, handlers) {
+    const output = [];
+    const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+    const capture = (...args) => output.push(args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' '));
+    console.log = console.warn = console.error = capture;
+
+    const started = Date.now();
+    try {
+        const harness = new IntegrationTestHarness(IntegrationClass, manifest, handlers);
+        if (scenario.setup) await scenario.setup(harness);
+        await harness.load();
+
+        let input;
+        let error = null;
+        if (scenario.event) {
+            input = scenario.input ? await scenario.input(harness) : harness.createPayload(scenario.event);
+            try {
+                await harness.dispatch(scenario.event, input);
+            } catch (dispatchError) {
+                if (!scenario.expectError) throw dispatchError;
+                error = dispatchError;
+            }
+            if (scenario.expectError && !error) {
+                throw new Error('Expected the handler to throw');
+            }
+        } else if (scenario.run) {
+            await scenario.run(harness);
+        }
+
+        if (scenario.expect) await scenario.expect(harness, { assert, input, error });
+        await harness.unload();
+
+        return { name: scenario.name, passed: true, duration: Date.now() - started, output };
+    } catch (error) {
+        return { name: scenario.name, passed: false, error: error.message, duration: Date.now() - started, output };
+    } finally {
+        Object.assign(console, originalConsole);
+    }
+}
+
+/**
+ * Run scripted event scenarios against a M.E.R.C.Y integration
+ */
+export async function testIntegration(targetDir = process.cwd()) {
+    console.log('🧪 M.E.R.C.Y Integration Test Runner');
+    console.log('='.repeat(35));
+    console.log('');
+
+    const results = {
+        passed: 0,
+        failed: 0,
+        scenarios: []
+    };
+
+    try {
+        const integrationDir = path.resolve(targetDir);
+        let IntegrationClass;
+        let manifest;
+        let scenarios;
+        let handlers = {};
+
+        if (integrationDir === __dirname) {
+            // Running inside the kit itself: exercise the base template
+            console.log('📁 Testing: IntegrationTemplate (kit self-test)');
+            IntegrationClass = IntegrationTemplate;
+            manifest = TEMPLATE_TEST_MANIFEST;
+            scenarios = [...createSmokeScenarios(manifest), ...await loadScenarios(integrationDir, path.join('test', 'kit-scenarios.js'))];
+        } else {
+            console.log(`📁 Testing: ${path.basename(integrationDir)}`);
+            manifest = await loadManifest(integrationDir);
+            IntegrationClass = await loadIntegrationClass(integrationDir);
+            handlers = {
+                commandHandlers: await loadCommandHandlers(integrationDir, manifest),
+                eventHandlers: await loadEventHandlers(integrationDir, manifest)
+            };
+            scenarios = [...createSmokeScenarios(manifest), ...await loadScenarios(integrationDir)];
+        }
+        console.log('');
+
+        console.log('🎬 Running scenarios...');
+        for (const scenario of scenarios) {
+            const result = await runScenario(IntegrationClass, manifest, scenario, handlers);
+            results.scenarios.push(result);
+
+            if (result.passed) {
+                results.passed++;
+                console.log(`  ✅ ${result.name} (${result.duration}ms)`);
+            } else {
+                results.failed++;
+                console.log(`  ❌ ${result.name}`);
+                console.log(`     ${result.error}`);
+                result.output.forEach(line => console.log(`     │ ${line}`));
+            }
+        }
+        console.log('');
+
+        console.log('📊 Test Results');
+        console.log('='.repeat(20));
+        console.log(`  Passed: ${results.passed}`);
+        console.log(`  Failed: ${results.failed}`);
+
+        if (results.failed > 0) {
+            console.log('\n❌ Some scenarios failed');
+            process.exit(1);
+        }
+
+        console.log('\n🎉 All scenarios passed!');
+        return results;
+
+    } catch (error) {
+        console.error('❌ Test run error:', error.message);
+        process.exit(1);
+    }
+}
+
+// ============================================================================
+// PART 5: INTEGRATION PACKAGING
+// ============================================================================
+
+// Top-level files from the README "Integration Structure" layout (plus everything under src/ and test/)
+const PACKAGE_FILES = [
+    'mercy-integration.json',
+    'README.md',
+    'package.json'
+];
+
+const PACKAGE_MANIFEST_FILE = 'mercy-package.json';
+const DEFAULT_SIGNING_KEY = path.join(os.homedir(), '.mercy', 'signing-key.pem');
+
+/**
+ * Recursively list files in a directory as sorted, POSIX-style relative paths
+ */
+async function listFiles(rootDir, subDir) {
+    const files = [];
+    const entries = await fs.readdir(path.join(rootDir, subDir), { withFileTypes: true });
+    for (const entry of entries) {
+        const relativePath = path.posix.join(subDir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(rootDir, relativePath));
+        } else if (entry.isFile()) {
+            files.push(relativePath);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Collect the files that belong in a submission archive
+ */
+async function collectPackageFiles(integrationDir) {
+    const files = [...PACKAGE_FILES, ...await listFiles(integrationDir, 'src')];
+    // Scenarios ship with the archive so marketplace review sees the same tree the validator scored
+    try {
+        files.push(...await listFiles(integrationDir, 'test'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    return files.sort();
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Write a ustar header with fixed ownership and mtime so archives are reproducible
+ */
+function createTarHeader(name, size) {
+    const header = Buffer.alloc(512);
+    let prefix = '';
+    let entryName = name;
+
+    if (Buffer.byteLength(name) > 100) {
+        const split = name.lastIndexOf('/', 155);
+        if (split === -1 || Buffer.byteLength(name.slice(split + 1)) > 100) {
+            throw new Error(`Path too long for archive: ${name}`);
+        }
+        prefix = name.slice(0, split);
+        entryName = name.slice(split + 1);
+    }
+
+    const writeOctal = (value, offset, length) => {
+        header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+    };
+
+    header.write(entryName, 0, 100, 'utf8');
+    writeOctal(0o644, 100, 8); // mode
+    writeOctal(0, 108, 8); // uid
+    writeOctal(0, 116, 8); // gid
+    writeOctal(size, 124, 12);
+    writeOctal(0, 136, 12); // mtime
+    header.fill(' ', 148, 156); // checksum placeholder
+    header.write('0', 156, 1, 'ascii'); // regular file
+    header.write('ustar\0' + '00', 257, 8, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+    return header;
+}
+
+/**
+ * Build a gzipped tar archive from in-memory entries
+ */
+function createTarArchive(entries) {
+    const chunks = [];
+    for (const { name, data } of entries) {
+        chunks.push(createTarHeader(name, data.length), data);
+        const padding = (512 - (data.length % 512)) % 512;
+        if (padding) chunks.push(Buffer.alloc(padding));
+    }
+    chunks.push(Buffer.alloc(1024)); // end-of-archive marker
+    return zlib.gzipSync(Buffer.concat(chunks), { level: 9 });
+}
+
+/**
+ * Read entries back out of a gzipped tar archive
+ */
+function readTarArchive(archive) {
+    const tar = zlib.gunzipSync(archive);
+    const entries = [];
+    let offset = 0;
+
+    while (offset + 512 <= tar.length) {
+        const header = tar.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+
+        const readString = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+        const name = readString(0, 100);
+        const prefix = readString(345, 155);
+        const size = parseInt(readString(124, 12).trim(), 8);
+
+        offset += 512;
+        entries.push({ name: prefix ? `${prefix}/${name}` : name, data: tar.subarray(offset, offset + size) });
+        offset += Math.ceil(size / 512) * 512;
+    }
+
+    return entries;
+}
+
+/**
+ * Load the Ed25519 signing key, generating one on first use
+ */
+async function loadSigningKey(keyPath) {
+    const resolvedPath = keyPath ? path.resolve(keyPath) : DEFAULT_SIGNING_KEY;
+    try {
+        return crypto.createPrivateKey(await fs.readFile(resolvedPath, 'utf8'));
+    } catch (error) {
+        if (keyPath || error.code !== 'ENOENT') throw error;
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    await fs.mkdir(path.dirname(resolvedPath), { recursive: true });
+    await fs.writeFile(resolvedPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    console.log(`  🔑 Generated signing key: ${resolvedPath}`);
+    return privateKey;
+}
+
+/**
+ * Package a validated integration into a signed, reproducible archive
+ */
+export async function packageIntegration({ outDir = 'dist', keyPath, integrationDir = process.cwd() } = {}) {
+    const validation = await validateIntegration(integrationDir);
+    if (!validation.isValid) {
+        console.error('❌ Refusing to package an integration that failed validation');
+        process.exit(1);
+    }
+
+    console.log('');
+    console.log('📦 M.E.R.C.Y Integration Packager');
+    console.log('='.repeat(35));
+    console.log('');
+
+    try {
+        const config = JSON.parse(await fs.readFile(path.join(integrationDir, 'mercy-integration.json'), 'utf8'));
+
+        console.log('📋 Collecting files...');
+        const entries = [];
+        for (const file of await collectPackageFiles(integrationDir)) {
+            const data = await fs.readFile(path.join(integrationDir, file));
+            entries.push({ name: file, data });
+            console.log(`  ✅ ${file} (${data.length} bytes)`);
+        }
+        console.log('');
+
+        const packageManifest = {
+            id: config.id,
+            name: config.name,
+            version: config.version,
+            validation: {
+                score: validation.score,
+                warnings: validation.warnings.length
+            },
+            files: entries.map(({ name, data }) => ({ path: name, size: data.length, sha256: sha256(data) }))
+        };
+        entries.unshift({ name: PACKAGE_MANIFEST_FILE, data: Buffer.from(JSON.stringify(packageManifest, null, 2) + '\n') });
+
+        console.log('🔏 Building archive...');
+        const archive = createTarArchive(entries);
+        const privateKey = await loadSigningKey(keyPath);
+        const publicKey = crypto.createPublicKey(privateKey);
+
+        const archiveName = `${config.id}-${config.version}.tgz`;
+        const signature = {
+            archive: archiveName,
+            sha256: sha256(archive),
+            algorithm: 'ed25519',
+            publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+            signature: crypto.sign(null, archive, privateKey).toString('base64')
+        };
+
+        const outputDir = path.resolve(integrationDir, outDir);
+        const archivePath = path.join(outputDir, archiveName);
+        await fs.mkdir(outputDir, { recursive: true });
+        await fs.writeFile(archivePath, archive);
+        await fs.writeFile(`${archivePath}.sig.json`, JSON.stringify(signature, null, 2));
+
+        console.log(`  ✅ Archive: ${path.relative(integrationDir, archivePath)}`);
+        console.log(`  ✅ SHA-256: ${signature.sha256}`);
+        console.log(`  ✅ Signature: ${path.relative(integrationDir, archivePath)}.sig.json`);
+        console.log('');
+        console.log('🎉 Integration packaged successfully!');
+
+        return { archivePath, manifest: packageManifest, signature };
+
+    } catch (error) {
+        console.error('❌ Packaging error:', error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Load the public key archives are checked against: `keyPath` (a public or private PEM),
+ * or else the public half of the default signing key
+ */
+async function loadTrustedKey(keyPath) {
+    try {
+        return crypto.createPublicKey(await fs.readFile(keyPath ? path.resolve(keyPath) : DEFAULT_SIGNING_KEY, 'utf8'));
+    } catch (error) {
+        if (keyPath || error.code !== 'ENOENT') throw error;
+        throw new Error(`No trusted public key: pass the developer's key with --public-key <pem> (no signing key at ${DEFAULT_SIGNING_KEY})`);
+    }
+}
+
+/**
+ * A public KeyObject for a PEM string or a public or private KeyObject
+ */
+function toPublicKey(key) {
+    return key instanceof crypto.KeyObject && key.type === 'public' ? key : crypto.createPublicKey(key);
+}
+
+/**
+ * Whether two keys (KeyObjects or PEM strings) are the same public key; malformed keys never match
+ */
+function isSamePublicKey(a, b) {
+    try {
+        const der = key => toPublicKey(key).export({ type: 'spki', format: 'der' });
+        return der(a).equals(der(b));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Verify a packaged archive against its signature and embedded file hashes
+ * The signature must come from `publicKey` (a trusted developer key, PEM or KeyObject); the
+ * key embedded in the signature file is not trusted on its own, since anyone can sign with
+ * a key of their own. Without `publicKey` the default signing key's public half is used.
+ */
+export async function verifyPackage(archivePath, { publicKey } = {}) {
+    const archive = await fs.readFile(archivePath);
+    const signature = JSON.parse(await fs.readFile(`${archivePath}.sig.json`, 'utf8'));
+    return verifyArchive(archive, signature, publicKey ?? await loadTrustedKey());
+}
+
+/**
+ * Verify archive contents held in memory against a trusted public key
+ */
+function verifyArchive(archive, signature, trustedKey) {
+    const errors = [];
+
+    if (!isSamePublicKey(signature.publicKey, trustedKey)) {
+        errors.push('Archive is not signed with the trusted developer key');
+    }
+    if (sha256(archive) !== signature.sha256) {
+        errors.push('Archive SHA-256 does not match signature file');
+    }
+    if (typeof signature.signature !== 'string' || !crypto.verify(null, archive, toPublicKey(trustedKey), Buffer.from(signature.signature, 'base64'))) {
+        errors.push('Invalid archive signature');
+    }
+
+    const entries = readTarArchive(archive);
+    const manifestEntry = entries.find(entry => entry.name === PACKAGE_MANIFEST_FILE);
+    if (!manifestEntry) {
+        errors.push(`Archive is missing ${PACKAGE_MANIFEST_FILE}`);
+        return { valid: false, errors };
+    }
+
+    const manifest = JSON.parse(manifestEntry.data.toString('utf8'));
+    const files = new Map(entries.filter(entry => entry !== manifestEntry).map(entry => [entry.name, entry.data]));
+    for (const file of manifest.files) {
+        const data = files.get(file.path);
+        if (!data) {
+            errors.push(`Missing file: ${file.path}`);
+        } else if (sha256(data) !== file.sha256) {
+            errors.push(`Hash mismatch: ${file.path}`);
+        }
+        files.delete(file.path);
+    }
+    for (const extra of files.keys()) {
+        errors.push(`Unlisted file: ${extra}`);
+    }
+
+    return { valid: errors.length === 0, errors, manifest, entries };
+}
+
+// ============================================================================
+// PART 6: MARKETPLACE PUBLISHING
+// ============================================================================
+
+const MAX_SUBMISSION_SIZE = 10 * 1024 * 1024;
+
+const REVIEW_STATUS_LABELS = {
+    pending_review: '⏳ Pending review',
+    approved: '✅ Approved',
+    rejected: '❌ Rejected'
+};
+
+/**
+ * Call a marketplace endpoint and return the parsed JSON response
+ */
+/**
+ * Pick the marketplace to talk to; there is no default, so a URL has to be given
+ * explicitly or through MERCY_MARKETPLACE_URL
+ */
+function resolveMarketplaceUrl(marketplaceUrl = process.env.MERCY_MARKETPLACE_URL) {
+    if (!marketplaceUrl) {
+        throw Object.assign(
+            new Error('No marketplace URL: pass --marketplace <url> or set MERCY_MARKETPLACE_URL'),
+            { code: 'ERR_MERCY_NO_MARKETPLACE' }
+        );
+    }
+    return marketplaceUrl;
+}
+
+async function marketplaceRequest(marketplaceUrl, endpoint, { method = 'GET', token, body } = {}) {
+    const response = await fetch(`${marketplaceUrl.replace(/\/$/, '')}${endpoint}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { Authorization: `Bearer ${token}` })
+        },
+        ...(body && { body: JSON.stringify(body) })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`Marketplace responded with ${response.status}: ${data.error || response.statusText}`);
+    }
+    return data;
+}
+
+/**
+ * Repackage the current sources and upload the archive and metadata to the marketplace
+ * An archive already in dist/ is never reused, so edits made since the last package
+ * command are always part of the submission.
+ */
+export async function publishIntegration({ marketplaceUrl, token, keyPath, integrationDir = process.cwd() } = {}) {
+    console.log('🚀 M.E.R.C.Y Integration Publisher');
+    console.log('='.repeat(35));
+    console.log('');
+
+    try {
+        marketplaceUrl = resolveMarketplaceUrl(marketplaceUrl);
+        console.log('📦 Packaging current sources...');
+        console.log('');
+        const { archivePath } = await packageIntegration({ keyPath, integrationDir });
+        console.log('');
+
+        const config = JSON.parse(await fs.readFile(path.join(integrationDir, 'mercy-integration.json'), 'utf8'));
+        const verification = await verifyPackage(archivePath, { publicKey: await loadSigningKey(keyPath) });
+        if (!verification.valid) {
+            verification.errors.forEach(error => console.log(`  ❌ ${error}`));
+            throw new Error('Packaged archive failed verification, run the package command again');
+        }
+
+        console.log(`📤 Uploading ${config.id}@${config.version} to ${marketplaceUrl}...`);
+        const submission = await marketplaceRequest(marketplaceUrl, `/integrations/${config.id}/versions`, {
+            method: 'POST',
+            token,
+            body: {
+                metadata: config,
+                signature: JSON.parse(await fs.readFile(`${archivePath}.sig.json`, 'utf8')),
+                archive: (await fs.readFile(archivePath)).toString('base64')
+            }
+        });
+
+        console.log(`  ✅ Submission ID: ${submission.submissionId}`);
+        console.log(`  📋 Review status: ${REVIEW_STATUS_LABELS[submission.status] || submission.status}`);
+        console.log('');
+        console.log(`Check progress with: node mercy.js status ${submission.submissionId}`);
+
+        return submission;
+
+    } catch (error) {
+        console.error('❌ Publish error:', error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Fetch the review status of a marketplace submission
+ */
+export async function getSubmissionStatus(submissionId, { marketplaceUrl, token } = {}) {
+    return marketplaceRequest(resolveMarketplaceUrl(marketplaceUrl), `/submissions/${encodeURIComponent(submissionId)}`, { token });
+}
+
+/**
+ * Read a JSON request body with a size limit
+ */
+function readJsonBody(request, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch {
+                reject(Object.assign(new Error('Invalid JSON body'), { statusCode: 400 }));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function sendJson(response, statusCode, data) {
+    response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(data));
+}
+
+/**
+ * The lower-cased developer email from an archive's mercy-integration.json, or null
+ */
+function getArchivedDeveloper(entries) {
+    try {
+        const config = JSON.parse(entries.find(entry => entry.name === 'mercy-integration.json').data.toString('utf8'));
+        return String(config.developer?.email).toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Re-run the validator over the files of a verified archive
+ * The score in the archive's package manifest comes from the submitter and is not trusted.
+ */
+async function validateArchive(entries) {
+    // Extracted to <reviewDir>/integration, so the ../../mercy.js import integrations use points at <reviewDir>/mercy.js
+    const reviewDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mercy-review-'));
+    const integrationDir = path.join(reviewDir, 'integration');
+    try {
+        for (const { name, data } of entries) {
+            const file = path.resolve(integrationDir, name);
+            if (!file.startsWith(integrationDir + path.sep)) {
+                throw Object.assign(new Error(`Unsafe archive path: ${name}`), { statusCode: 422 });
+            }
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, data);
+        }
+        return await validateIntegration(integrationDir, { quiet: true, kitPath: path.join(reviewDir, 'mercy.js') });
+    } finally {
+        await fs.rm(reviewDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Local stand-in for the marketplace API
+ *
+ * Implements the same endpoints the publisher uses plus a reviewer endpoint,
+ * so the submit → review → approve flow can run offline. Each id+version can be
+ * submitted once, and the security score is recomputed from the archive. Archives must be
+ * signed with the key registered in `developerKeys` (developer email → public key PEM) for
+ * the manifest's developer.email:
+ *   POST /integrations/:id/versions       submit a packaged archive
+ *   GET  /integrations/:id                list submitted versions
+ *   GET  /submissions/:submissionId       review status
+ *   POST /submissions/:submissionId/review  { decision: 'approve'|'reject', notes }
+ */
+export function createMarketplaceServer({ token = null, autoApprove = false, minScore = 85, developerKeys = {} } = {}) {
+    const submissions = new Map();
+    const keys = new Map(Object.entries(developerKeys).map(([email, key]) => [email.toLowerCase(), toPublicKey(key)]));
+
+    const server = http.createServer(async (request, response) => {
+        try {
+            if (token && request.headers.authorization !== `Bearer ${token}`) {
+                return sendJson(response, 401, { error: 'Invalid or missing token' });
+            }
+
+            const { pathname } = new URL(request.url, 'http://localhost');
+            const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+            if (request.method === 'POST' && segments[0] === 'integrations' && segments[2] === 'versions' && segments.length === 3) {
+                const { metadata, signature, archive } = await readJsonBody(request, MAX_SUBMISSION_SIZE);
+                if (!metadata || !signature || !archive) {
+                    return sendJson(response, 400, { error: 'metadata, signature and archive are required' });
+                }
+                if (metadata.id !== segments[1]) {
+                    return sendJson(response, 400, { error: 'Integration ID does not match metadata' });
+                }
+
+                const developer = String(metadata.developer?.email).toLowerCase();
+                const developerKey = keys.get(developer);
+                if (!developerKey) {
+                    return sendJson(response, 403, { error: `No signing key is registered for developer ${metadata.developer?.email}` });
+                }
+                const owner = [...submissions.values()].find(submission => submission.id === metadata.id)?.developer;
+                if (owner && owner !== developer) {
+                    return sendJson(response, 403, { error: `${metadata.id} belongs to another developer` });
+                }
+                const verification = verifyArchive(Buffer.from(archive, 'base64'), signature, developerKey);
+                if (!verification.valid) {
+                    return sendJson(response, 422, { error: 'Archive verification failed', details: verification.errors });
+                }
+                const { id, version } = verification.manifest;
+                if (id !== metadata.id || version !== metadata.version || getArchivedDeveloper(verification.entries) !== developer) {
+                    return sendJson(response, 400, { error: 'Archive ID, version and developer do not match metadata' });
+                }
+
+                const validation = await validateArchive(verification.entries.filter(entry => entry.name !== PACKAGE_MANIFEST_FILE));
+                // Checked after the await so concurrent uploads of the same version cannot both be stored
+                if ([...submissions.values()].some(submission => submission.id === id && submission.version === version)) {
+                    return sendJson(response, 409, { error: `${id}@${version} has already been submitted` });
+                }
+
+                const submission = {
+                    submissionId: crypto.randomUUID(),
+                    id,
+                    version,
+                    developer,
+                    sha256: signature.sha256,
+                    score: validation.score,
+                    status: 'pending_review',
+                    notes: null,
+                    submittedAt: new Date().toISOString()
+                };
+
+                if (!validation.isValid) {
+                    submission.status = 'rejected';
+                    submission.notes = `Failed validation: ${validation.errors.join('; ')}`;
+                } else if (submission.score < minScore) {
+                    submission.status = 'rejected';
+                    submission.notes = `Security score ${submission.score} is below the required ${minScore}`;
+                } else if (autoApprove) {
+                    submission.status = 'approved';
+                }
+
+                submissions.set(submission.submissionId, submission);
+                return sendJson(response, 201, submission);
+            }
+
+            if (request.method === 'GET' && segments[0] === 'integrations' && segments.length === 2) {
+                const versions = [...submissions.values()].filter(submission => submission.id === segments[1]);
+                return sendJson(response, 200, { id: segments[1], versions });
+            }
+
+            if (segments[0] === 'submissions' && segments.length >= 2) {
+                const submission = submissions.get(segments[1]);
+                if (!submission) {
+                    return sendJson(response, 404, { error: 'Submission not found' });
+                }
+
+                if (request.method === 'GET' && segments.length === 2) {
+                    return sendJson(response, 200, submission);
+                }
+
+                if (request.method === 'POST' && segments[2] === 'review' && segments.length === 3) {
+                    const { decision, notes = null } = await readJsonBody(request, 64 * 1024);
+                    if (!['approve', 'reject'].includes(decision)) {
+                        return sendJson(response, 400, { error: 'decision must be "approve" or "reject"' });
+                    }
+                    if (submission.status !== 'pending_review') {
+                        return sendJson(response, 409, { error: `Submission already ${submission.status}` });
+                    }
+                    submission.status = decision === 'approve' ? 'approved' : 'rejected';
+                    submission.notes = notes;
+                    submission.reviewedAt = new Date().toISOString();
+                    return sendJson(response, 200, submission);
+                }
+            }
+
+            sendJson(response, 404, { error: 'Not found' });
+        } catch (error) {
+            sendJson(response, error.statusCode || 500, { error: error.message });
+        }
+    });
+
+    server.submissions = submissions;
+    return server;
+}
+
+// ============================================================================
+// PART 7: INTEGRATION HOST
+// ============================================================================
+
+// The developer policy's limit on keeping integration data; manifests may ask for less
+const RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a log entry refers to a user anywhere in its data
+ */
+function mentionsUser(value, userId) {
+    if (typeof value === 'string') return value.includes(userId);
+    if (value === null || typeof value !== 'object') return false;
+    return Object.values(value).some(item => mentionsUser(item, userId));
+}
+
+/**
+ * In-memory settings backend, keyed by integration and guild
+ */
+export class MemorySettingsStore {
+    constructor() {
+        this.settings = new Map();
+    }
+
+    async get(integrationId, guildId) {
+        const settings = this.settings.get(`${integrationId}/${guildId}`);
+        return settings ? { ...settings } : null;
+    }
+
+    async set(integrationId, guildId, settings) {
+        this.settings.set(`${integrationId}/${guildId}`, { ...settings });
+    }
+}
+
+/**
+ * Settings backend persisted to a single JSON file
+ */
+export class FileSettingsStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.pending = Promise.resolve();
+    }
+
+    async read() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
+
+    async get(integrationId, guildId) {
+        await this.pending;
+        return (await this.read())[`${integrationId}/${guildId}`] || null;
+    }
+
+    async set(integrationId, guildId, settings) {
+        // Serialize writes so concurrent saves cannot overwrite each other
+        this.pending = this.pending.then(async () => {
+            const all = await this.read();
+            all[`${integrationId}/${guildId}`] = settings;
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(this.filePath, JSON.stringify(all, null, 2));
+        });
+        return this.pending;
+    }
+}
+
+/**
+ * In-memory log backend
+ */
+export class MemoryLogStore {
+    constructor() {
+        this.entries = [];
+    }
+
+    async append(entry) {
+        this.entries.push(entry);
+    }
+
+    /**
+     * Find entries by integration, guild, event and type
+     * `type` is 'log' for this.logger records and 'audit' for logEvent and host entries.
+     */
+    async query({ integrationId, guildId, event, type, level } = {}) {
+        return this.entries.filter(entry =>
+            (!integrationId || entry.integrationId === integrationId) &&
+            (!guildId || entry.guild === guildId) &&
+            (!event || entry.event === event) &&
+            (!type || (entry.type ?? 'audit') === type) &&
+            (!level || LOG_LEVELS[entry.level] >= LOG_LEVELS[level]));
+    }
+
+    /**
+     * Delete every entry that matches `predicate(entry)`; resolves to how many were removed
+     */
+    async remove(predicate) {
+        const kept = this.entries.filter(entry => !predicate(entry));
+        const removed = this.entries.length - kept.length;
+        this.entries = kept;
+        return removed;
+    }
+}
+
+/**
+ * Log backend appending JSON lines to a file
+ */
+export class FileLogStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.pending = Promise.resolve();
+    }
+
+    async append(entry) {
+        // Queued behind remove(), so that rewriting the file cannot drop new entries
+        this.pending = this.pending.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+        });
+        return this.pending;
+    }
+
+    async query(filter = {}) {
+        let data;
+        try {
+            data = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const store = new MemoryLogStore();
+        store.entries = data.split('\n').filter(Boolean).map(line => JSON.parse(line));
+        return store.query(filter);
+    }
+
+    /**
+     * Rewrite the file without the entries that match `predicate(entry)`
+     */
+    async remove(predicate) {
+        let removed = 0;
+        this.pending = this.pending.catch(() => {}).then(async () => {
+            const entries = await this.query();
+            const kept = entries.filter(entry => !predicate(entry));
+            removed = entries.length - kept.length;
+            if (removed > 0) await fs.writeFile(this.filePath, kept.map(entry => JSON.stringify(entry) + '\n').join(''));
+        });
+        await this.pending;
+        return removed;
+    }
+}
+
+/**
+ * In-memory backend for IntegrationStorage
+ * Records are `{ value, createdAt, updatedAt, expiresAt }`, grouped per integration, guild and
+ * collection. Expired records are dropped when they are next read.
+ */
+export class MemoryDataStore {
+    constructor() {
+        this.collections = new Map(); // `${integrationId}/${guildId}/${collection}` -> Map(key -> record)
+    }
+
+    records({ integrationId, guildId, collection }, create = false) {
+        const name = `${integrationId}/${guildId}/${collection}`;
+        let records = this.collections.get(name);
+        if (!records && create) {
+            records = new Map();
+            this.collections.set(name, records);
+        }
+        return records;
+    }
+
+    /**
+     * The live record for a key, removing it if it has expired
+     */
+    read(scope, key, now = Date.now()) {
+        const records = this.records(scope);
+        const record = records?.get(key);
+        if (record?.expiresAt && record.expiresAt <= now) {
+            records.delete(key);
+            return undefined;
+        }
+        return record;
+    }
+
+    write(scope, key, value, { ttl } = {}, existing = null) {
+        const now = Date.now();
+        const record = {
+            value,
+            createdAt: existing?.createdAt ?? now,
+            updatedAt: now,
+            expiresAt: ttl ? now + ttl : (existing?.expiresAt ?? null)
+        };
+        this.records(scope, true).set(key, record);
+        return record;
+    }
+
+    async get(scope, key) {
+        const record = this.read(scope, key);
+        return record ? structuredClone(record.value) : null;
+    }
+
+    async set(scope, key, value, options) {
+        this.write(scope, key, structuredClone(value), options);
+    }
+
+    async delete(scope, key) {
+        const existed = this.read(scope, key) !== undefined;
+        this.records(scope)?.delete(key);
+        return existed;
+    }
+
+    async increment(scope, key, amount, { ttl } = {}) {
+        const existing = this.read(scope, key);
+        if (existing && typeof existing.value !== 'number') {
+            throw Object.assign(new Error(`Cannot increment "${key}" in ${scope.collection}: it is not a number`), {
+                code: 'ERR_MERCY_STORAGE',
+                collection: scope.collection
+            });
+        }
+        return this.write(scope, key, (existing?.value ?? 0) + amount, { ttl: existing ? undefined : ttl }, existing).value;
+    }
+
+    async query(scope, { prefix, where, orderBy = 'key', descending = false, limit } = {}) {
+        const now = Date.now();
+        const sortValue = ({ key, value, updatedAt }) => {
+            if (orderBy === 'key') return key;
+            if (orderBy === 'updatedAt') return updatedAt;
+            return orderBy === 'value' ? value : value?.[orderBy.slice('value.'.length)];
+        };
+
+        const results = [];
+        for (const key of [...(this.records(scope)?.keys() || [])]) {
+            const record = this.read(scope, key, now);
+            if (!record || (prefix && !key.startsWith(prefix))) continue;
+            if (where && Object.entries(where).some(([field, expected]) => record.value?.[field] !== expected)) continue;
+            results.push({ key, value: structuredClone(record.value), updatedAt: record.updatedAt, expiresAt: record.expiresAt });
+        }
+
+        results.sort((a, b) => {
+            const [x, y] = [sortValue(a), sortValue(b)];
+            const order = x === y ? 0 : (x === undefined || x < y ? -1 : 1);
+            return descending ? -order : order;
+        });
+        return limit === undefined ? results : results.slice(0, limit);
+    }
+
+    /**
+     * Every stored record, flattened with its integration, guild, collection and key
+     */
+    *entries() {
+        for (const [name, records] of this.collections) {
+            const [integrationId, guildId, collection] = name.split('/');
+            for (const [key, record] of records) {
+                yield { integrationId, guildId, collection, key, ...record };
+            }
+        }
+    }
+
+    /**
+     * Records across all integrations and guilds that match `predicate(entry)`
+     */
+    async find(predicate) {
+        return [...this.entries()].filter(predicate).map(entry => structuredClone(entry));
+    }
+
+    /**
+     * Delete every record that matches `predicate(entry)`; resolves to how many were removed
+     */
+    async remove(predicate) {
+        let removed = 0;
+        for (const entry of [...this.entries()]) {
+            if (!predicate(entry)) continue;
+            const records = this.records(entry);
+            records.delete(entry.key);
+            if (records.size === 0) this.collections.delete(`${entry.integrationId}/${entry.guildId}/${entry.collection}`);
+            removed++;
+        }
+        return removed;
+    }
+}
+
+/**
+ * IntegrationStorage backend kept in memory and saved to a JSON file after every change
+ * Meant for local development; writes are serialized so none is lost.
+ */
+export class FileDataStore extends MemoryDataStore {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.loaded = null;
+        this.pending = Promise.resolve();
+    }
+
+    async load() {
+        this.loaded ??= fs.readFile(this.filePath, 'utf8').then(
+            (data) => {
+                this.collections = new Map(Object.entries(JSON.parse(data)).map(([name, records]) => [name, new Map(Object.entries(records))]));
+            },
+            (error) => {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        );
+        await this.loaded;
+    }
+
+    persist() {
+        this.pending = this.pending.catch(() => {}).then(async () => {
+            const data = Object.fromEntries([...this.collections].map(([name, records]) => [name, Object.fromEntries(records)]));
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(this.filePath, JSON.stringify(data));
+        });
+        return this.pending;
+    }
+
+    async get(scope, key) {
+        await this.load();
+        return super.get(scope, key);
+    }
+
+    async set(scope, key, value, options) {
+        await this.load();
+        await super.set(scope, key, value, options);
+        await this.persist();
+    }
+
+    async delete(scope, key) {
+        await this.load();
+        const existed = await super.delete(scope, key);
+        if (existed) await this.persist();
+        return existed;
+    }
+
+    async increment(scope, key, amount, options) {
+        await this.load();
+        const value = await super.increment(scope, key, amount, options);
+        await this.persist();
+        return value;
+    }
+
+    async query(scope, options) {
+        await this.load();
+        return super.query(scope, options);
+    }
+
+    async find(predicate) {
+        await this.load();
+        return super.find(predicate);
+    }
+
+    async remove(predicate) {
+        await this.load();
+        const removed = await super.remove(predicate);
+        if (removed > 0) await this.persist();
+        return removed;
+    }
+}
+
+/**
+ * Metrics backend persisting registry snapshots to a JSON file
+ */
+export class FileMetricsStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async load() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async save(snapshot) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(this.filePath, JSON.stringify(snapshot));
+    }
+}
+
+// Outgoing webhook deliveries: retries with exponential backoff, and how old a signature may be
+const DEFAULT_WEBHOOK_RETRY = { attempts: 5, baseDelay: 1000, maxDelay: 60 * 1000 };
+const WEBHOOK_TIMEOUT = 10 * 1000;
+const WEBHOOK_SIGNATURE_TOLERANCE = 5 * 60 * 1000;
+
+// Incoming webhooks: body size when the manifest sets no resources.maxFileSize, and requests per client address
+const DEFAULT_WEBHOOK_BODY_SIZE = 1048576;
+const WEBHOOK_CLIENT_RATE_LIMIT = { limit: 300, interval: 60 * 1000 };
+// GitHub signs the body alone, without a timestamp, so its deliveries are remembered for a day instead
+const GITHUB_REPLAY_WINDOW = 24 * 60 * 60 * 1000;
+
+function webhookError(message, fields = {}) {
+    return Object.assign(new Error(message), { code: 'ERR_MERCY_WEBHOOK', ...fields });
+}
+
+/**
+ * A manifest webhook by name; `direction` is 'outgoing' (the default) or 'incoming'
+ */
+function findWebhook(manifest, name, direction) {
+    return (manifest.webhooks || []).find(webhook => webhook.name === name && (webhook.direction ?? 'outgoing') === direction) ?? null;
+}
+
+/**
+ * The X-Mercy-Signature header for a webhook body sent at `timestamp` (in seconds)
+ */
+export function signWebhook(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a webhook's X-Mercy-Signature and X-Mercy-Timestamp headers against its raw body
+ * Signatures older than `tolerance` milliseconds are rejected, so captured requests cannot be replayed later.
+ */
+export function verifyWebhookSignature(secret, headers, body, { tolerance = WEBHOOK_SIGNATURE_TOLERANCE, now = Date.now() } = {}) {
+    const timestamp = Number(headers['x-mercy-timestamp']);
+    const signature = headers['x-mercy-signature'];
+    if (!Number.isInteger(timestamp) || typeof signature !== 'string' || Math.abs(now - timestamp * 1000) > tolerance) {
+        return false;
+    }
+    const expected = signWebhook(secret, timestamp, body);
+    return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * Send one webhook request, resolving to `{ status }` whatever the status
+ * Redirects are not followed, and private, loopback and link-local addresses are refused.
+ */
+export async function postWebhook(url, request) {
+    return sendWebhookRequest(url, request);
+}
+
+/**
+ * postWebhook() that reaches private addresses with `allowPrivate`, for the host's local WebhookReceiver
+ */
+async function sendWebhookRequest(url, { method = 'POST', headers = {}, body }, { allowPrivate = false } = {}) {
+    const target = new URL(url);
+    if (!allowPrivate && isPrivateAddress(target.hostname.replace(/^\[|\]$/g, ''))) {
+        throw httpForbidden(`Requests to private addresses are forbidden: ${target.hostname}`, { host: target.hostname });
+    }
+    const client = await loadAxios();
+    try {
+        const response = await client.request({
+            url: target.href,
+            method,
+            headers,
+            data: body,
+            transformRequest: [(data) => data],
+            proxy: false,
+            maxRedirects: 0,
+            timeout: WEBHOOK_TIMEOUT,
+            validateStatus: () => true,
+            ...(!allowPrivate && { lookup: guardLookup(dns.lookup) })
+        });
+        return { status: response.status };
+    } catch (error) {
+        throw findHttpForbidden(error) ?? error;
+    }
+}
+
+/**
+ * Delivers outgoing webhooks for an IntegrationHost
+ *
+ * Each body is signed with HMAC-SHA256 (see signWebhook). Network errors, timeouts, 408, 429
+ * and 5xx responses are retried with exponential backoff; a delivery that fails for good moves
+ * to the dead-letter queue, from which it can be redelivered. Every attempt is recorded in the
+ * log store as a `type: 'webhook'` entry without the body.
+ */
+export class WebhookDispatcher {
+    constructor({ sender = postWebhook, logStore = new MemoryLogStore(), retry = {} } = {}) {
+        this.sender = sender;
+        this.logStore = logStore;
+        this.retry = { ...DEFAULT_WEBHOOK_RETRY, ...retry };
+        this.deadLetters = new Map(); // delivery id -> delivery
+        this.timers = new Map(); // delivery id -> timer of the next attempt
+    }
+
+    /**
+     * Make the first attempt at a delivery; resolves to its summary once that attempt is over
+     */
+    async deliver({ integrationId, guildId, webhook, url, method = 'POST', secret, data }) {
+        const delivery = {
+            id: crypto.randomUUID(),
+            integrationId,
+            guildId,
+            webhook,
+            url,
+            method,
+            secret,
+            body: JSON.stringify(data ?? null),
+            attempts: 0,
+            status: 'pending',
+            responseStatus: null,
+            error: null,
+            nextAttemptAt: null
+        };
+        await this.attempt(delivery);
+        return summarizeDelivery(delivery);
+    }
+
+    async attempt(delivery) {
+        this.timers.delete(delivery.id);
+        delivery.attempts++;
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'MERCY-Webhooks/1.0',
+            'X-Mercy-Delivery': delivery.id,
+            'X-Mercy-Integration': delivery.integrationId,
+            'X-Mercy-Webhook': delivery.webhook,
+            'X-Mercy-Timestamp': String(timestamp),
+            'X-Mercy-Signature': signWebhook(delivery.secret, timestamp, delivery.body)
+        };
+        const startedAt = Date.now();
+        let retryable = false;
+        delivery.responseStatus = null;
+        delivery.error = null;
+        try {
+            const { status } = await this.sender(delivery.url, { method: delivery.method, headers, body: delivery.body });
+            delivery.responseStatus = status;
+            if (status < 200 || status >= 300) {
+                delivery.error = `Responded with ${status}`;
+                retryable = status === 408 || status === 429 || status >= 500;
+            }
+        } catch (error) {
+            delivery.error = error.message;
+            retryable = error.code !== 'ERR_MERCY_HTTP_FORBIDDEN';
         }
+
+        if (!delivery.error) {
+            delivery.status = 'delivered';
+            delivery.nextAttemptAt = null;
+        } else if (retryable && delivery.attempts < this.retry.attempts) {
+            const delay = Math.min(this.retry.baseDelay * 2 ** (delivery.attempts - 1), this.retry.maxDelay);
+            delivery.status = 'retrying';
+            delivery.nextAttemptAt = Date.now() + delay;
+            const timer = setTimeout(() => this.attempt(delivery).catch(error => {
+                console.error(`❌ Webhook ${delivery.webhook} delivery ${delivery.id} failed:`, error.message);
+            }), delay);
+            timer.unref();
+            this.timers.set(delivery.id, timer);
+        } else {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            this.deadLetters.set(delivery.id, delivery);
+        }
+
+        await this.logStore.append({
+            integrationId: delivery.integrationId,
+            type: 'webhook',
+            event: 'webhook_delivery',
+            data: {
+                delivery: delivery.id,
+                webhook: delivery.webhook,
+                attempt: delivery.attempts,
+                status: delivery.status,
+                responseStatus: delivery.responseStatus,
+                duration: Date.now() - startedAt,
+                ...(delivery.error && { error: delivery.error })
+            },
+            timestamp: new Date(),
+            guild: delivery.guildId
+        });
     }
 
     /**
-     * Handle slash commands
-     * Override this method to implement custom commands
+     * Deliveries in the dead-letter queue, optionally only one integration's
      */
-    async handleSlashCommand(interaction) {
-        // Example command handling
-        if (interaction.commandName === 'integration-stats') {
-            await this.sendStats(interaction);
-        }
+    listDeadLetters({ integrationId } = {}) {
+        return [...this.deadLetters.values()]
+            .filter(delivery => !integrationId || delivery.integrationId === integrationId)
+            .map(summarizeDelivery);
     }
 
     /**
-     * Handle button interactions
-     * Override this method to implement button responses
+     * Take a delivery out of the dead-letter queue and start its attempts again
      */
-    async handleButton(interaction) {
-        // Example button handling
-        console.log(`[${this.config.name}] Button pressed: ${interaction.customId}`);
-        await interaction.reply({ content: 'Button handled!', ephemeral: true });
+    async redeliver(id) {
+        const delivery = this.deadLetters.get(id);
+        if (!delivery) throw webhookError(`No dead-lettered delivery ${id}`, { delivery: id });
+        this.deadLetters.delete(id);
+        delivery.attempts = 0;
+        await this.attempt(delivery);
+        return summarizeDelivery(delivery);
     }
 
     /**
-     * Handle select menu interactions
-     * Override this method to implement select menu responses
+     * Drop a delivery from the dead-letter queue; resolves to whether it was there
      */
-    async handleSelectMenu(interaction) {
-        // Example select menu handling
-        console.log(`[${this.config.name}] Select menu: ${interaction.customId}, values: ${interaction.values}`);
-        await interaction.reply({ content: 'Selection processed!', ephemeral: true });
+    discard(id) {
+        return this.deadLetters.delete(id);
     }
 
     /**
-     * Handle mention responses
+     * Cancel every scheduled retry
      */
-    async handleMention(message) {
-        const EmbedBuilder = await loadDiscordJS();
-        const embed = new EmbedBuilder()
-            .setColor('#6366f1')
-            .setTitle(`${this.config.name} Integration`)
-            .setDescription('This is an example response from a M.E.R.C.Y integration!')
-            .addFields(
-                { name: 'Version', value: this.version, inline: true },
-                { name: 'Uptime', value: this.getUptime(), inline: true },
-                { name: 'Events Processed', value: this.eventCount.toString(), inline: true }
-            )
-            .setTimestamp();
+    stop() {
+        for (const timer of this.timers.values()) clearTimeout(timer);
+        this.timers.clear();
+    }
+}
 
-        await message.reply({ embeds: [embed] });
+/**
+ * A delivery as returned to integrations and callers, without its secret and body
+ */
+function summarizeDelivery({ id, integrationId, guildId, webhook, status, attempts, responseStatus, error, nextAttemptAt }) {
+    return { id, integrationId, guildId, webhook, status, attempts, responseStatus, error, nextAttemptAt };
+}
+
+/**
+ * Check an incoming webhook's signature with the scheme its manifest entry declares
+ * 'mercy' uses the X-Mercy-Signature and X-Mercy-Timestamp headers sendWebhook() sends;
+ * 'github' uses X-Hub-Signature-256, an HMAC-SHA256 of the body alone.
+ */
+function verifyIncomingSignature(scheme, secret, headers, body) {
+    if (scheme !== 'github') return verifyWebhookSignature(secret, headers, body);
+    const signature = headers['x-hub-signature-256'];
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    return typeof signature === 'string' && signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * The headers that identify an incoming delivery, and until when a repeat of it counts as a replay
+ * Delivery ids are not covered by the signature, so the signature itself is remembered too.
+ */
+function incomingDeliveryKeys(scheme, headers, now = Date.now()) {
+    if (scheme === 'github') {
+        const keys = [headers['x-github-delivery'], headers['x-hub-signature-256']].filter(key => typeof key === 'string');
+        return { keys, expiresAt: now + GITHUB_REPLAY_WINDOW };
     }
+    const keys = [headers['x-mercy-delivery'], headers['x-mercy-signature']].filter(key => typeof key === 'string');
+    return { keys, expiresAt: Math.max(now, Number(headers['x-mercy-timestamp']) * 1000 || 0) + WEBHOOK_SIGNATURE_TOLERANCE };
+}
 
-    /**
-     * Send integration statistics
-     */
-    async sendStats(interaction) {
-        const EmbedBuilder = await loadDiscordJS();
-        const embed = new EmbedBuilder()
-            .setColor('#10b981')
-            .setTitle(`📊 ${this.config.name} Statistics`)
-            .addFields(
-                { name: 'Commands Executed', value: this.commandCount.toString(), inline: true },
-                { name: 'Events Processed', value: this.eventCount.toString(), inline: true },
-                { name: 'Uptime', value: this.getUptime(), inline: true }
-            )
-            .setFooter({ text: 'M.E.R.C.Y Integration Statistics' })
-            .setTimestamp();
+/**
+ * Parse an incoming webhook body as JSON or form data by its Content-Type; anything else stays text
+ */
+function parseWebhookBody(contentType = '', body) {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    if (!body) return null;
+    if (type === 'application/json' || type.endsWith('+json')) return JSON.parse(body);
+    if (type === 'application/x-www-form-urlencoded') return Object.fromEntries(new URLSearchParams(body));
+    return body;
+}
 
-        await interaction.reply({ embeds: [embed], ephemeral: true });
+function webhookResponse(status, error, headers = {}) {
+    return { status, headers, body: { error } };
+}
+
+/**
+ * A local HTTP server that receives outgoing webhooks, for tests and development
+ *
+ * Give it to an IntegrationHost as `webhookReceiver` and every delivery goes to the receiver
+ * instead of its real URL. Each one is recorded in `deliveries` with whether its signature
+ * checked out, and failNext() makes the receiver answer the next deliveries with an error.
+ * `secret` is a signing secret or `(integrationId, webhook) => secret`. A delivery id or signature
+ * that was already accepted within the signature tolerance is answered with 409 and marked `replayed`.
+ */
+export class WebhookReceiver {
+    constructor({ secret = null, onDelivery = null } = {}) {
+        // Replaced by the host it is given to
+        this.secret = secret === null || typeof secret === 'function' ? secret : () => secret;
+        this.onDelivery = onDelivery;
+        this.accepted = new Map(); // delivery id or signature => when it can no longer be replayed
+        this.deliveries = [];
+        this.failures = [];
+        this.server = null;
+        this.url = null;
     }
 
     /**
-     * Create welcome embed for new members
+     * Answer the next `count` deliveries with `status`
      */
-    async createWelcomeEmbed(member) {
-        const EmbedBuilder = await loadDiscordJS();
-        return new EmbedBuilder()
-            .setColor('#00ff00')
-            .setTitle('Welcome!')
-            .setDescription(`Welcome to ${this.guild.name}, ${member.user.tag}!`)
-            .setThumbnail(member.user.displayAvatarURL())
-            .addFields(
-                { name: 'Member #', value: this.guild.memberCount.toString(), inline: true },
-                { name: 'Account Created', value: `<t:${Math.floor(member.user.createdTimestamp / 1000)}:R>`, inline: true }
-            )
-            .setTimestamp();
+    failNext(count = 1, status = 500) {
+        this.failures.push(...Array(count).fill(status));
     }
 
     /**
-     * Get integration uptime
+     * Start listening on 127.0.0.1; resolves to the receiver's URL
      */
-    getUptime() {
-        const uptime = Date.now() - this.startTime;
-        const hours = Math.floor(uptime / (1000 * 60 * 60));
-        const minutes = Math.floor((uptime % (1000 * 60 * 60)) / (1000 * 60));
-        return `${hours}h ${minutes}m`;
+    async listen(port = 0) {
+        this.server = http.createServer((request, response) => this.receive(request, response));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', resolve);
+        });
+        this.url = `http://127.0.0.1:${this.server.address().port}/`;
+        return this.url;
+    }
+
+    async receive(request, response) {
+        const chunks = [];
+        for await (const chunk of request) chunks.push(chunk);
+        const body = Buffer.concat(chunks).toString('utf8');
+
+        const integrationId = request.headers['x-mercy-integration'] ?? null;
+        const webhook = request.headers['x-mercy-webhook'] ?? null;
+        const keys = [request.headers['x-mercy-delivery'], request.headers['x-mercy-signature']].filter(key => typeof key === 'string');
+        const now = Date.now();
+        for (const [key, expiresAt] of this.accepted) {
+            if (expiresAt <= now) this.accepted.delete(key);
+        }
+        const replayed = keys.some(key => this.accepted.has(key));
+        const status = replayed ? 409 : this.failures.shift() ?? 200;
+        if (status < 300) {
+            // Retries after an error answer are new attempts; only accepted deliveries count as seen
+            const expiresAt = Math.max(now, Number(request.headers['x-mercy-timestamp']) * 1000 || 0) + WEBHOOK_SIGNATURE_TOLERANCE;
+            for (const key of keys) this.accepted.set(key, expiresAt);
+        }
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch {
+            data = body;
+        }
+        const delivery = {
+            id: request.headers['x-mercy-delivery'] ?? null,
+            integrationId,
+            webhook,
+            method: request.method,
+            url: request.headers['x-mercy-target'] ?? null,
+            data,
+            verified: this.secret ? verifyWebhookSignature(this.secret(integrationId, webhook), request.headers, body) : null,
+            replayed,
+            status,
+            receivedAt: new Date()
+        };
+        this.deliveries.push(delivery);
+        this.onDelivery?.(delivery);
+
+        response.writeHead(status, { 'Content-Type': 'text/plain' });
+        response.end(`${http.STATUS_CODES[status]}\n`);
+    }
+
+    async close() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+}
+
+/**
+ * Check a member's guild permissions through discord.js
+ */
+async function checkMemberPermissions(guild, userId, permissions) {
+    const member = guild.members.cache.get(userId) ?? await guild.members.fetch(userId);
+    return member.permissions.has(permissions);
+}
+
+/**
+ * Loads integrations, injects the M.E.R.C.Y API methods and routes Discord events to them
+ *
+ * Every integration is instantiated once per guild. The settings, log, storage, webhook,
+ * server config and permission backends can all be replaced. Manifest commands are
+ * registered per guild through `rest`, which needs a discord.js REST-style `put(route, { body })`.
+ * `componentSecret` derives each integration's key for signing component state; keep it
+ * stable across restarts so existing buttons and menus stay valid. `logLevels` maps integration
+ * ids to the level their `this.logger` records start at, overriding the manifest, and
+ * `echoLogs` also prints the records that reach the log store. Every instance records into
+ * `metrics`, labelled with its integration, guild and version; with a `metricsStore` they are
+ * restored on the first register() and saved whenever an integration is unloaded.
+ * `dataStore` backs every instance's `this.storage`; sweepRetention() clears it and the log store
+ * of data older than the retention period, which is 90 days unless the manifest sets less.
+ * `this.http` only reaches the manifest's network.allowedHosts, and never private addresses.
+ * sendWebhook() delivers the manifest's webhooks through `webhooks` (a WebhookDispatcher) using
+ * `webhookSender`, signed with secrets derived from `webhookSecret`; keep it stable as well. With a
+ * `webhookReceiver`, every delivery goes to that local WebhookReceiver instead.
+ */
+export class IntegrationHost {
+    constructor({
+        client = null,
+        settingsStore = new MemorySettingsStore(),
+        logStore = new MemoryLogStore(),
+        webhookSender = postWebhook,
+        webhookSecret = crypto.randomBytes(32),
+        webhookRetry = {},
+        webhookReceiver = null,
+        serverConfig = (guild) => ({ guildId: guild.id, name: guild.name, locale: guild.preferredLocale ?? 'en-US' }),
+        permissionChecker = checkMemberPermissions,
+        rest = null,
+        applicationId = null,
+        componentSecret = crypto.randomBytes(32),
+        logLevels = {},
+        echoLogs = false,
+        metrics = new MetricsRegistry(),
+        metricsStore = null,
+        dataStore = new MemoryDataStore(),
+        httpAdapter = undefined,
+        sandbox = false
+    } = {}) {
+        this.client = client;
+        this.settingsStore = settingsStore;
+        this.logStore = logStore;
+        this.webhookSecret = webhookSecret;
+        this.webhookReceiver = webhookReceiver;
+        if (webhookReceiver) {
+            webhookReceiver.secret = (integrationId, name) => this.webhookSigningSecret(integrationId, name);
+        }
+        this.webhooks = new WebhookDispatcher({
+            sender: webhookReceiver
+                ? (url, request) => sendWebhookRequest(webhookReceiver.url, { ...request, headers: { ...request.headers, 'X-Mercy-Target': url } }, { allowPrivate: true })
+                : webhookSender,
+            logStore,
+            retry: webhookRetry
+        });
+        this.serverConfig = serverConfig;
+        this.permissionChecker = permissionChecker;
+        this.rest = rest;
+        this.applicationId = applicationId; // Defaults to the attached client's application
+        this.componentSecret = componentSecret;
+        this.logLevels = logLevels;
+        this.echoLogs = echoLogs;
+        this.metrics = metrics;
+        this.metricsStore = metricsStore;
+        this.metricsRestored = null;
+        this.dataStore = dataStore;
+        this.retentionTimer = null;
+        this.httpAdapter = httpAdapter; // axios adapter behind every this.http; the default sends real requests
+        if (sandbox) assertSandboxSupported();
+        this.sandbox = sandbox; // Run each instance in a SandboxedIntegration worker
+        this.integrations = new Map(); // integration id -> { manifest, IntegrationClass, commandHandlers, eventHandlers, dir }; only manifest and dir when sandboxed
+        this.instances = new Map(); // `${integration id}/${guild id}` -> integration instance
+        this.receivedDeliveries = new Map(); // `${integration id}/${guild id}/${webhook}/${delivery id or signature}` -> when it may be accepted again
     }
 
     /**
-     * Get setting value
+     * Load an integration directory and check its manifest
      */
-    getSetting(key, defaultValue = null) {
-        return this.settings.get(key) || defaultValue;
+    async register(integrationDir) {
+        const dir = path.resolve(integrationDir);
+        const manifest = await loadManifest(dir);
+
+        const errors = (await validateManifest(manifest)).filter(violation => violation.severity === 'error');
+        if (errors.length > 0) {
+            throw new Error(`Invalid manifest in ${dir}: ${errors.map(error => error.message).join('; ')}`);
+        }
+        if (this.integrations.has(manifest.id)) {
+            throw new Error(`Integration already registered: ${manifest.id}`);
+        }
+        for (const command of manifest.commands || []) {
+            const owner = this.findCommandOwner(command.name);
+            if (owner) {
+                throw new Error(`Command /${command.name} from ${manifest.id} is already provided by ${owner}`);
+            }
+        }
+
+        // A sandboxed integration's modules are only imported inside its workers, so none of its code runs in the host
+        const modules = this.sandbox ? {} : {
+            IntegrationClass: await loadIntegrationClass(dir),
+            commandHandlers: await loadCommandHandlers(dir, manifest),
+            eventHandlers: await loadEventHandlers(dir, manifest)
+        };
+        await this.restoreMetrics();
+        this.integrations.set(manifest.id, { manifest, ...modules, dir });
+        return manifest;
     }
 
     /**
-     * Set setting value
+     * The id of the registered integration that declares a command, if any
      */
-    async setSetting(key, value) {
-        this.settings.set(key, value);
-        await this.saveSettings();
+    findCommandOwner(commandName) {
+        for (const [integrationId, { manifest }] of this.integrations) {
+            if ((manifest.commands || []).some(command => command.name === commandName)) return integrationId;
+        }
+        return null;
     }
 
     /**
-     * Log integration event
+     * Instantiate a registered integration for a guild and call onLoad
      */
-    async logEvent(event, data = {}) {
+    async load(integrationId, guild) {
+        const registered = this.integrations.get(integrationId);
+        if (!registered) {
+            throw new Error(`Integration not registered: ${integrationId}`);
+        }
+        const key = `${integrationId}/${guild.id}`;
+        if (this.instances.has(key)) return this.instances.get(key);
+
+        let integration;
+        if (this.sandbox) {
+            integration = new SandboxedIntegration(registered.dir, registered.manifest);
+        } else {
+            integration = new registered.IntegrationClass(registered.manifest);
+            integration.commandHandlers = registered.commandHandlers;
+            integration.eventHandlers = registered.eventHandlers;
+        }
+        this.bindApi(integration, registered.manifest, guild);
         try {
-            await this.createLogEntry({
-                integration: this.config.name,
-                event,
-                data,
-                timestamp: new Date(),
-                guild: this.guild.id
-            });
+            await measureHook(integration.metrics, 'onLoad', () => integration.onLoad());
         } catch (error) {
-            console.error(`[${this.config.name}] Failed to log event:`, error);
+            if (integration instanceof SandboxedIntegration) await integration.terminate(error);
+            throw error;
         }
+        this.instances.set(key, integration);
+        if (registered.manifest.commands?.length) await this.registerCommands(guild.id);
+        return integration;
     }
 
-    // ========================================
-    // M.E.R.C.Y API METHODS
-    // These methods are injected by the M.E.R.C.Y system
-    // Do not implement these - they will be overridden
-    // ========================================
-
     /**
-     * Get stored settings from M.E.R.C.Y database
+     * Load every registered integration into a guild
+     * An integration whose onLoad fails is logged and left unloaded; the others still load.
      */
-    async getStoredSettings() {
-        // Implemented by M.E.R.C.Y
-        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    async loadGuild(guild) {
+        for (const integrationId of this.integrations.keys()) {
+            try {
+                await this.load(integrationId, guild);
+            } catch (error) {
+                await this.logHookError(integrationId, guild.id, 'onLoad', error);
+            }
+        }
     }
 
     /**
-     * Update stored settings in M.E.R.C.Y database
+     * Unload every integration from a guild the bot left
      */
-    async updateStoredSettings(settings) {
-        // Implemented by M.E.R.C.Y
-        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    async unloadGuild(guildId) {
+        for (const integrationId of this.integrations.keys()) {
+            try {
+                await this.unload(integrationId, guildId);
+            } catch (error) {
+                await this.logHookError(integrationId, guildId, 'onUnload', error);
+            }
+        }
     }
 
     /**
-     * Create log entry in M.E.R.C.Y system
+     * Call onUnload for an integration in one guild, or in every guild
+     * A failing onUnload is logged; the instance is removed either way.
      */
-    async createLogEntry(entry) {
-        // Implemented by M.E.R.C.Y
-        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    async unload(integrationId, guildId) {
+        const commands = this.integrations.get(integrationId)?.manifest.commands || [];
+        for (const [key, integration] of this.instances) {
+            const [id, instanceGuildId] = key.split('/');
+            if (id !== integrationId || (guildId && instanceGuildId !== guildId)) continue;
+            this.instances.delete(key);
+            try {
+                await measureHook(integration.metrics, 'onUnload', () => integration.onUnload());
+                if (commands.length > 0) await this.registerCommands(instanceGuildId);
+            } catch (error) {
+                await this.logHookError(integrationId, instanceGuildId, 'onUnload', error);
+            }
+        }
+        await this.saveMetrics();
     }
 
     /**
-     * Send webhook notification
+     * Report a failed hook on the console and as a `hook_error` log entry
+     * Never throws, so it is safe to call from event listeners.
      */
-    async sendWebhook(webhookUrl, data) {
-        // Implemented by M.E.R.C.Y
-        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    async logHookError(integrationId, guildId, hook, error, data = {}) {
+        const name = this.integrations.get(integrationId)?.manifest.name ?? integrationId;
+        console.error(`[${name}] ${hook} failed:`, error.message);
+        try {
+            await this.logStore.append({
+                integrationId,
+                event: 'hook_error',
+                data: { hook, ...data, error: error.message, ...(error.retryAfter !== undefined && { retryAfter: error.retryAfter }) },
+                timestamp: new Date(),
+                guild: guildId,
+                ...(error.correlationId && { correlationId: error.correlationId })
+            });
+        } catch (logError) {
+            console.error(`[${name}] Could not write hook_error to the log store:`, logError.message);
+        }
     }
 
     /**
-     * Get server configuration
+     * Load the metrics saved by an earlier run, once
      */
-    async getServerConfig() {
-        // Implemented by M.E.R.C.Y
-        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    async restoreMetrics() {
+        if (!this.metricsStore) return;
+        this.metricsRestored ??= this.metricsStore.load().then(snapshot => snapshot && this.metrics.restore(snapshot));
+        await this.metricsRestored;
     }
 
     /**
-     * Check user permissions
+     * Persist every integration's metrics to the metrics store
      */
-    async checkPermissions(userId, permissions) {
-        // Implemented by M.E.R.C.Y
-        throw new Error('Method must be implemented by M.E.R.C.Y system');
+    async saveMetrics() {
+        if (this.metricsStore) await this.metricsStore.save(this.metrics.snapshot());
     }
-}
-
-// ============================================================================
-// PART 2: INTEGRATION INITIALIZATION
-// ============================================================================
-
-/**
- * Helper function for readline questions
- */
-function ask(rl, question) {
-    return new Promise((resolve) => {
-        rl.question(question, (answer) => {
-            resolve(answer.trim());
-        });
-    });
-}
-
-/**
- * Convert string to PascalCase
- */
-function toPascalCase(str) {
-    return str
-        .replace(/[^a-zA-Z0-9]/g, ' ')
-        .split(' ')
-        .filter(word => word.length > 0)
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-        .join('');
-}
-
-/**
- * Initialize a new M.E.R.C.Y integration project
- */
-export async function initIntegration() {
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-    });
-
-    console.log('🚀 M.E.R.C.Y Integration Creator');
-    console.log('='.repeat(35));
-    console.log('');
-
-    try {
-        // Get integration details
-        const name = await ask(rl, 'Integration Name: ');
-        const id = await ask(rl, `Integration ID [${name.toLowerCase().replace(/[^a-z0-9]/g, '-')}]: `) || 
-                   name.toLowerCase().replace(/[^a-z0-9]/g, '-');
-        const description = await ask(rl, 'Description: ');
-        const category = await ask(rl, 'Category (moderation/utility/entertainment/automation/analytics/security): ');
-        const developerName = await ask(rl, 'Your Name: ');
-        const developerEmail = await ask(rl, 'Your Email: ');
-        const githubUrl = await ask(rl, 'Your GitHub URL (optional): ');
-
-        console.log('\n📝 Creating integration structure...');
-
-        // Create integration directory
-        const integrationDir = path.resolve(process.cwd(), id);
-        await fs.mkdir(integrationDir, { recursive: true });
-
-        // Create subdirectories
-        await fs.mkdir(path.join(integrationDir, 'src'), { recursive: true });
-        await fs.mkdir(path.join(integrationDir, 'src/commands'), { recursive: true });
-        await fs.mkdir(path.join(integrationDir, 'src/events'), { recursive: true });
-        await fs.mkdir(path.join(integrationDir, 'src/utils'), { recursive: true });
-        await fs.mkdir(path.join(integrationDir, 'test'), { recursive: true });
-
-        // Create package.json
-        const packageJson = {
-            name: id,
-            version: '1.0.0',
-            description,
-            main: 'src/integration.js',
-            type: 'module',
-            scripts: {
-                test: 'node test/test-integration.js',
-                validate: 'node ../mercy.js validate',
-                package: 'node ../scripts/package-integration.js'
-            },
-            dependencies: {
-                'discord.js': '^14.14.1',
-                'axios': '^1.6.0',
-                'lodash': '^4.17.21',
-                'moment': '^2.29.4',
-                'uuid': '^9.0.1'
-            },
-            author: `${developerName} <${developerEmail}>`,
-            license: 'MIT',
-            mercy: {
-                integrationId: id,
-                version: '1.0.0'
-            }
-        };
 
-        await fs.writeFile(
-            path.join(integrationDir, 'package.json'),
-            JSON.stringify(packageJson, null, 2)
-        );
+    /**
+     * Every integration's metrics in the Prometheus text exposition format
+     */
+    exportMetrics() {
+        return this.metrics.toPrometheus();
+    }
 
-        // Create mercy-integration.json
-        const integrationConfig = {
-            id,
-            name,
-            version: '1.0.0',
-            description,
-            category: category || 'utility',
-            developer: {
-                name: developerName,
-                email: developerEmail,
-                ...(githubUrl && { github: githubUrl })
-            },
-            repository: {
-                url: '',
-                branch: 'main'
-            },
-            permissions: [
-                'ViewChannel',
-                'SendMessages',
-                'EmbedLinks'
-            ],
-            events: [
-                'messageCreate',
-                'interactionCreate'
-            ],
-            settings: {
-                enabled: {
-                    type: 'boolean',
-                    default: true,
-                    description: 'Enable/disable the integration'
-                },
-                prefix: {
-                    type: 'string',
-                    default: '!',
-                    description: 'Command prefix for this integration'
-                }
-            },
-            flags: {
-                premium: false,
-                experimental: false,
-                beta: false
-            }
-        };
+    /**
+     * Replace a guild's application commands with those of the integrations loaded there
+     * Registration failures are logged so that they do not stop the integrations from running.
+     */
+    async registerCommands(guildId) {
+        const applicationId = this.applicationId ?? this.client?.application?.id;
+        if (!this.rest || !applicationId) return null;
+
+        const body = [];
+        for (const key of this.instances.keys()) {
+            const [integrationId, instanceGuildId] = key.split('/');
+            if (instanceGuildId !== guildId) continue;
+            body.push(...(this.integrations.get(integrationId).manifest.commands || []).map(buildCommandPayload));
+        }
 
-        await fs.writeFile(
-            path.join(integrationDir, 'mercy-integration.json'),
-            JSON.stringify(integrationConfig, null, 2)
-        );
+        try {
+            return await this.rest.put(`/applications/${applicationId}/guilds/${guildId}/commands`, { body });
+        } catch (error) {
+            console.error(`❌ Failed to register commands in guild ${guildId}:`, error.message);
+            return null;
+        }
+    }
 
-        // Create integration file from template
-        const integrationCode = `import { IntegrationTemplate } from '../mercy.js';
+    /**
+     * Unload every integration instance
+     */
+    async unloadAll() {
+        for (const integrationId of this.integrations.keys()) {
+            await this.unload(integrationId);
+        }
+    }
 
-/**
- * ${name} Integration
- * ${description}
- */
-export default class ${toPascalCase(name)} extends IntegrationTemplate {
-    constructor(config) {
-        super(config);
+    /**
+     * The time before which an integration's data is past its retention period
+     */
+    retentionCutoff(integrationId, now) {
+        const days = Math.min(this.integrations.get(integrationId)?.manifest.retention?.days ?? RETENTION_DAYS, RETENTION_DAYS);
+        return now - days * DAY_MS;
     }
 
-    async initialize() {
-        await super.initialize();
-        
-        // Add your initialization logic here
-        console.log('[${name}] Initialized successfully');
+    /**
+     * Delete storage records and log entries older than their integration's retention period
+     * Storage records count from their last update; expired records are removed as well.
+     */
+    async sweepRetention(now = Date.now()) {
+        const storage = await this.dataStore.remove(record =>
+            record.updatedAt < this.retentionCutoff(record.integrationId, now) || (record.expiresAt !== null && record.expiresAt <= now));
+        const logs = await this.logStore.remove(entry =>
+            new Date(entry.timestamp).getTime() < this.retentionCutoff(entry.integrationId, now));
+        return { storage, logs };
     }
 
-    async onMessage(message) {
-        await super.onMessage(message);
-        
-        // Add your message handling logic here
+    /**
+     * Run sweepRetention() now and then every `interval` milliseconds until stopped
+     */
+    startRetentionSweeper(interval = DAY_MS) {
+        const sweep = () => this.sweepRetention().catch(error => console.error('❌ Retention sweep failed:', error.message));
+        this.stopRetentionSweeper();
+        this.retentionTimer = setInterval(sweep, interval);
+        this.retentionTimer.unref();
+        return sweep();
     }
 
-    async onMemberJoin(member) {
-        await super.onMemberJoin(member);
-        
-        // Add your member join logic here
+    stopRetentionSweeper() {
+        clearInterval(this.retentionTimer);
+        this.retentionTimer = null;
     }
 
-    // Override other methods as needed
-}
-`;
-        
-        await fs.writeFile(path.join(integrationDir, 'src', 'integration.js'), integrationCode);
+    /**
+     * Gather a user's data from every loaded integration and the log store
+     * Pass `guildId` to limit the export to one guild.
+     */
+    async exportUserData(userId, { guildId } = {}) {
+        const integrations = [];
+        for (const [key, integration] of this.instances) {
+            if (guildId && key.split('/')[1] !== guildId) continue;
+            integrations.push(await integration.exportUserData(userId));
+        }
+        const logs = (await this.logStore.query({ guildId })).filter(entry => mentionsUser(entry, userId));
+        return { userId, exportedAt: new Date().toISOString(), integrations, logs };
+    }
 
-        // Create README.md
-        const readme = `# ${name}
+    /**
+     * Erase a user's data through every loaded integration, then from storage and the log store
+     * Records keyed by the user in guilds where no instance is loaded are removed as well.
+     * An integration whose deletion hook fails is reported in the result and the rest continue.
+     */
+    async deleteUserData(userId, { guildId } = {}) {
+        const integrations = [];
+        for (const [key, integration] of this.instances) {
+            const [integrationId, instanceGuildId] = key.split('/');
+            if (guildId && instanceGuildId !== guildId) continue;
+            try {
+                integrations.push(await integration.deleteUserData(userId));
+            } catch (error) {
+                console.error(`❌ Deleting data for ${integrationId} in guild ${instanceGuildId} failed:`, error.message);
+                integrations.push({ integration: integrationId, guild: instanceGuildId, error: error.message });
+            }
+        }
 
-${description}
+        const storage = await this.dataStore.remove(record => (!guildId || record.guildId === guildId) && isUserKey(record.key, userId));
+        const logs = await this.logStore.remove(entry => (!guildId || entry.guild === guildId) && mentionsUser(entry, userId));
+        return { userId, integrations, storage, logs };
+    }
 
-## Installation
+    /**
+     * The secret an integration's webhook is signed with, for configuring its receiver or sender
+     * Incoming webhooks have one secret per guild, so pass the guild's id for those.
+     */
+    webhookSigningSecret(integrationId, name, guildId = null) {
+        const scope = guildId ? `webhook:${integrationId}:${name}:${guildId}` : `webhook:${integrationId}:${name}`;
+        return crypto.createHmac('sha256', this.webhookSecret).update(scope).digest('hex');
+    }
 
-1. Install dependencies:
-   \`\`\`bash
-   npm install
-   \`\`\`
+    /**
+     * The largest incoming webhook body an integration accepts: its resources.maxFileSize
+     */
+    webhookBodyLimit(integrationId) {
+        return this.integrations.get(integrationId)?.manifest.resources?.maxFileSize ?? DEFAULT_WEBHOOK_BODY_SIZE;
+    }
 
-2. Test your integration:
-   \`\`\`bash
-   npm test
-   \`\`\`
+    /**
+     * Pass a request for one of an integration's incoming webhooks to its onWebhook() in a guild
+     * Checks the declared method, body size, signature and the `onWebhook` rate limit first.
+     * Resolves to the response as `{ status, headers, body }`; every outcome is written to the log store.
+     */
+    async receiveWebhook(integrationId, name, { method, guildId, headers = {}, query = {}, rawBody = '' }) {
+        const registered = this.integrations.get(integrationId);
+        const webhook = registered && findWebhook(registered.manifest, name, 'incoming');
+        const integration = this.instances.get(`${integrationId}/${guildId}`);
+        if (!webhook || !integration) return webhookResponse(404, 'Unknown webhook');
+
+        const request = { id: crypto.randomUUID(), method, headers, query, body: null, rawBody };
+        const respond = async (response) => {
+            await this.logStore.append({
+                integrationId,
+                type: 'webhook',
+                event: 'webhook_received',
+                data: { request: request.id, webhook: name, status: response.status },
+                timestamp: new Date(),
+                guild: guildId
+            });
+            return response;
+        };
 
-3. Validate integration:
-   \`\`\`bash
-   npm run validate
-   \`\`\`
+        const allowed = webhook.method ?? 'POST';
+        const scheme = webhook.signature ?? 'mercy';
+        if (method !== allowed) return respond(webhookResponse(405, `Method not allowed, use ${allowed}`, { Allow: allowed }));
+        if (Buffer.byteLength(rawBody) > this.webhookBodyLimit(integrationId)) return respond(webhookResponse(413, 'Body too large'));
+        if (!verifyIncomingSignature(scheme, this.webhookSigningSecret(integrationId, name, guildId), headers, rawBody)) {
+            return respond(webhookResponse(401, 'Invalid signature'));
+        }
+        const limited = integration.rateLimiter.consume({ method: 'onWebhook' });
+        if (limited) {
+            return respond(webhookResponse(429, 'Rate limited', { 'Retry-After': String(Math.ceil(limited.retryAfter / 1000)) }));
+        }
+        try {
+            request.body = parseWebhookBody(headers['content-type'], rawBody);
+        } catch {
+            return respond(webhookResponse(400, 'Invalid JSON body'));
+        }
 
-## Configuration
+        // A signed request seen before is refused; one whose handler failed may be retried
+        const now = Date.now();
+        for (const [key, expiresAt] of this.receivedDeliveries) {
+            if (expiresAt <= now) this.receivedDeliveries.delete(key);
+        }
+        const delivery = incomingDeliveryKeys(scheme, headers, now);
+        const keys = delivery.keys.map(key => `${integrationId}/${guildId}/${name}/${key}`);
+        if (keys.some(key => this.receivedDeliveries.has(key))) return respond(webhookResponse(409, 'Delivery already received'));
+        for (const key of keys) this.receivedDeliveries.set(key, delivery.expiresAt);
 
-This integration supports the following settings:
+        try {
+            const result = await measureHook(integration.metrics, 'onWebhook', () => integration.onWebhook(name, request));
+            return respond(result === undefined || result === null ? { status: 204, headers: {}, body: null } : { status: 200, headers: {}, body: result });
+        } catch (error) {
+            for (const key of keys) this.receivedDeliveries.delete(key);
+            await this.logHookError(integrationId, guildId, 'onWebhook', error, { webhook: name });
+            return respond(webhookResponse(500, 'Webhook handler failed'));
+        }
+    }
 
-- **enabled**: Enable/disable the integration
-- **prefix**: Command prefix for this integration
+    /**
+     * Deliver one of the webhooks in an integration's manifest for a guild
+     * The URL comes from the guild's value of the webhook's `setting`, falling back to its `url`.
+     */
+    async sendWebhook(manifest, guild, name, data) {
+        const webhook = findWebhook(manifest, name, 'outgoing');
+        if (!webhook) {
+            throw webhookError(`Webhook "${name}" is not declared in the manifest`, { webhook: name });
+        }
+        const settings = webhook.setting ? await this.settingsStore.get(manifest.id, guild.id) : null;
+        const url = settings?.[webhook.setting] || webhook.url;
+        if (!url || !URL.canParse(url)) {
+            throw webhookError(`Webhook "${name}" has no valid URL for this server`, { webhook: name });
+        }
+        return this.webhooks.deliver({
+            integrationId: manifest.id,
+            guildId: guild.id,
+            webhook: name,
+            url,
+            method: webhook.method ?? 'POST',
+            secret: this.webhookSigningSecret(manifest.id, name),
+            data
+        });
+    }
 
-## Commands
+    /**
+     * Replace the M.E.R.C.Y API stubs with the host's backends
+     */
+    bindApi(integration, manifest, guild) {
+        const context = { guildId: guild.id };
+
+        integration.client = rateLimitDiscord(this.client, integration.rateLimiter, context);
+        integration.guild = rateLimitDiscord(guild, integration.rateLimiter, context);
+        integration.componentKey = crypto.createHmac('sha256', this.componentSecret).update(manifest.id).digest('hex');
+        integration.logLevel = this.logLevels[manifest.id] ?? null;
+        integration.metrics = this.metrics.scope({ integration: manifest.id, guild: guild.id, version: manifest.version });
+        integration.storage = new IntegrationStorage(this.dataStore, manifest.id, guild.id, { maxRecordSize: manifest.resources?.maxFileSize });
+        integration.http = new IntegrationHttp({
+            allowedHosts: manifest.network?.allowedHosts,
+            maxResponseSize: manifest.resources?.maxFileSize,
+            rateLimiter: integration.rateLimiter,
+            guildId: guild.id,
+            adapter: this.httpAdapter
+        });
+        integration.getStoredSettings = async () => this.settingsStore.get(manifest.id, guild.id);
+        integration.updateStoredSettings = async (settings) => this.settingsStore.set(manifest.id, guild.id, settings);
+        integration.createLogEntry = async (entry) => this.logStore.append({ integrationId: manifest.id, ...entry });
+        integration.writeLog = async (record) => {
+            if (this.echoLogs) writeConsoleLog(record);
+            await this.logStore.append({ integrationId: manifest.id, type: 'log', ...record });
+        };
+        integration.sendWebhook = integration.rateLimiter.wrap('sendWebhook', async (name, data) => this.sendWebhook(manifest, guild, name, data), context);
+        integration.getServerConfig = async () => this.serverConfig(guild);
+        integration.checkPermissions = async (userId, permissions) => this.permissionChecker(guild, userId, [].concat(permissions));
+    }
 
-(Add your commands here)
+    /**
+     * Route a Discord event to every integration loaded in the event's guild that declares it
+     * Each integration passes it to its src/events/<eventName>.js module or its template hook.
+     * A failing hook is logged and does not stop delivery to other integrations.
+     */
+    async dispatch(event, ...args) {
+        const guild = event === 'guildAuditLogEntryCreate' ? args[1] : args[0]?.guild;
+        if (!guild) return [];
+
+        // Slash commands and autocomplete only go to the integration that declares the command,
+        // and components built with componentId() only to the integration named in the customId
+        const interaction = event === 'interactionCreate' ? args[0] : null;
+        const commandName = interaction?.isChatInputCommand?.() || interaction?.isAutocomplete?.() ? interaction.commandName : null;
+        const componentOwner = typeof interaction?.customId === 'string' ? interaction.customId.split(':')[0] : null;
+
+        const results = [];
+        for (const [key, integration] of this.instances) {
+            const [integrationId, guildId] = key.split('/');
+            const { manifest, eventHandlers } = this.integrations.get(integrationId);
+            if (guildId !== guild.id || !(manifest.events || []).includes(event)) continue;
+            if (commandName && !(manifest.commands || []).some(command => command.name === commandName)) continue;
+            if (componentOwner && this.integrations.has(componentOwner) && componentOwner !== integrationId) continue;
+
+            const hook = eventHandlers.has(event) ? `src/events/${event}.js` : EVENT_HOOKS[event];
+            if (!hook) continue;
 
-## Events
+            try {
+                const context = { guildId: guild.id, userId: getEventUserId(args[0]) };
+                const wrapped = args.map(arg => rateLimitDiscord(arg, integration.rateLimiter, context));
+                await measureHook(integration.metrics, event, () => integration.handleEvent(event, ...wrapped));
+                results.push({ integrationId, event, ok: true });
+            } catch (error) {
+                await this.logHookError(integrationId, guild.id, hook, error);
+                results.push({ integrationId, event, ok: false, error });
+            }
+        }
+        return results;
+    }
 
-This integration responds to the following Discord events:
+    /**
+     * Subscribe to a discord.js client's events and follow it into new guilds
+     */
+    attach(client) {
+        this.client = client;
+        for (const integration of this.instances.values()) {
+            integration.client = rateLimitDiscord(client, integration.rateLimiter, { guildId: integration.guild.id });
+        }
 
-- \`messageCreate\`: Processes new messages
-- \`interactionCreate\`: Handles slash commands and interactions
+        for (const event of DISCORD_EVENTS) {
+            client.on(event, (...args) => this.dispatch(event, ...args));
+        }
+        // Both log failures instead of rejecting, so one integration cannot take the host down
+        client.on('guildCreate', guild => this.loadGuild(guild));
+        client.on('guildDelete', guild => this.unloadGuild(guild.id));
+    }
+}
 
-## Development
+/**
+ * Read a signing secret from a file, creating it on first use
+ */
+async function loadSecret(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, secret, { mode: 0o600 });
+    return secret;
+}
 
-### Testing
+/**
+ * Read a request body, rejecting once it grows past `limit` bytes
+ */
+function readRequestBody(request, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                request.pause();
+                reject(webhookError('Body too large', { status: 413 }));
+            } else {
+                chunks.push(chunk);
+            }
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
 
-Run tests with:
-\`\`\`bash
-npm test
-\`\`\`
+/**
+ * Serve a host's incoming webhooks at /integrations/<id>/webhooks/<name>?guild=<guild id>
+ * Each client address is rate limited before anything else, and bodies over the integration's
+ * resources.maxFileSize are refused while they arrive; host.receiveWebhook() does the rest.
+ */
+export function createWebhookServer(host) {
+    // Client addresses stand in for users, so one sender cannot exhaust the server
+    const clients = new RateLimiter({ user: WEBHOOK_CLIENT_RATE_LIMIT });
+    const send = (response, { status, headers, body }) => {
+        response.writeHead(status, body === null ? headers : { ...headers, 'Content-Type': 'application/json' });
+        response.end(body === null ? undefined : JSON.stringify(body));
+    };
 
-### Validation
+    return http.createServer(async (request, response) => {
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            const match = /^\/integrations\/([^/]+)\/webhooks\/([^/]+)$/.exec(url.pathname);
+            if (!match) return send(response, webhookResponse(404, 'Not found'));
 
-Validate your integration code:
-\`\`\`bash
-npm run validate
-\`\`\`
+            const limited = clients.consume({ userId: request.socket.remoteAddress });
+            if (limited) {
+                return send(response, webhookResponse(429, 'Rate limited', { 'Retry-After': String(Math.ceil(limited.retryAfter / 1000)) }));
+            }
 
-### Packaging
+            const [integrationId, name] = match.slice(1).map(decodeURIComponent);
+            const limit = host.webhookBodyLimit(integrationId);
+            if (Number(request.headers['content-length']) > limit) {
+                return send(response, webhookResponse(413, 'Body too large', { Connection: 'close' }));
+            }
+            const rawBody = await readRequestBody(request, limit);
+
+            send(response, await host.receiveWebhook(integrationId, name, {
+                method: request.method,
+                guildId: url.searchParams.get('guild'),
+                headers: request.headers,
+                query: Object.fromEntries(url.searchParams),
+                rawBody
+            }));
+        } catch (error) {
+            if (error.status === 413) return send(response, webhookResponse(413, 'Body too large', { Connection: 'close' }));
+            if (error instanceof URIError) return send(response, webhookResponse(400, 'Bad request'));
+            console.error('❌ Webhook request failed:', error.message);
+            send(response, webhookResponse(500, 'Internal error'));
+        }
+    });
+}
 
-Package for submission:
-\`\`\`bash
-npm run package
-\`\`\`
+/**
+ * Serve a host's metrics at GET /metrics for Prometheus to scrape
+ */
+export function createMetricsServer(host) {
+    return http.createServer((request, response) => {
+        if (request.method !== 'GET' || new URL(request.url, 'http://localhost').pathname !== '/metrics') {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            return response.end('Not found\n');
+        }
+        response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        response.end(host.exportMetrics());
+    });
+}
 
-## Support
+/**
+ * Run an integration against Discord, outside the production M.E.R.C.Y system
+ * Settings, logs, storage and metrics are kept as files in `dataDir`; `logLevel` overrides the manifest's.
+ * Storage records and logs past their retention period are swept daily.
+ * With `metricsPort`, metrics are also served for Prometheus on that port. With `webhookReceiverPort`,
+ * outgoing webhooks go to a local WebhookReceiver on that port, which prints them. With `webhookPort`,
+ * the manifest's incoming webhooks are served on that port.
+ */
+export async function runIntegration(targetDir = process.cwd(), { token, dataDir = '.mercy-data', logLevel, metricsPort, webhookReceiverPort, webhookPort, sandbox = false } = {}) {
+    console.log('🤖 M.E.R.C.Y Integration Host');
+    console.log('='.repeat(35));
+    console.log('');
 
-- **Developer**: ${developerName}
-- **Email**: ${developerEmail}
-${githubUrl ? `- **GitHub**: ${githubUrl}` : ''}
+    try {
+        if (!token) {
+            throw new Error('A bot token is required (--token or DISCORD_TOKEN)');
+        }
+        if (logLevel && !Object.hasOwn(LOG_LEVELS, logLevel)) {
+            throw new Error(`Unknown log level "${logLevel}" (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+        }
 
-## License
+        const { Client, GatewayIntentBits, REST } = await import('discord.js');
+        const integrationDir = path.resolve(targetDir);
+        const webhookReceiver = webhookReceiverPort && new WebhookReceiver({
+            onDelivery: ({ webhook, url, verified, replayed, data }) => {
+                console.log(`📨 Webhook ${webhook} for ${url} (signature ${verified ? 'valid' : 'INVALID'}${replayed ? ', REPLAYED' : ''}):`, JSON.stringify(data));
+            }
+        });
+        if (webhookReceiver) {
+            await webhookReceiver.listen(Number(webhookReceiverPort));
+            console.log(`📨 Outgoing webhooks are delivered to ${webhookReceiver.url}`);
+        }
+        const host = new IntegrationHost({
+            settingsStore: new FileSettingsStore(path.join(integrationDir, dataDir, 'settings.json')),
+            logStore: new FileLogStore(path.join(integrationDir, dataDir, 'logs.jsonl')),
+            rest: new REST({ version: '10' }).setToken(token),
+            componentSecret: await loadSecret(path.join(integrationDir, dataDir, 'component-secret')),
+            webhookSecret: await loadSecret(path.join(integrationDir, dataDir, 'webhook-secret')),
+            webhookReceiver,
+            echoLogs: true,
+            metricsStore: new FileMetricsStore(path.join(integrationDir, dataDir, 'metrics.json')),
+            dataStore: new FileDataStore(path.join(integrationDir, dataDir, 'storage.json')),
+            sandbox
+        });
+        const manifest = await host.register(integrationDir);
+        if (logLevel) host.logLevels[manifest.id] = logLevel;
+        await host.startRetentionSweeper();
 
-MIT License - see LICENSE file for details.
-`;
+        const intents = new Set(['Guilds', ...(manifest.intents || [])]);
+        const client = new Client({ intents: [...intents].map(intent => GatewayIntentBits[intent]) });
+        host.attach(client);
 
-        await fs.writeFile(path.join(integrationDir, 'README.md'), readme);
+        const metricsServer = metricsPort && createMetricsServer(host).listen(Number(metricsPort), () => {
+            console.log(`📈 Metrics available at http://localhost:${metricsPort}/metrics`);
+        });
+        const webhookServer = webhookPort && createWebhookServer(host).listen(Number(webhookPort));
+        const incomingWebhooks = (manifest.webhooks || []).filter(webhook => webhook.direction === 'incoming');
 
-        // Create basic test file
-        const testFile = `import ${toPascalCase(name)} from '../src/integration.js';
+        client.once('ready', async () => {
+            try {
+                for (const guild of client.guilds.cache.values()) {
+                    await host.loadGuild(guild);
+                    if (!host.instances.has(`${manifest.id}/${guild.id}`)) continue;
+                    for (const webhook of webhookServer ? incomingWebhooks : []) {
+                        console.log(`🪝 ${webhook.name} for ${guild.name}: http://localhost:${webhookPort}/integrations/${manifest.id}/webhooks/${webhook.name}?guild=${guild.id}`);
+                        console.log(`   Secret: ${host.webhookSigningSecret(manifest.id, webhook.name, guild.id)}`);
+                    }
+                }
+                const loaded = host.instances.size;
+                console.log(`✅ ${manifest.name} running as ${client.user.tag} in ${loaded} of ${client.guilds.cache.size} guild(s)`);
+            } catch (error) {
+                await host.logHookError(manifest.id, null, 'startup', error);
+            }
+        });
 
-// Basic integration test
-async function testIntegration() {
-    console.log('🧪 Testing ${name} integration...');
-    
-    try {
-        const config = {
-            name: '${name}',
-            version: '1.0.0'
+        const shutdown = async () => {
+            host.stopRetentionSweeper();
+            host.webhooks.stop();
+            await host.unloadAll();
+            if (metricsServer) metricsServer.close();
+            if (webhookServer) webhookServer.close();
+            if (webhookReceiver) await webhookReceiver.close();
+            await client.destroy();
+            process.exit(0);
         };
-        
-        const integration = new ${toPascalCase(name)}(config);
-        
-        // Test initialization
-        await integration.initialize();
-        console.log('✅ Initialization test passed');
-        
-        // Test basic functionality
-        const uptime = integration.getUptime();
-        console.log(\`✅ Uptime method works: \${uptime}\`);
-        
-        console.log('🎉 All tests passed!');
-        
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+
+        await client.login(token);
+        return host;
+
     } catch (error) {
-        console.error('❌ Test failed:', error.message);
+        console.error('❌ Host error:', error.message);
         process.exit(1);
     }
 }
 
-testIntegration();
-`;
+// ============================================================================
+// PART 8: SANDBOXED EXECUTION
+// ============================================================================
 
-        await fs.writeFile(path.join(integrationDir, 'test', 'test-integration.js'), testFile);
+const SANDBOX_WORKER_FLAG = 'mercySandbox';
+const SANDBOX_TAG = '__mercySandbox';
+const SANDBOX_API_METHODS = ['getStoredSettings', 'updateStoredSettings', 'createLogEntry', 'writeLog', 'sendWebhook', 'getServerConfig', 'checkPermissions'];
+const SANDBOX_SHELL_PROPERTIES = ['client', 'guild', 'rateLimiter', 'componentKey', 'logLevel', 'metrics', 'storage', 'http'];
+const SANDBOX_HOOKS = ['onLoad', 'handleEvent', 'exportUserData', 'deleteUserData', 'onWebhook', ...new Set(Object.values(EVENT_HOOKS))];
+const DEFAULT_RESOURCES = { maxExecutionTime: 30000, maxMemoryUsage: 104857600 };
 
-        // Create LICENSE file
-        const license = `MIT License
+// Properties that lead from a host object to its class, prototype or the host's Function constructor
+const SANDBOX_FORBIDDEN_PROPERTIES = ['constructor', '__proto__', 'prototype', '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'];
 
-Copyright (c) ${new Date().getFullYear()} ${developerName}
+// process members that reach modules or native code without going through SANDBOX_LOADER,
+// or signal other processes; replaced in the worker before integration code loads
+const SANDBOX_BLOCKED_PROCESS_APIS = ['getBuiltinModule', 'binding', '_linkedBinding', 'dlopen', 'kill'];
 
-Permission is hereby granted, free of charge, to any person obtaining a copy
-of this software and associated documentation files (the "Software"), to deal
-in the Software without restriction, including without limitation the rights
-to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
-copies of the Software, and to permit persons to whom the Software is
-furnished to do so, subject to the following conditions:
+// Globals that reach the network without this.http's allowedHosts and private address checks;
+// removed in the worker before integration code loads
+const SANDBOX_BLOCKED_GLOBALS = ['fetch', 'WebSocket', 'EventSource'];
 
-The above copyright notice and this permission notice shall be included in all
-copies or substantial portions of the Software.
+// Module resolution hook installed in every sandbox worker. Code inside the integration
+// directory may only import its own files, the kit, ALLOWED_DEPENDENCIES and ALLOWED_BUILTINS.
+// The kit resolves to the module from sandboxSdkSource() instead of mercy.js itself.
+const SANDBOX_LOADER = `
+import { builtinModules } from 'node:module';
 
-THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
-IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
-FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
-AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
-LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
-OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
-SOFTWARE.
-`;
+let policy;
 
-        await fs.writeFile(path.join(integrationDir, 'LICENSE'), license);
+export async function initialize(data) {
+    policy = data;
+}
 
-        console.log('✅ Integration created successfully!');
-        console.log('');
-        console.log('📁 Project structure:');
-        console.log(`   ${integrationDir}/`);
-        console.log('   ├── src/');
-        console.log('   │   ├── integration.js');
-        console.log('   │   ├── commands/');
-        console.log('   │   ├── events/');
-        console.log('   │   └── utils/');
-        console.log('   ├── test/');
-        console.log('   │   └── test-integration.js');
-        console.log('   ├── mercy-integration.json');
-        console.log('   ├── package.json');
-        console.log('   ├── README.md');
-        console.log('   └── LICENSE');
-        console.log('');
-        console.log('🚀 Next steps:');
-        console.log(`   1. cd ${id}`);
-        console.log('   2. npm install');
-        console.log('   3. Edit src/integration.js with your logic');
-        console.log('   4. npm test');
-        console.log('   5. npm run validate');
-        console.log('');
-        console.log('📚 Documentation: https://docs.mercy-bot.com/integrations');
+function deny(specifier) {
+    return Object.assign(new Error('Module "' + specifier + '" is not allowed in the M.E.R.C.Y sandbox'), { code: 'ERR_MERCY_SANDBOX_IMPORT' });
+}
 
-    } catch (error) {
-        console.error('❌ Error creating integration:', error.message);
-        process.exit(1);
-    } finally {
-        rl.close();
+export async function resolve(specifier, context, nextResolve) {
+    const parent = context.parentURL || '';
+    if (!parent.startsWith(policy.rootUrl) || parent.includes('/node_modules/')) {
+        return nextResolve(specifier, context);
+    }
+
+    const builtin = specifier.startsWith('node:') ? specifier.slice(5) : specifier;
+    if (specifier.startsWith('node:') || builtinModules.includes(builtin)) {
+        if (!policy.allowedBuiltins.includes(builtin)) throw deny(specifier);
+        return nextResolve(specifier, context);
+    }
+
+    if (!/^(\\.{0,2}\\/|file:)/.test(specifier)) {
+        const parts = specifier.split('/');
+        const packageName = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+        if (!policy.allowedDependencies.includes(packageName)) throw deny(specifier);
+        return nextResolve(specifier, context);
     }
+
+    const resolved = await nextResolve(specifier, context);
+    if (resolved.url === policy.kitUrl) return { url: policy.sdkUrl, shortCircuit: true };
+    const local = resolved.url.startsWith(policy.rootUrl) && !resolved.url.includes('/node_modules/');
+    if (!local) throw deny(specifier);
+    return resolved;
 }
+`;
 
-// ============================================================================
-// PART 3: INTEGRATION VALIDATION
-// ============================================================================
+/**
+ * The module integrations get when a sandboxed integration imports the kit
+ * Only IntegrationTemplate, whose API methods, storage and http call the host; the stores,
+ * postWebhook and the other host-side exports stay out of reach.
+ */
+function sandboxSdkSource(kitUrl) {
+    return `export { IntegrationTemplate, IntegrationTemplate as default } from ${JSON.stringify(kitUrl)};`;
+}
 
-const SECURITY_PATTERNS = [
-    { pattern: /require\s*\(\s*['"`]child_process['"`]\s*\)/g, severity: 'critical', message: 'Child process access forbidden' },
-    { pattern: /import\s+.*\s+from\s+['"`]child_process['"`]/g, severity: 'critical', message: 'Child process import forbidden' },
-    { pattern: /process\.env/g, severity: 'critical', message: 'Environment variable access forbidden' },
-    { pattern: /eval\s*\(/g, severity: 'critical', message: 'Code evaluation forbidden' },
-    { pattern: /new\s+Function\s*\(/g, severity: 'critical', message: 'Function constructor forbidden' },
-    { pattern: /\.exec\s*\(/g, severity: 'high', message: 'Process execution forbidden' },
-    { pattern: /\.spawn\s*\(/g, severity: 'high', message: 'Process spawning forbidden' },
-    { pattern: /fs\.writeFile/g, severity: 'high', message: 'File writing forbidden (use provided APIs)' },
-    { pattern: /fs\.unlink/g, severity: 'high', message: 'File deletion forbidden' },
-    { pattern: /fs\.rmdir/g, severity: 'high', message: 'Directory deletion forbidden' },
-    { pattern: /require\s*\(\s*['"`]fs['"`]\s*\)/g, severity: 'medium', message: 'Direct filesystem access discouraged' },
-    { pattern: /setTimeout\s*\(\s*['"`][^'"`]*['"`]\s*,/g, severity: 'medium', message: 'String-based setTimeout forbidden' },
-    { pattern: /setInterval\s*\(\s*['"`][^'"`]*['"`]\s*,/g, severity: 'medium', message: 'String-based setInterval forbidden' },
-    { pattern: /while\s*\(\s*true\s*\)/g, severity: 'medium', message: 'Infinite loops detected' },
-    { pattern: /for\s*\(\s*;;\s*\)/g, severity: 'medium', message: 'Infinite loops detected' }
-];
+/**
+ * Throw unless this Node.js version can install SANDBOX_LOADER (module.register() is in 18.19 and 20.6 onwards)
+ * Without the loader a worker could import anything, so the sandbox refuses to start.
+ */
+function assertSandboxSupported() {
+    if (typeof Module.register !== 'function') {
+        throw Object.assign(
+            new Error(`The M.E.R.C.Y sandbox needs module.register(), which Node.js ${process.version} does not have; use Node.js 18.19, 20.6 or later`),
+            { code: 'ERR_MERCY_SANDBOX_UNSUPPORTED' }
+        );
+    }
+}
 
-const REQUIRED_FILES = [
-    'mercy-integration.json',
-    'package.json',
-    'src/integration.js',
-    'README.md'
-];
+function sandboxAccessError(message) {
+    return Object.assign(new Error(message), { code: 'ERR_MERCY_SANDBOX_ACCESS' });
+}
 
-const REQUIRED_CONFIG_FIELDS = [
-    'id', 'name', 'version', 'description', 'category', 'developer'
-];
+/**
+ * Replace the process APIs in SANDBOX_BLOCKED_PROCESS_APIS with ones that throw and remove SANDBOX_BLOCKED_GLOBALS
+ * Runs inside the worker; the replacements cannot be redefined by integration code.
+ */
+function lockDownSandbox() {
+    for (const name of SANDBOX_BLOCKED_GLOBALS) {
+        delete globalThis[name];
+    }
+    for (const name of SANDBOX_BLOCKED_PROCESS_APIS) {
+        Object.defineProperty(process, name, {
+            value: () => {
+                throw Object.assign(new Error(`process.${name}() is not available in the M.E.R.C.Y sandbox`), { code: 'ERR_MERCY_SANDBOX_API' });
+            },
+            writable: false,
+            enumerable: false,
+            configurable: false
+        });
+    }
+}
 
 /**
- * Validate a M.E.R.C.Y integration
+ * Turn an error into something that survives postMessage, keeping primitive fields such as `code`
  */
-export async function validateIntegration() {
-    console.log('🔍 M.E.R.C.Y Integration Validator');
-    console.log('='.repeat(35));
-    console.log('');
+function serializeSandboxError(error) {
+    const fields = error && typeof error === 'object'
+        ? Object.fromEntries(Object.entries(error).filter(([, value]) => value === null || ['string', 'number', 'boolean', 'bigint'].includes(typeof value)))
+        : {};
+    return { ...fields, name: error?.name || 'Error', message: error?.message ?? String(error) };
+}
 
-    const results = {
-        errors: [],
-        warnings: [],
-        score: 100,
-        isValid: true
-    };
+function deserializeSandboxError({ message, ...fields }) {
+    return Object.assign(new Error(message), fields);
+}
 
-    try {
-        // Check if we're in an integration directory
-        const currentDir = process.cwd();
-        console.log(`📁 Validating: ${path.basename(currentDir)}`);
-        console.log('');
+/**
+ * Decode a value encoded by either side of the sandbox boundary
+ * `resolveRef` turns a reference id into the local object or proxy it stands for.
+ */
+function decodeSandboxValue(value, resolveRef) {
+    if (value === null || typeof value !== 'object') return value;
+    if (ArrayBuffer.isView(value)) return value;
+
+    const decode = (item) => decodeSandboxValue(item, resolveRef);
+    switch (value[SANDBOX_TAG]) {
+        case 'ref':
+            return resolveRef(value.id, value.callable);
+        case 'array':
+            return value.items.map(decode);
+        case 'map':
+            return new MockCollection(value.entries.map(([key, item]) => [decode(key), decode(item)]));
+        case 'date':
+            return new Date(value.time);
+        case 'error': {
+            const error = { ...value };
+            delete error[SANDBOX_TAG];
+            return deserializeSandboxError(error);
+        }
+        case 'object':
+            return Object.fromEntries(Object.entries(value.props).map(([key, item]) => [key, decode(item)]));
+        default:
+            return undefined;
+    }
+}
 
-        // Validate file structure
-        console.log('📋 Checking file structure...');
-        for (const file of REQUIRED_FILES) {
-            try {
-                await fs.access(file);
-                console.log(`  ✅ ${file}`);
-            } catch {
-                results.errors.push(`Missing required file: ${file}`);
-                console.log(`  ❌ ${file} (missing)`);
-                results.score -= 20;
-            }
+/**
+ * Host-side registry of the objects a sandbox can reach
+ *
+ * Plain data is copied into the worker. Anything else (Discord objects, class instances,
+ * functions) stays on the host and is handed over as a reference the worker can read,
+ * write and call through. References are held strongly while a hook runs; afterwards
+ * they survive only as long as the host keeps the object alive.
+ *
+ * The worker is untrusted, so every request is checked here: prototype and constructor
+ * lookups are refused, and only functions read as methods of a bridged object (the
+ * M.E.R.C.Y API methods and the Discord objects' own methods) can be called.
+ */
+class SandboxBridge {
+    constructor() {
+        this.ids = new WeakMap();
+        this.objects = new Map(); // id -> WeakRef
+        this.held = new Set();
+        this.callable = new WeakSet(); // Host functions the worker may call
+        this.exposed = new WeakMap(); // object -> the only properties the worker may read from it
+        this.nextId = 1;
+        this.released = new FinalizationRegistry(id => this.objects.delete(id));
+    }
+
+    reference(value) {
+        let id = this.ids.get(value);
+        if (!id) {
+            id = this.nextId++;
+            this.ids.set(value, id);
+            this.objects.set(id, new WeakRef(value));
+            this.released.register(value, id);
         }
-        console.log('');
+        this.held.add(value);
+        return id;
+    }
 
-        // Validate configuration
-        if (results.errors.length === 0 || results.errors.every(e => !e.includes('mercy-integration.json'))) {
-            console.log('⚙️  Validating configuration...');
-            try {
-                const configData = await fs.readFile('mercy-integration.json', 'utf8');
-                const config = JSON.parse(configData);
-
-                for (const field of REQUIRED_CONFIG_FIELDS) {
-                    if (!config[field]) {
-                        results.errors.push(`Missing required config field: ${field}`);
-                        console.log(`  ❌ Missing field: ${field}`);
-                        results.score -= 10;
-                    } else {
-                        console.log(`  ✅ ${field}: ${typeof config[field] === 'object' ? JSON.stringify(config[field]) : config[field]}`);
-                    }
-                }
+    /**
+     * Reference an object the worker may only read the given properties of
+     */
+    expose(value, properties) {
+        this.exposed.set(value, properties);
+        return this.reference(value);
+    }
 
-                // Validate version format
-                if (config.version && !/^\d+\.\d+\.\d+$/.test(config.version)) {
-                    results.warnings.push('Invalid version format, use semantic versioning (x.y.z)');
-                    results.score -= 5;
-                }
+    resolve(id) {
+        const value = this.objects.get(id)?.deref();
+        if (value === undefined) {
+            throw new Error('Sandbox reference is no longer available');
+        }
+        return value;
+    }
 
-                // Validate ID format
-                if (config.id && !/^[a-z0-9-_]+$/.test(config.id)) {
-                    results.errors.push('Invalid ID format, use lowercase letters, numbers, hyphens, and underscores only');
-                    results.score -= 15;
-                }
+    encode(value, seen = new Set()) {
+        if (typeof value === 'symbol') return undefined;
+        if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return value;
+        if (value instanceof Date) return { [SANDBOX_TAG]: 'date', time: value.getTime() };
+        if (value instanceof Error) return { [SANDBOX_TAG]: 'error', ...serializeSandboxError(value) };
+        if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength).slice();
 
-                // Check category
-                const validCategories = ['moderation', 'utility', 'entertainment', 'automation', 'analytics', 'security'];
-                if (config.category && !validCategories.includes(config.category)) {
-                    results.warnings.push(`Invalid category: ${config.category}. Use one of: ${validCategories.join(', ')}`);
-                    results.score -= 5;
-                }
+        const reference = () => ({ [SANDBOX_TAG]: 'ref', id: this.reference(value), callable: typeof value === 'function' });
+        if (typeof value === 'function' || seen.has(value)) return reference();
 
-            } catch (error) {
-                results.errors.push(`Invalid mercy-integration.json: ${error.message}`);
-                results.score -= 25;
-            }
-            console.log('');
+        const isIterator = typeof value.next === 'function' && typeof value[Symbol.iterator] === 'function';
+        const prototype = Object.getPrototypeOf(value);
+        seen.add(value);
+
+        if (Array.isArray(value) || isIterator) {
+            return { [SANDBOX_TAG]: 'array', items: Array.from(value, item => this.encode(item, seen)) };
+        }
+        if (value instanceof Map) {
+            return { [SANDBOX_TAG]: 'map', entries: [...value].map(([key, item]) => [this.encode(key, seen), this.encode(item, seen)]) };
         }
+        if (prototype === Object.prototype || prototype === null) {
+            return { [SANDBOX_TAG]: 'object', props: Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.encode(item, seen)])) };
+        }
+        return reference();
+    }
 
-        // Validate package.json
-        if (results.errors.length === 0 || results.errors.every(e => !e.includes('package.json'))) {
-            console.log('📦 Validating package.json...');
-            try {
-                const packageData = await fs.readFile('package.json', 'utf8');
-                const pkg = JSON.parse(packageData);
+    decode(value) {
+        return decodeSandboxValue(value, id => this.resolve(id));
+    }
 
-                // Check required fields
-                if (!pkg.name) {
-                    results.warnings.push('Missing package name');
-                    results.score -= 5;
-                }
-                if (!pkg.version) {
-                    results.warnings.push('Missing package version');
-                    results.score -= 5;
-                }
-                if (pkg.type !== 'module') {
-                    results.warnings.push('Package should use ES modules (type: "module")');
-                    results.score -= 5;
-                }
+    /**
+     * Carry out a property access or call the worker made on a host object
+     */
+    perform({ op, id, prop, value, thisArg, args, hint }) {
+        const target = this.resolve(id);
+        const exposed = this.exposed.get(target);
+        if (((op === 'get' || op === 'set') && SANDBOX_FORBIDDEN_PROPERTIES.includes(prop)) || (exposed && (op !== 'get' || !exposed.includes(prop)))) {
+            throw sandboxAccessError(`Access to "${prop}" is not allowed from the M.E.R.C.Y sandbox`);
+        }
 
-                // Check dependencies
-                if (pkg.dependencies) {
-                    for (const dep of Object.keys(pkg.dependencies)) {
-                        if (!ALLOWED_DEPENDENCIES.includes(dep)) {
-                            results.errors.push(`Unauthorized dependency: ${dep}`);
-                            results.score -= 15;
-                        }
+        switch (op) {
+            case 'get': {
+                const result = Reflect.get(target, prop);
+                if (typeof result === 'function') {
+                    // Methods of functions (call, bind, ...) and of Object.prototype lead back to host internals
+                    if (typeof target === 'function' || result === Object.prototype[prop]) {
+                        throw sandboxAccessError(`Access to "${prop}" is not allowed from the M.E.R.C.Y sandbox`);
                     }
+                    this.callable.add(result);
                 }
-
-                console.log('  ✅ Package configuration valid');
-            } catch (error) {
-                results.errors.push(`Invalid package.json: ${error.message}`);
-                results.score -= 20;
+                return result;
             }
-            console.log('');
+            case 'set':
+                return Reflect.set(target, prop, this.decode(value));
+            case 'has':
+                return prop in target;
+            case 'keys':
+                return Reflect.ownKeys(target).filter(key => typeof key === 'string');
+            case 'apply':
+                if (!this.callable.has(target)) {
+                    throw sandboxAccessError('Only M.E.R.C.Y API methods and methods of Discord objects can be called from the sandbox');
+                }
+                return Reflect.apply(target, this.decode(thisArg), this.decode(args));
+            case 'toPrimitive':
+                return hint === 'number' ? Number(target) : String(target);
+            default:
+                throw new Error(`Unknown sandbox operation: ${op}`);
         }
+    }
+}
 
-        // Validate integration code
-        if (results.errors.length === 0 || results.errors.every(e => !e.includes('src/integration.js'))) {
-            console.log('🔒 Performing security analysis...');
-            try {
-                const codeData = await fs.readFile('src/integration.js', 'utf8');
-                
-                // Check for security violations
-                let violationsFound = false;
-                for (const { pattern, severity, message } of SECURITY_PATTERNS) {
-                    const matches = codeData.match(pattern);
-                    if (matches) {
-                        violationsFound = true;
-                        if (severity === 'critical') {
-                            results.errors.push(`CRITICAL: ${message} (${matches.length} instances)`);
-                            results.score -= 30;
-                            console.log(`  ❌ CRITICAL: ${message}`);
-                        } else if (severity === 'high') {
-                            results.errors.push(`HIGH: ${message} (${matches.length} instances)`);
-                            results.score -= 20;
-                            console.log(`  ⚠️  HIGH: ${message}`);
-                        } else {
-                            results.warnings.push(`${severity.toUpperCase()}: ${message} (${matches.length} instances)`);
-                            results.score -= 10;
-                            console.log(`  ⚠️  ${severity.toUpperCase()}: ${message}`);
-                        }
-                    }
-                }
+/**
+ * Runs an integration in a worker thread, limited by the manifest's `resources`
+ *
+ * Exposes the same hooks as an IntegrationTemplate instance, so IntegrationHost can use it
+ * in place of one. A hook that runs past `maxExecutionTime` terminates the worker, as does
+ * exceeding `maxMemoryUsage`; every later call then fails with the same error.
+ */
+export class SandboxedIntegration {
+    constructor(integrationDir, manifest) {
+        assertSandboxSupported();
+        this.integrationDir = path.resolve(integrationDir);
+        this.config = manifest;
+        this.resources = { ...DEFAULT_RESOURCES, ...manifest.resources };
+        this.client = null; // Set by IntegrationHost.bindApi, read by the worker
+        this.guild = null;
+        this.componentKey = null;
+        this.logLevel = null;
+        this.metrics = null;
+        this.storage = null;
+        this.http = null;
+        this.rateLimiter = new RateLimiter(manifest.resources?.rateLimits);
+        this.worker = null;
+        this.terminated = null;
+        this.pending = new Map();
+        this.nextCallId = 1;
+        this.bridge = new SandboxBridge();
+
+        for (const hook of SANDBOX_HOOKS) {
+            this[hook] = (...args) => this.call(hook, args);
+        }
+    }
 
-                if (!violationsFound) {
-                    console.log('  ✅ No security violations detected');
+    /**
+     * Start the worker and wait until it has created the integration instance
+     */
+    start() {
+        const { port1, port2 } = new MessageChannel();
+        this.rpcPort = port1;
+        this.signal = new Int32Array(new SharedArrayBuffer(4));
+
+        this.worker = new Worker(__filename, {
+            workerData: {
+                [SANDBOX_WORKER_FLAG]: true,
+                integrationDir: this.integrationDir,
+                manifest: this.config,
+                signal: this.signal,
+                rpcPort: port2,
+                shellId: this.bridge.expose(this, [...SANDBOX_SHELL_PROPERTIES, ...SANDBOX_API_METHODS]),
+                policy: {
+                    rootUrl: pathToFileURL(this.integrationDir).href + '/',
+                    kitUrl: pathToFileURL(__filename).href,
+                    sdkUrl: `data:text/javascript,${encodeURIComponent(sandboxSdkSource(pathToFileURL(__filename).href))}`,
+                    allowedDependencies: ALLOWED_DEPENDENCIES,
+                    allowedBuiltins: ALLOWED_BUILTINS
                 }
+            },
+            transferList: [port2],
+            env: {},
+            resourceLimits: {
+                maxOldGenerationSizeMb: Math.max(1, Math.ceil(this.resources.maxMemoryUsage / (1024 * 1024)))
+            }
+        });
 
-                // Check code structure
-                if (!codeData.includes('export default class')) {
-                    results.errors.push('Integration must export a default class');
-                    results.score -= 25;
-                }
+        port1.on('message', request => this.handleRequest(request));
+        this.worker.on('message', message => this.settle(message));
+        this.worker.on('error', (error) => {
+            this.terminate(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+                ? Object.assign(new Error(`${this.config.id} exceeded maxMemoryUsage (${this.resources.maxMemoryUsage} bytes)`), { code: 'ERR_MERCY_MEMORY_LIMIT' })
+                : error);
+        });
+        this.worker.on('exit', () => this.terminate(new Error(`${this.config.id} sandbox exited`)));
 
-                if (!codeData.includes('async onLoad()')) {
-                    results.warnings.push('Integration should implement onLoad() method');
-                    results.score -= 5;
-                }
+        return this.track(0, 'startup');
+    }
 
-                // Calculate complexity
-                const lines = codeData.split('\n').length;
-                const functions = (codeData.match(/function|=>/g) || []).length;
-                const complexity = lines + (functions * 2);
+    /**
+     * Register a pending call and enforce maxExecutionTime on it
+     */
+    track(id, label) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.terminate(Object.assign(
+                    new Error(`${this.config.id} ${label} exceeded maxExecutionTime (${this.resources.maxExecutionTime}ms)`),
+                    { code: 'ERR_MERCY_EXECUTION_TIMEOUT' }
+                ));
+            }, this.resources.maxExecutionTime);
+            this.pending.set(id, { resolve, reject, timer });
+        });
+    }
 
-                if (complexity > 1000) {
-                    results.warnings.push(`High code complexity: ${complexity} (consider simplifying)`);
-                    results.score -= 10;
-                } else {
-                    console.log(`  ✅ Code complexity: ${complexity} (acceptable)`);
-                }
+    /**
+     * Call a hook on the integration inside the worker
+     */
+    async call(hook, args) {
+        if (this.terminated) throw this.terminated;
+        if (!this.worker) await this.start();
+
+        const id = this.nextCallId++;
+        const result = this.track(id, hook);
+        this.worker.postMessage({ id, hook, args: this.bridge.encode(args) });
+        return result;
+    }
 
-            } catch (error) {
-                results.errors.push(`Cannot read integration code: ${error.message}`);
-                results.score -= 30;
-            }
-            console.log('');
+    async onUnload() {
+        if (!this.worker || this.terminated) return true;
+        try {
+            return await this.call('onUnload', []);
+        } finally {
+            await this.terminate(new Error(`${this.config.id} sandbox was unloaded`));
         }
+    }
 
-        // Additional validations
-        console.log('📝 Additional checks...');
-        
-        // Check README
-        try {
-            const readme = await fs.readFile('README.md', 'utf8');
-            if (readme.length < 100) {
-                results.warnings.push('README.md is very short, consider adding more documentation');
-                results.score -= 5;
-            }
-            console.log('  ✅ README.md exists and has content');
-        } catch {
-            console.log('  ⚠️  README.md missing or unreadable');
+    /**
+     * Resolve or reject a pending call with the worker's answer
+     */
+    settle({ id, value, error }) {
+        const call = this.pending.get(id);
+        if (!call) return;
+        clearTimeout(call.timer);
+        this.pending.delete(id);
+        if (this.pending.size === 0) this.bridge.held.clear();
+
+        if (error) {
+            call.reject(deserializeSandboxError(error));
+        } else {
+            call.resolve(this.bridge.decode(value));
         }
+    }
 
-        // Check for test files
+    /**
+     * Answer a synchronous property access or call from the worker
+     */
+    async handleRequest(request) {
+        const response = {};
         try {
-            await fs.access('test');
-            console.log('  ✅ Test directory found');
-        } catch {
-            results.warnings.push('No test directory found, consider adding tests');
-            results.score -= 5;
+            let result = this.bridge.perform(request);
+            if (typeof result?.then === 'function') {
+                response.async = true;
+                result = await result;
+            }
+            response.value = this.bridge.encode(result);
+        } catch (error) {
+            response.error = serializeSandboxError(error);
         }
 
-        console.log('');
+        if (this.terminated) return;
+        this.rpcPort.postMessage(response);
+        Atomics.store(this.signal, 0, 1);
+        Atomics.notify(this.signal, 0);
+    }
 
-        // Final validation
-        results.isValid = results.errors.length === 0 && results.score >= 70;
+    /**
+     * Kill the worker and fail every pending and future call with `reason`
+     */
+    async terminate(reason = new Error(`${this.config.id} sandbox was terminated`)) {
+        if (this.terminated) return;
+        this.terminated = reason;
 
-        // Display results
-        console.log('📊 Validation Results');
-        console.log('='.repeat(20));
-        
-        if (results.errors.length > 0) {
-            console.log('\n❌ ERRORS:');
-            results.errors.forEach(error => console.log(`  • ${error}`));
+        for (const call of this.pending.values()) {
+            clearTimeout(call.timer);
+            call.reject(reason);
+        }
+        this.pending.clear();
+        this.bridge.held.clear();
+
+        if (this.worker) {
+            // Wake the worker if it is blocked waiting for the host
+            Atomics.store(this.signal, 0, 1);
+            Atomics.notify(this.signal, 0);
+            this.rpcPort.close();
+            await this.worker.terminate();
         }
+    }
+}
 
-        if (results.warnings.length > 0) {
-            console.log('\n⚠️  WARNINGS:');
-            results.warnings.forEach(warning => console.log(`  • ${warning}`));
+/**
+ * Entry point inside the sandbox worker
+ */
+async function startSandboxWorker({ integrationDir, manifest, signal, rpcPort, shellId, policy }) {
+    const proxies = new Map(); // id -> WeakRef(proxy)
+    const proxyIds = new WeakMap();
+
+    const callHost = (request) => {
+        Atomics.store(signal, 0, 0);
+        rpcPort.postMessage(request);
+        Atomics.wait(signal, 0, 0);
+        const { message } = receiveMessageOnPort(rpcPort) ?? { message: { error: { message: 'Sandbox is shutting down' } } };
+
+        const error = message.error && deserializeSandboxError(message.error);
+        const value = error ? undefined : decode(message.value);
+        if (message.async) return error ? Promise.reject(error) : Promise.resolve(value);
+        if (error) throw error;
+        return value;
+    };
+
+    const encode = (value, seen = new Set()) => {
+        if (typeof value === 'symbol') return undefined;
+        if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return value;
+        if (proxyIds.has(value)) return { [SANDBOX_TAG]: 'ref', id: proxyIds.get(value) };
+        if (typeof value === 'function') throw new TypeError('Functions cannot be passed out of the sandbox');
+        if (value instanceof Date) return { [SANDBOX_TAG]: 'date', time: value.getTime() };
+        if (value instanceof Error) return { [SANDBOX_TAG]: 'error', ...serializeSandboxError(value) };
+        if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength).slice();
+        if (typeof value.toJSON === 'function') return encode(value.toJSON(), seen);
+        if (seen.has(value)) throw new TypeError('Circular values cannot be passed out of the sandbox');
+        seen.add(value);
+
+        if (Array.isArray(value)) return { [SANDBOX_TAG]: 'array', items: value.map(item => encode(item, seen)) };
+        if (value instanceof Map) {
+            return { [SANDBOX_TAG]: 'map', entries: [...value].map(([key, item]) => [encode(key, seen), encode(item, seen)]) };
         }
+        return { [SANDBOX_TAG]: 'object', props: Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encode(item, seen)])) };
+    };
 
-        console.log(`\n📈 Security Score: ${results.score}/100`);
-        
-        if (results.isValid) {
-            console.log('\n🎉 Integration validation passed!');
-            console.log('✅ Ready for submission to M.E.R.C.Y marketplace');
-        } else {
-            console.log('\n❌ Integration validation failed');
-            console.log('Please fix all errors before submitting');
-            process.exit(1);
+    const remote = (id, callable) => {
+        const existing = proxies.get(id)?.deref();
+        if (existing) return existing;
+
+        const proxy = new Proxy(callable ? () => {} : {}, {
+            get: (target, prop) => {
+                if (prop === Symbol.toPrimitive) return (hint) => callHost({ op: 'toPrimitive', id, hint });
+                if (typeof prop === 'symbol' || prop === 'then') return undefined;
+                // The worker's own call/apply/bind invoke the proxy, which calls the host function
+                if (callable && ['call', 'apply', 'bind'].includes(prop)) return Function.prototype[prop];
+                return callHost({ op: 'get', id, prop });
+            },
+            set: (target, prop, value) => typeof prop === 'string' && callHost({ op: 'set', id, prop, value: encode(value) }),
+            has: (target, prop) => typeof prop === 'string' && callHost({ op: 'has', id, prop }),
+            ownKeys: () => [...new Set([...callHost({ op: 'keys', id }), ...Reflect.ownKeys(callable ? () => {} : {})])],
+            getOwnPropertyDescriptor: (target, prop) => {
+                if (Reflect.getOwnPropertyDescriptor(target, prop)) return Reflect.getOwnPropertyDescriptor(target, prop);
+                if (typeof prop !== 'string' || !callHost({ op: 'keys', id }).includes(prop)) return undefined;
+                return { value: callHost({ op: 'get', id, prop }), writable: true, enumerable: true, configurable: true };
+            },
+            apply: (target, thisArg, args) => callHost({ op: 'apply', id, thisArg: encode(thisArg), args: encode(args) })
+        });
+
+        proxies.set(id, new WeakRef(proxy));
+        proxyIds.set(proxy, id);
+        return proxy;
+    };
+
+    const decode = (value) => decodeSandboxValue(value, remote);
+
+    try {
+        Module.register(`data:text/javascript,${encodeURIComponent(SANDBOX_LOADER)}`, { data: policy });
+        lockDownSandbox();
+
+        const IntegrationClass = await loadIntegrationClass(integrationDir);
+        const integration = new IntegrationClass(manifest);
+        integration.commandHandlers = await loadCommandHandlers(integrationDir, manifest);
+        integration.eventHandlers = await loadEventHandlers(integrationDir, manifest);
+
+        // client, guild, the rate limiter, metrics, storage, http and the M.E.R.C.Y API methods live on the host-side SandboxedIntegration
+        const shell = remote(shellId, false);
+        for (const property of SANDBOX_SHELL_PROPERTIES) {
+            Object.defineProperty(integration, property, { get: () => shell[property], set: () => {}, configurable: true });
+        }
+        for (const method of SANDBOX_API_METHODS) {
+            integration[method] = (...args) => shell[method](...args);
         }
 
+        parentPort.on('message', async ({ id, hook, args }) => {
+            try {
+                const value = await integration[hook](...decode(args));
+                parentPort.postMessage({ id, value: encode(value) });
+            } catch (error) {
+                parentPort.postMessage({ id, error: serializeSandboxError(error) });
+            }
+        });
+        parentPort.postMessage({ id: 0 });
     } catch (error) {
-        console.error('❌ Validation error:', error.message);
-        process.exit(1);
+        parentPort.postMessage({ id: 0, error: serializeSandboxError(error) });
     }
 }
 
@@ -1024,27 +7131,197 @@ export async function validateIntegration() {
 // CLI HANDLER
 // ============================================================================
 
+// CLI flags that take no value; every other `--flag` consumes the argument after it
+const CLI_BOOLEAN_FLAGS = ['--yes', '--force', '--help', '-h', '--sandbox', '--auto-approve'];
+
+/**
+ * Read the value following a `--flag` argument
+ */
+function getCliOption(args, name, fallback) {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : fallback;
+}
+
+/**
+ * Read every value of a repeatable `--name value` option
+ */
+function getCliOptions(args, name) {
+    return args.flatMap((arg, index) => (arg === `--${name}` && index + 1 < args.length ? [args[index + 1]] : []));
+}
+
+/**
+ * Read the first positional argument after the command, skipping flags and their values
+ * so `validate --format json ./dir` and `validate ./dir --format json` mean the same
+ */
+function getCliTarget(args) {
+    for (let index = 1; index < args.length; index++) {
+        if (!args[index].startsWith('-')) return args[index];
+        if (!CLI_BOOLEAN_FLAGS.includes(args[index])) index++;
+    }
+    return undefined;
+}
+
+/**
+ * Print the options `init` accepts
+ */
+function printInitUsage() {
+    console.log('Usage: node mercy.js init [options]');
+    console.log('');
+    console.log('Creates a new integration in ./<id>. Questions not answered by flags or --answers are asked interactively.');
+    console.log('');
+    console.log('Options:');
+    console.log('  --name <name>              Integration name (required with --yes)');
+    console.log('  --id <id>                  Integration ID (default: derived from the name)');
+    console.log('  --description <text>       Description (default: "<name> integration for M.E.R.C.Y")');
+    console.log('  --category <category>      moderation, utility, entertainment, automation, analytics or security (default: utility)');
+    console.log('  --template <name>          Scaffolding template (default: the category)');
+    console.log('  --template-dir <dir>       Extra directory of templates (repeatable)');
+    console.log('  --developer-name <name>    Your name (required with --yes)');
+    console.log('  --developer-email <email>  Your email (required with --yes)');
+    console.log('  --github <url>             Your GitHub URL (optional)');
+    console.log('  --answers <file>           Read answers from a JSON file; flags take precedence');
+    console.log('  --yes                      Use defaults instead of prompting');
+    console.log('  --force                    Delete an existing directory and create it again');
+    console.log('  --help                     Show this message');
+}
+
 /**
- * CLI handler for running as a command-line tool
+ * CLI handler, shared by `node mercy.js <command>` and the npm scripts in scripts/
  */
-if (import.meta.url === `file://${process.argv[1]}`) {
-    const command = process.argv[2];
+export async function runCli(args) {
+    const command = args[0];
+    const marketplaceOptions = {
+        marketplaceUrl: getCliOption(args, 'marketplace', process.env.MERCY_MARKETPLACE_URL),
+        token: getCliOption(args, 'token', process.env.MERCY_MARKETPLACE_TOKEN)
+    };
 
     if (command === 'init') {
-        initIntegration();
+        if (args.includes('--help') || args.includes('-h')) {
+            printInitUsage();
+            return;
+        }
+
+        const answers = {};
+        for (const [key, flag] of Object.entries(INIT_ANSWER_FLAGS)) {
+            answers[key] = getCliOption(args, flag);
+        }
+        await initIntegration({
+            answers,
+            answersFile: getCliOption(args, 'answers'),
+            templateDirs: getCliOptions(args, 'template-dir'),
+            yes: args.includes('--yes'),
+            force: args.includes('--force')
+        });
     } else if (command === 'validate') {
-        validateIntegration();
+        const format = getCliOption(args, 'format', 'text');
+        const output = getCliOption(args, 'output');
+        const machineReadable = format !== 'text';
+
+        try {
+            const results = await validateIntegration(getCliTarget(args), { quiet: machineReadable });
+            if (machineReadable) {
+                const report = formatValidationReport(results, format);
+                if (output) {
+                    await fs.writeFile(output, report + '\n');
+                } else {
+                    process.stdout.write(report + '\n');
+                }
+            }
+            process.exitCode = results.isValid ? 0 : 1;
+        } catch (error) {
+            console.error('❌ Validation error:', error.message);
+            process.exit(2);
+        }
+    } else if (command === 'test') {
+        await testIntegration(getCliTarget(args));
+    } else if (command === 'package') {
+        await packageIntegration({ keyPath: getCliOption(args, 'key'), integrationDir: getCliTarget(args) });
+    } else if (command === 'verify') {
+        try {
+            const publicKey = await loadTrustedKey(getCliOption(args, 'public-key'));
+            const { valid, errors } = await verifyPackage(getCliTarget(args), { publicKey });
+            if (valid) {
+                console.log('✅ Package signature and file hashes verified');
+            } else {
+                errors.forEach(error => console.log(`❌ ${error}`));
+                process.exit(1);
+            }
+        } catch (error) {
+            console.error('❌ Verification error:', error.message);
+            process.exit(1);
+        }
+    } else if (command === 'publish') {
+        await publishIntegration({ ...marketplaceOptions, keyPath: getCliOption(args, 'key') });
+    } else if (command === 'status') {
+        try {
+            const submission = await getSubmissionStatus(getCliTarget(args), marketplaceOptions);
+            console.log(`📋 ${submission.id}@${submission.version}: ${REVIEW_STATUS_LABELS[submission.status] || submission.status}`);
+            if (submission.notes) console.log(`   Notes: ${submission.notes}`);
+        } catch (error) {
+            console.error('❌ Status error:', error.message);
+            process.exit(1);
+        }
+    } else if (command === 'marketplace') {
+        const port = Number(getCliOption(args, 'port', 4873));
+        const developerKeys = {};
+        for (const option of getCliOptions(args, 'developer-key')) {
+            const separator = option.indexOf('=');
+            if (separator < 1) {
+                console.error(`❌ --developer-key expects <email>=<public.pem>, got "${option}"`);
+                process.exit(1);
+            }
+            developerKeys[option.slice(0, separator)] = await fs.readFile(path.resolve(option.slice(separator + 1)), 'utf8');
+        }
+        createMarketplaceServer({
+            token: getCliOption(args, 'token'),
+            autoApprove: args.includes('--auto-approve'),
+            developerKeys
+        }).listen(port, () => {
+            console.log(`🏪 Local marketplace listening on http://localhost:${port}`);
+            console.log(`   Publish with: node ../mercy.js publish --marketplace http://localhost:${port}`);
+        });
+    } else if (command === 'run') {
+        await runIntegration(getCliTarget(args), {
+            token: getCliOption(args, 'token', process.env.DISCORD_TOKEN),
+            dataDir: getCliOption(args, 'data', '.mercy-data'),
+            logLevel: getCliOption(args, 'log-level'),
+            metricsPort: getCliOption(args, 'metrics-port'),
+            webhookReceiverPort: getCliOption(args, 'webhook-receiver'),
+            webhookPort: getCliOption(args, 'webhook-port'),
+            sandbox: args.includes('--sandbox')
+        });
     } else {
         console.log('M.E.R.C.Y Integration System');
         console.log('');
         console.log('Usage:');
-        console.log('  node mercy.js init      - Initialize a new integration');
-        console.log('  node mercy.js validate  - Validate an integration');
+        console.log('  node mercy.js init      - Initialize a new integration (--name, --id, --description, --category,');
+        console.log('                            --template, --template-dir <dir>, --developer-name, --developer-email,');
+        console.log('                            --github, --answers <file>, --yes, --force, --help)');
+        console.log('  node mercy.js validate [dir]  - Validate an integration (--format json|sarif|junit, --output <file>)');
+        console.log('  node mercy.js test [dir]      - Run test scenarios against an integration');
+        console.log('  node mercy.js package [dir]   - Build a signed submission archive (--key <pem>)');
+        console.log('  node mercy.js verify <archive>  - Verify a packaged archive (--public-key <pem>)');
+        console.log('  node mercy.js publish   - Upload the package (--marketplace <url> --token <token>)');
+        console.log('  node mercy.js status <submissionId>  - Show marketplace review status');
+        console.log('  node mercy.js marketplace  - Run a local marketplace stand-in (--port, --auto-approve,');
+        console.log('                            --developer-key <email>=<public.pem>)');
+        console.log('  node mercy.js run [dir]    - Run an integration against Discord (--token, --data <dir>, --log-level,');
+        console.log('                            --metrics-port <port>, --webhook-port <port>, --webhook-receiver <port>,');
+        console.log('                            --sandbox)');
         console.log('');
         console.log('Or import as module:');
-        console.log('  import { initIntegration, validateIntegration, IntegrationTemplate } from "./mercy.js"');
+        console.log('  import { initIntegration, validateIntegration, testIntegration, packageIntegration, publishIntegration, IntegrationHost, IntegrationTemplate } from "./mercy.js"');
     }
 }
 
+if (!isMainThread && workerData?.[SANDBOX_WORKER_FLAG]) {
+    startSandboxWorker(workerData);
+} else if (isMainThread && import.meta.url === `file://${process.argv[1]}`) {
+    runCli(process.argv.slice(2)).catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
 // Export as default for convenient imports
 export default IntegrationTemplate;
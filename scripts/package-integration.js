@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+/**
+ * M.E.R.C.Y Integration Packaging Script
+ * Validates an integration and builds a signed, reproducible submission archive
+ */
+
+import { runCli } from '../mercy.js';
+
+runCli(['package', ...process.argv.slice(2)]).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
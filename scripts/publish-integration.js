@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+/**
+ * M.E.R.C.Y Integration Publishing Script
+ * Uploads the packaged integration to the marketplace and reports its review status
+ */
+
+import { runCli } from '../mercy.js';
+
+runCli(['publish', ...process.argv.slice(2)]).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
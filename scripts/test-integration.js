@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+/**
+ * M.E.R.C.Y Integration Test Runner
+ * Runs scripted event scenarios against an integration using mocked Discord objects
+ */
+
+import { runCli } from '../mercy.js';
+
+runCli(['test', ...process.argv.slice(2)]).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
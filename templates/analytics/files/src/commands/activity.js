@@ -0,0 +1,26 @@
+import { EmbedBuilder } from 'discord.js';
+
+/**
+ * /activity - Show message activity and member growth
+ */
+export async function execute(interaction, integration) {
+    const { messages, joins, leaves } = integration.activity;
+    const topChannels = [...messages.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, integration.getSetting('topChannels', 5))
+        .map(([channelId, count]) => `<#${channelId}>: ${count}`);
+    const total = [...messages.values()].reduce((sum, count) => sum + count, 0);
+
+    const embed = new EmbedBuilder()
+        .setColor('#10b981')
+        .setTitle('📈 Server Activity')
+        .addFields(
+            { name: 'Messages', value: total.toString(), inline: true },
+            { name: 'Joins', value: joins.toString(), inline: true },
+            { name: 'Leaves', value: leaves.toString(), inline: true },
+            { name: 'Busiest Channels', value: topChannels.join('\n') || 'No messages yet' }
+        )
+        .setFooter({ text: `Tracking for ${integration.getUptime()}` });
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
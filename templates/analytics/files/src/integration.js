@@ -0,0 +1,36 @@
+import { IntegrationTemplate } from '../../mercy.js';
+
+/**
+ * {{name}} Integration
+ * {{description}}
+ */
+export default class {{className}} extends IntegrationTemplate {
+    constructor(config) {
+        super(config);
+    }
+
+    async initialize() {
+        await super.initialize();
+
+        // Counters since the integration was loaded
+        this.activity = { messages: new Map(), joins: 0, leaves: 0 };
+        this.logger.info('Initialized successfully');
+    }
+
+    async onMessage(message) {
+        if (message.author.bot && !this.getSetting('countBots', false)) return;
+
+        const { messages } = this.activity;
+        messages.set(message.channel.id, (messages.get(message.channel.id) || 0) + 1);
+    }
+
+    async onMemberJoin(member) {
+        this.activity.joins++;
+        await this.logEvent('member_joined', { userId: member.id, memberCount: this.guild.memberCount });
+    }
+
+    async onMemberLeave(member) {
+        this.activity.leaves++;
+        await this.logEvent('member_left', { userId: member.id, memberCount: this.guild.memberCount });
+    }
+}
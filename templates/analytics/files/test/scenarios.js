@@ -0,0 +1,44 @@
+/**
+ * {{name}} test scenarios
+ *
+ * Each scenario gets a fresh integration wired to mock Discord objects.
+ * Smoke scenarios for every event in mercy-integration.json run automatically.
+ */
+export default [
+    {
+        name: 'counts messages per channel',
+        run: async (h) => {
+            await h.dispatch('messageCreate', h.createMessage());
+            await h.dispatch('messageCreate', h.createMessage());
+        },
+        expect: (h, { assert }) => assert.equal(h.integration.activity.messages.get(h.channel.id), 2)
+    },
+    {
+        name: 'ignores bot messages by default',
+        event: 'messageCreate',
+        input: (h) => h.createMessage({ author: h.createUser('other-bot', { bot: true }) }),
+        expect: (h, { assert }) => assert.equal(h.integration.activity.messages.size, 0)
+    },
+    {
+        name: 'records joins and leaves',
+        run: async (h) => {
+            const member = h.createMember('visitor');
+            await h.dispatch('guildMemberAdd', member);
+            await h.dispatch('guildMemberRemove', member);
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.integration.activity.joins, 1);
+            assert.equal(h.integration.activity.leaves, 1);
+            assert.deepEqual(h.store.logs.map(log => log.event), ['member_joined', 'member_left']);
+        }
+    },
+    {
+        name: 'reports activity',
+        event: 'interactionCreate',
+        setup: (h) => {
+            h.store.settings = { topChannels: 3 };
+        },
+        input: (h) => h.createInteraction({ commandName: 'activity' }),
+        expect: (h, { assert, input }) => assert.equal(input.replies[0].embeds.length, 1)
+    }
+];
@@ -0,0 +1,8 @@
+/**
+ * /autorole - Set the role new members receive
+ */
+export async function execute(interaction, integration, { role }) {
+    await integration.setSetting('joinRole', role.id);
+    await integration.logEvent('join_role_changed', { roleId: role.id, changedBy: interaction.user.id });
+    await interaction.reply({ content: `✅ New members will now receive ${role}`, ephemeral: true });
+}
@@ -0,0 +1,34 @@
+import { IntegrationTemplate } from '../../mercy.js';
+
+/**
+ * {{name}} Integration
+ * {{description}}
+ */
+export default class {{className}} extends IntegrationTemplate {
+    constructor(config) {
+        super(config);
+    }
+
+    async initialize() {
+        await super.initialize();
+
+        this.logger.info('Initialized successfully');
+    }
+
+    /**
+     * Give new members the join role and post the welcome message
+     */
+    async onMemberJoin(member) {
+        const role = this.guild.roles.cache.get(this.getSetting('joinRole'));
+        if (role) {
+            await member.roles.add(role, 'Automatic join role');
+            await this.logEvent('join_role_assigned', { userId: member.id, roleId: role.id });
+        }
+
+        const channel = this.guild.channels.cache.get(this.getSetting('welcomeChannel'));
+        if (channel) {
+            const message = this.getSetting('welcomeMessage', 'Welcome to the server, {user}!');
+            await channel.send({ content: message.replace('{user}', member.toString()) });
+        }
+    }
+}
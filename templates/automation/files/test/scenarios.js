@@ -0,0 +1,46 @@
+/**
+ * {{name}} test scenarios
+ *
+ * Each scenario gets a fresh integration wired to mock Discord objects.
+ * Smoke scenarios for every event in mercy-integration.json run automatically.
+ */
+export default [
+    {
+        name: 'gives new members the join role',
+        event: 'guildMemberAdd',
+        setup: (h) => {
+            h.store.settings = { joinRole: h.guild.addRole('Member').id };
+        },
+        input: (h) => h.createMember('newcomer'),
+        expect: (h, { assert, input }) => assert.equal(input.roles.cache.size, 1)
+    },
+    {
+        name: 'greets new members in the welcome channel',
+        event: 'guildMemberAdd',
+        setup: (h) => {
+            h.store.settings = { welcomeChannel: h.channel.id, welcomeMessage: 'Hi {user}!' };
+        },
+        input: (h) => h.createMember('newcomer'),
+        expect: (h, { assert, input }) => assert.equal(h.channel.sent[0].content, `Hi ${input}!`)
+    },
+    {
+        name: 'sets the join role',
+        event: 'interactionCreate',
+        input: (h) => h.createInteraction({ commandName: 'autorole', options: { role: h.guild.addRole('Member') } }),
+        expect: (h, { assert, input }) => {
+            assert.equal(h.store.settings.joinRole, input.options.getRole('role').id);
+        }
+    },
+    {
+        name: 'refuses to set the join role without Manage Roles',
+        event: 'interactionCreate',
+        setup: (h) => {
+            h.store.grantedPermissions = {};
+        },
+        input: (h) => h.createInteraction({ commandName: 'autorole', options: { role: h.guild.addRole('Member') } }),
+        expect: (h, { assert, input }) => {
+            assert.equal(input.replies[0].ephemeral, true);
+            assert.equal(h.store.settings, null);
+        }
+    }
+];
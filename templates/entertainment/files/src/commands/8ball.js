@@ -0,0 +1,13 @@
+/**
+ * /8ball - Ask the magic 8-ball a question
+ */
+export async function execute(interaction, integration) {
+    const question = interaction.options.getString('question', true);
+    const answers = integration.getSetting('eightBallAnswers', 'Yes|No|Maybe')
+        .split('|')
+        .map(answer => answer.trim())
+        .filter(Boolean);
+    const answer = answers[Math.floor(Math.random() * answers.length)];
+
+    await interaction.reply({ content: `🎱 **${question}**\n${answer}` });
+}
@@ -0,0 +1,15 @@
+/**
+ * /roll - Roll a die with the given number of sides
+ */
+export async function execute(interaction, integration) {
+    const sides = interaction.options.getInteger('sides') ?? 6;
+    const maxSides = integration.getSetting('maxDiceSides', 100);
+
+    if (sides < 2 || sides > maxSides) {
+        await interaction.reply({ content: `🎲 Pick between 2 and ${maxSides} sides`, ephemeral: true });
+        return;
+    }
+
+    const result = Math.floor(Math.random() * sides) + 1;
+    await interaction.reply({ content: `🎲 ${interaction.user} rolled a **${result}** (d${sides})` });
+}
@@ -0,0 +1,17 @@
+import { IntegrationTemplate } from '../../mercy.js';
+
+/**
+ * {{name}} Integration
+ * {{description}}
+ */
+export default class {{className}} extends IntegrationTemplate {
+    constructor(config) {
+        super(config);
+    }
+
+    async initialize() {
+        await super.initialize();
+
+        this.logger.info('Initialized successfully');
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * {{name}} test scenarios
+ *
+ * Each scenario gets a fresh integration wired to mock Discord objects.
+ * Smoke scenarios for every event in mercy-integration.json run automatically.
+ */
+export default [
+    {
+        name: 'rolls within the number of sides',
+        event: 'interactionCreate',
+        input: (h) => h.createInteraction({ commandName: 'roll', options: { sides: 20 } }),
+        expect: (h, { assert, input }) => {
+            const result = Number(input.replies[0].content.match(/\*\*(\d+)\*\*/)[1]);
+            assert.ok(result >= 1 && result <= 20);
+        }
+    },
+    {
+        name: 'refuses dice larger than maxDiceSides',
+        event: 'interactionCreate',
+        setup: (h) => {
+            h.store.settings = { maxDiceSides: 50 };
+        },
+        input: (h) => h.createInteraction({ commandName: 'roll', options: { sides: 100 } }),
+        expect: (h, { assert, input }) => assert.equal(input.replies[0].ephemeral, true)
+    },
+    {
+        name: 'answers 8-ball questions from the configured answers',
+        event: 'interactionCreate',
+        setup: (h) => {
+            h.store.settings = { eightBallAnswers: 'Absolutely' };
+        },
+        input: (h) => h.createInteraction({ commandName: '8ball', options: { question: 'Will it work?' } }),
+        expect: (h, { assert, input }) => assert.match(input.replies[0].content, /Absolutely$/)
+    }
+];
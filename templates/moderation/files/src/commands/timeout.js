@@ -0,0 +1,13 @@
+/**
+ * /timeout - Time out a member for a number of minutes
+ */
+export async function execute(interaction, integration) {
+    const member = interaction.options.getMember('member', true);
+    const minutes = interaction.options.getInteger('minutes') ?? integration.getSetting('timeoutMinutes', 10);
+    const reason = interaction.options.getString('reason') ?? 'No reason given';
+
+    await member.timeout(minutes * 60 * 1000, reason);
+    await integration.logEvent('member_timed_out', { userId: member.id, moderatorId: interaction.user.id, minutes, reason });
+    await integration.notify(`⏱️ ${member} was timed out for ${minutes} minutes: ${reason}`);
+    await interaction.reply({ content: `⏱️ Timed out ${member} for ${minutes} minutes`, ephemeral: true });
+}
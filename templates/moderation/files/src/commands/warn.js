@@ -0,0 +1,11 @@
+/**
+ * /warn - Warn a member and record it in the audit log
+ */
+export async function execute(interaction, integration) {
+    const user = interaction.options.getUser('user', true);
+    const reason = interaction.options.getString('reason', true);
+
+    await integration.logEvent('member_warned', { userId: user.id, moderatorId: interaction.user.id, reason });
+    await integration.notify(`⚠️ ${user} was warned by ${interaction.user}: ${reason}`);
+    await interaction.reply({ content: `⚠️ Warned ${user}: ${reason}`, ephemeral: true });
+}
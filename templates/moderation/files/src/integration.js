@@ -0,0 +1,44 @@
+import { IntegrationTemplate } from '../../mercy.js';
+
+/**
+ * {{name}} Integration
+ * {{description}}
+ */
+export default class {{className}} extends IntegrationTemplate {
+    constructor(config) {
+        super(config);
+    }
+
+    async initialize() {
+        await super.initialize();
+
+        this.logger.info('Initialized successfully');
+    }
+
+    /**
+     * Delete messages containing a blocked word
+     */
+    async onMessage(message) {
+        if (message.author.bot) return;
+
+        const blockedWords = this.getSetting('blockedWords', '')
+            .split(',')
+            .map(word => word.trim().toLowerCase())
+            .filter(Boolean);
+        const content = message.content.toLowerCase();
+        const match = blockedWords.find(word => content.includes(word));
+        if (!match) return;
+
+        await message.delete();
+        await this.notify(`🧹 Removed a message from ${message.author} containing a blocked word`);
+        await this.logEvent('blocked_word', { userId: message.author.id, channelId: message.channel.id, word: match });
+    }
+
+    /**
+     * Post a notice to the configured log channel, if any
+     */
+    async notify(content) {
+        const channel = this.guild.channels.cache.get(this.getSetting('logChannel'));
+        if (channel) await channel.send({ content });
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * {{name}} test scenarios
+ *
+ * Each scenario gets a fresh integration wired to mock Discord objects.
+ * Smoke scenarios for every event in mercy-integration.json run automatically.
+ */
+export default [
+    {
+        name: 'deletes messages containing a blocked word',
+        event: 'messageCreate',
+        setup: (h) => {
+            h.store.settings = { blockedWords: 'spoiler, scam' };
+        },
+        input: (h) => h.createMessage({ content: 'Free SCAM giveaway' }),
+        expect: (h, { assert, input }) => {
+            assert.equal(input.deleted, true);
+            assert.equal(h.store.logs[0].event, 'blocked_word');
+        }
+    },
+    {
+        name: 'leaves other messages alone',
+        event: 'messageCreate',
+        setup: (h) => {
+            h.store.settings = { blockedWords: 'scam' };
+        },
+        input: (h) => h.createMessage({ content: 'Good morning' }),
+        expect: (h, { assert, input }) => assert.equal(input.deleted, false)
+    },
+    {
+        name: 'warns a member',
+        event: 'interactionCreate',
+        setup: (h) => {
+            h.store.settings = { logChannel: h.channel.id };
+        },
+        input: (h) => h.createInteraction({ commandName: 'warn', options: { user: h.createUser('rule-breaker'), reason: 'Spamming' } }),
+        expect: (h, { assert, input }) => {
+            assert.equal(input.replies[0].ephemeral, true);
+            assert.equal(h.store.logs[0].event, 'member_warned');
+            assert.equal(h.channel.sent.length, 1);
+        }
+    },
+    {
+        name: 'times out a member for the default length',
+        event: 'interactionCreate',
+        input: (h) => h.createInteraction({ commandName: 'timeout', options: { member: h.createMember('rule-breaker') } }),
+        expect: (h, { assert, input }) => {
+            const member = input.options.getMember('member');
+            assert.deepEqual(member.actions, [{ type: 'timeout', duration: 10 * 60 * 1000, reason: 'No reason given' }]);
+        }
+    }
+];
@@ -0,0 +1,19 @@
+import { EmbedBuilder } from 'discord.js';
+
+/**
+ * /security-status - Show the current security settings
+ */
+export async function execute(interaction, integration) {
+    const alertChannel = integration.getSetting('alertChannel');
+    const embed = new EmbedBuilder()
+        .setColor('#ef4444')
+        .setTitle('🛡️ Security Status')
+        .addFields(
+            { name: 'Invite Links', value: integration.getSetting('blockInviteLinks', true) ? 'Blocked' : 'Allowed', inline: true },
+            { name: 'Minimum Account Age', value: `${integration.getSetting('minAccountAgeDays', 7)} days`, inline: true },
+            { name: 'New Accounts', value: integration.getSetting('kickNewAccounts', false) ? 'Kicked' : 'Flagged', inline: true },
+            { name: 'Alert Channel', value: alertChannel ? `<#${alertChannel}>` : 'Not set' }
+        );
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
@@ -0,0 +1,53 @@
+import { IntegrationTemplate } from '../../mercy.js';
+
+const INVITE_PATTERN = /(discord\.gg|discord(app)?\.com\/invite)\/\w+/i;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * {{name}} Integration
+ * {{description}}
+ */
+export default class {{className}} extends IntegrationTemplate {
+    constructor(config) {
+        super(config);
+    }
+
+    async initialize() {
+        await super.initialize();
+
+        this.logger.info('Initialized successfully');
+    }
+
+    /**
+     * Delete messages containing invite links
+     */
+    async onMessage(message) {
+        if (message.author.bot || !this.getSetting('blockInviteLinks', true)) return;
+        if (!INVITE_PATTERN.test(message.content)) return;
+
+        await message.delete();
+        await this.alert(`🔗 Removed an invite link posted by ${message.author} in ${message.channel}`);
+        await this.logEvent('invite_blocked', { userId: message.author.id, channelId: message.channel.id });
+    }
+
+    /**
+     * Flag (and optionally kick) accounts younger than minAccountAgeDays
+     */
+    async onMemberJoin(member) {
+        const ageDays = (Date.now() - member.user.createdTimestamp) / DAY;
+        if (ageDays >= this.getSetting('minAccountAgeDays', 7)) return;
+
+        const kick = this.getSetting('kickNewAccounts', false);
+        if (kick) await member.kick('Account is too new');
+        await this.alert(`🚨 ${member} joined with an account ${Math.floor(ageDays)} days old${kick ? ' and was kicked' : ''}`);
+        await this.logEvent('new_account_flagged', { userId: member.id, ageDays: Math.floor(ageDays), kicked: kick });
+    }
+
+    /**
+     * Post an alert to the configured alert channel, if any
+     */
+    async alert(content) {
+        const channel = this.guild.channels.cache.get(this.getSetting('alertChannel'));
+        if (channel) await channel.send({ content });
+    }
+}
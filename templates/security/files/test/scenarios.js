@@ -0,0 +1,54 @@
+/**
+ * {{name}} test scenarios
+ *
+ * Each scenario gets a fresh integration wired to mock Discord objects.
+ * Smoke scenarios for every event in mercy-integration.json run automatically.
+ */
+export default [
+    {
+        name: 'deletes invite links and alerts',
+        event: 'messageCreate',
+        setup: (h) => {
+            h.store.settings = { alertChannel: h.channel.id };
+        },
+        input: (h) => h.createMessage({ content: 'join us at discord.gg/abc123' }),
+        expect: (h, { assert, input }) => {
+            assert.equal(input.deleted, true);
+            assert.equal(h.channel.sent.length, 1);
+        }
+    },
+    {
+        name: 'leaves ordinary links alone',
+        event: 'messageCreate',
+        input: (h) => h.createMessage({ content: 'see https://example.com' }),
+        expect: (h, { assert, input }) => assert.equal(input.deleted, false)
+    },
+    {
+        name: 'kicks new accounts when configured',
+        event: 'guildMemberAdd',
+        setup: (h) => {
+            h.store.settings = { kickNewAccounts: true };
+        },
+        input: (h) => {
+            const member = h.createMember('fresh-account');
+            member.user.createdTimestamp = Date.now();
+            return member;
+        },
+        expect: (h, { assert, input }) => {
+            assert.equal(input.actions[0].type, 'kick');
+            assert.equal(h.store.logs[0].event, 'new_account_flagged');
+        }
+    },
+    {
+        name: 'lets established accounts join',
+        event: 'guildMemberAdd',
+        input: (h) => h.createMember('regular'),
+        expect: (h, { assert, input }) => assert.equal(input.actions.length, 0)
+    },
+    {
+        name: 'reports the security settings',
+        event: 'interactionCreate',
+        input: (h) => h.createInteraction({ commandName: 'security-status' }),
+        expect: (h, { assert, input }) => assert.equal(input.replies[0].embeds.length, 1)
+    }
+];
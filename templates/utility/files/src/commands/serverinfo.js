@@ -0,0 +1,19 @@
+import { EmbedBuilder } from 'discord.js';
+
+/**
+ * /serverinfo - Show information about this server
+ */
+export async function execute(interaction, integration) {
+    const { guild } = interaction;
+    const embed = new EmbedBuilder()
+        .setColor(integration.getSetting('embedColor', '#6366f1'))
+        .setTitle(guild.name)
+        .addFields(
+            { name: 'Members', value: guild.memberCount.toString(), inline: true },
+            { name: 'Channels', value: guild.channels.cache.size.toString(), inline: true },
+            { name: 'Roles', value: guild.roles.cache.size.toString(), inline: true }
+        )
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: integration.getSetting('privateReplies', true) });
+}
@@ -0,0 +1,18 @@
+import { EmbedBuilder } from 'discord.js';
+
+/**
+ * /userinfo - Show information about a member
+ */
+export async function execute(interaction, integration) {
+    const user = interaction.options.getUser('user') ?? interaction.user;
+    const embed = new EmbedBuilder()
+        .setColor(integration.getSetting('embedColor', '#6366f1'))
+        .setTitle(user.tag)
+        .setThumbnail(user.displayAvatarURL())
+        .addFields(
+            { name: 'ID', value: user.id, inline: true },
+            { name: 'Account Created', value: `<t:${Math.floor(user.createdTimestamp / 1000)}:R>`, inline: true }
+        );
+
+    await interaction.reply({ embeds: [embed], ephemeral: integration.getSetting('privateReplies', true) });
+}
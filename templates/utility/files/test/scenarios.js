@@ -0,0 +1,29 @@
+/**
+ * {{name}} test scenarios
+ *
+ * Each scenario gets a fresh integration wired to mock Discord objects.
+ * Smoke scenarios for every event in mercy-integration.json run automatically.
+ */
+export default [
+    {
+        name: 'describes the server',
+        event: 'interactionCreate',
+        input: (h) => h.createInteraction({ commandName: 'serverinfo' }),
+        expect: (h, { assert, input }) => {
+            assert.equal(input.replies[0].embeds.length, 1);
+            assert.equal(input.replies[0].ephemeral, true);
+        }
+    },
+    {
+        name: 'describes the requested member',
+        event: 'interactionCreate',
+        input: (h) => h.createInteraction({ commandName: 'userinfo', options: { user: h.createUser('someone') } }),
+        expect: (h, { assert, input }) => assert.equal(input.replies[0].embeds[0].data.title, 'someone')
+    },
+    {
+        name: 'describes the caller when no member is given',
+        event: 'interactionCreate',
+        input: (h) => h.createInteraction({ commandName: 'userinfo' }),
+        expect: (h, { assert, input }) => assert.equal(input.replies[0].embeds[0].data.title, h.user.tag)
+    }
+];
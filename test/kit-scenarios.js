@@ -0,0 +1,1507 @@
+/**
+ * M.E.R.C.Y Integration Development Kit self-test scenarios
+ *
+ * Loaded by `npm test` when the test runner is pointed at the kit itself.
+ * Each scenario gets a fresh IntegrationTemplate wired to mock Discord objects;
+ * smoke scenarios for the template manifest's events run automatically.
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import Module from 'module';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+    IntegrationTemplate,
+    IntegrationHost,
+    IntegrationHttp,
+    IntegrationStorage,
+    MemoryLogStore,
+    MetricsRegistry,
+    MockGuild,
+    RateLimiter,
+    SandboxedIntegration,
+    WebhookReceiver,
+    analyzeImportGraph,
+    analyzeSecurity,
+    buildCommandPayload,
+    checkCapabilities,
+    createMarketplaceServer,
+    createWebhookServer,
+    formatValidationReport,
+    getSubmissionStatus,
+    initIntegration,
+    publishIntegration,
+    runCli,
+    signWebhook,
+    validateIntegration,
+    verifyPackage
+} from '../mercy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Run `run(sandbox)` against a sandboxed integration whose handleEvent(check) runs `checks[check]`
+ * The integration bypasses the validator, as a malicious one would.
+ */
+async function withSandbox(h, checks, resources, run) {
+    const integrationDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mercy-sandbox-'));
+    const cases = Object.entries(checks).map(([check, body]) => `            case '${check}': { ${body} }`).join('\n');
+    await fs.mkdir(path.join(integrationDir, 'src'));
+    await fs.writeFile(path.join(integrationDir, 'src', 'integration.js'), [
+        'export default class {',
+        '    async handleEvent(check) {',
+        '        switch (check) {',
+        cases,
+        "            default: return 'ready';",
+        '        }',
+        '    }',
+        '}'
+    ].join('\n'));
+
+    const sandbox = new SandboxedIntegration(integrationDir, { ...h.manifest, resources });
+    sandbox.guild = h.guild;
+    sandbox.getStoredSettings = async () => ({ prefix: '?' });
+    try {
+        await sandbox.handleEvent('start');
+        await run(sandbox);
+    } finally {
+        await sandbox.terminate();
+        await fs.rm(integrationDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Run the security analyzer on a snippet and list the rules it reported, with their line
+ */
+function securityRules(code) {
+    return analyzeSecurity(code).findings.map(finding => `${finding.rule}:${finding.line}`);
+}
+
+/**
+ * Give a harness a manifest command backed by an in-memory handler module
+ */
+function useTestCommand(h, command, handler) {
+    h.manifest = { ...h.manifest, commands: [command] };
+    h.integration = new IntegrationTemplate(h.manifest);
+    h.commandHandlers = new Map([[command.name, handler]]);
+    h.injectApi();
+}
+
+const ECHO_COMMAND = {
+    name: 'echo',
+    description: 'Repeat some text',
+    options: [
+        { name: 'text', description: 'Text to repeat', type: 'string', required: true },
+        { name: 'times', description: 'How many times', type: 'integer', min: 1, max: 5 }
+    ]
+};
+
+/**
+ * Scenarios exercising the default IntegrationTemplate behavior
+ */
+export default [
+    {
+        name: 'replies with an embed when mentioned',
+        event: 'messageCreate',
+        input: (h) => h.createMessage({ content: `${h.client.user} hi`, mentions: [h.client.user] }),
+        expect: (h, { assert, input }) => {
+            assert.equal(input.replies.length, 1);
+            assert.equal(input.replies[0].embeds.length, 1);
+        }
+    },
+    {
+        name: 'ignores messages from bots',
+        event: 'messageCreate',
+        input: (h) => h.createMessage({ author: h.createUser('other-bot', { bot: true }), mentions: [h.client.user] }),
+        expect: (h, { assert, input }) => assert.equal(input.replies.length, 0)
+    },
+    {
+        name: 'welcomes new members in the configured channel',
+        event: 'guildMemberAdd',
+        setup: (h) => {
+            h.store.settings = { welcomeChannel: h.channel.id, welcomeMessage: 'Hi {user}!' };
+        },
+        input: (h) => h.createMember('newcomer'),
+        expect: (h, { assert, input }) => {
+            assert.equal(h.channel.sent.length, 1);
+            assert.equal(h.channel.sent[0].content, `Hi ${input}!`);
+        }
+    },
+    {
+        name: 'answers the integration-stats command',
+        event: 'interactionCreate',
+        setup: (h) => {
+            h.integration.initialize = async function () {
+                this.startTime = Date.now();
+                this.metrics.counter('greetings_total', 'Greetings sent').inc({ kind: 'welcome' }, 2);
+            };
+        },
+        input: (h) => h.createInteraction({ commandName: 'integration-stats' }),
+        expect: (h, { assert, input }) => {
+            assert.equal(input.replies.length, 1);
+            assert.equal(input.replies[0].ephemeral, true);
+            const fields = Object.fromEntries(input.replies[0].embeds[0].data.fields.map(field => [field.name, field.value]));
+            assert.equal(fields['Commands Executed'], '1');
+            assert.equal(fields['greetings_total (kind=welcome)'], '2');
+        }
+    },
+    {
+        name: 'routes manifest commands to their handler with parsed options',
+        event: 'interactionCreate',
+        setup: (h) => useTestCommand(h, ECHO_COMMAND, {
+            execute: (interaction, integration, { text, times }) => interaction.reply({ content: text.repeat(times ?? 1) })
+        }),
+        input: (h) => h.createInteraction({ commandName: 'echo', options: { text: 'hi', times: 2 } }),
+        expect: (h, { assert, input }) => assert.equal(input.replies[0].content, 'hihi')
+    },
+    {
+        name: 'refuses commands without the declared permissions',
+        event: 'interactionCreate',
+        setup: (h) => {
+            useTestCommand(h, { ...ECHO_COMMAND, permissions: ['ManageMessages'] }, {
+                execute: () => {
+                    throw new Error('Handler should not run');
+                }
+            });
+            h.store.grantedPermissions = {};
+        },
+        input: (h) => h.createInteraction({ commandName: 'echo', options: { text: 'hi' } }),
+        expect: (h, { assert, input }) => {
+            assert.deepEqual(h.store.permissionChecks, [{ userId: h.user.id, permissions: ['ManageMessages'] }]);
+            assert.equal(input.replies[0].ephemeral, true);
+        }
+    },
+    {
+        name: 'answers autocomplete from the command module',
+        event: 'interactionCreate',
+        setup: (h) => useTestCommand(h, ECHO_COMMAND, {
+            execute: () => {},
+            autocomplete: (interaction) => interaction.respond([{ name: interaction.options.getFocused(), value: 'hello' }])
+        }),
+        input: (h) => h.createInteraction({ type: 'autocomplete', commandName: 'echo', focused: { name: 'text', value: 'he' } }),
+        expect: (h, { assert, input }) => assert.deepEqual(input.choices, [{ name: 'he', value: 'hello' }])
+    },
+    {
+        name: 'builds application command payloads from the manifest',
+        expect: (h, { assert }) => {
+            assert.deepEqual(buildCommandPayload({ ...ECHO_COMMAND, permissions: ['ManageMessages', 'KickMembers'] }), {
+                name: 'echo',
+                description: 'Repeat some text',
+                type: 1,
+                dm_permission: false,
+                options: [
+                    { name: 'text', description: 'Text to repeat', type: 3, required: true },
+                    { name: 'times', description: 'How many times', type: 4, required: false, min_value: 1, max_value: 5 }
+                ],
+                default_member_permissions: '8194'
+            });
+        }
+    },
+    {
+        name: 'routes events to their src/events module',
+        event: 'messageDelete',
+        setup: (h) => {
+            h.manifest = { ...h.manifest, events: [...h.manifest.events, 'messageDelete'] };
+            h.eventHandlers = new Map([['messageDelete', {
+                execute: (message, integration) => integration.logEvent('message_deleted', { messageId: message.id })
+            }]]);
+            h.injectApi();
+        },
+        input: (h) => h.createMessage(),
+        expect: (h, { assert, input }) => assert.deepEqual(h.store.logs.map(entry => entry.data), [{ messageId: input.id }])
+    },
+    {
+        name: 'prefers an event module over the template hook',
+        event: 'messageCreate',
+        setup: (h) => {
+            h.eventHandlers = new Map([['messageCreate', { execute: (message) => message.react('👀') }]]);
+            h.injectApi();
+        },
+        input: (h) => h.createMessage({ content: `${h.client.user} hi`, mentions: [h.client.user] }),
+        expect: (h, { assert, input }) => {
+            assert.deepEqual(input.reactions, ['👀']);
+            assert.equal(input.replies.length, 0);
+        }
+    },
+    {
+        name: 'turns moderation entries from the audit log into onModerationAction calls',
+        setup: (h) => {
+            h.manifest = { ...h.manifest, events: [...h.manifest.events, 'guildAuditLogEntryCreate'] };
+            h.actions = [];
+            h.integration.onModerationAction = async (action) => {
+                h.actions.push([action.type, action.moderator.id, action.target.id, action.reason, action.guild.id]);
+            };
+        },
+        run: async (h) => {
+            const host = new IntegrationHost();
+            host.integrations.set(h.manifest.id, { manifest: h.manifest, eventHandlers: new Map() });
+            host.instances.set(`${h.manifest.id}/${h.guild.id}`, h.integration);
+            const target = h.createUser('offender');
+            const entries = [
+                h.createAuditLogEntry({ action: 22, target, reason: 'Spam' }),
+                // A guild settings change and a nickname change are not moderation actions
+                h.createAuditLogEntry({ action: 1, target }),
+                h.createAuditLogEntry({ action: 24, target, changes: [{ key: 'nick', old: 'a', new: 'b' }] }),
+                h.createAuditLogEntry({ action: 24, target, changes: [{ key: 'communication_disabled_until', new: '2030-01-01T00:00:00.000Z' }] })
+            ];
+            h.results = [];
+            for (const entry of entries) h.results.push(...await host.dispatch('guildAuditLogEntryCreate', entry, h.guild));
+            h.target = target;
+        },
+        expect: (h, { assert }) => {
+            assert.ok(h.results.every(result => result.ok));
+            assert.deepEqual(h.actions, [
+                ['ban', h.user.id, h.target.id, 'Spam', h.guild.id],
+                ['timeout', h.user.id, h.target.id, 'Test action', h.guild.id]
+            ]);
+        }
+    },
+    {
+        name: 'requires the audit log permission and intent for onModerationAction',
+        run: (h) => {
+            const code = [
+                "import { IntegrationTemplate } from '../../mercy.js';",
+                'export default class Audit extends IntegrationTemplate {',
+                '    async onModerationAction(action) {}',
+                '}'
+            ].join('\n');
+            const { capabilities } = analyzeSecurity(code);
+            h.undeclared = checkCapabilities({ events: [], permissions: [], intents: [] }, capabilities).map(finding => finding.message);
+            h.declared = checkCapabilities({ events: ['guildAuditLogEntryCreate'], permissions: ['ViewAuditLog'], intents: ['GuildModeration'] }, capabilities);
+        },
+        expect: (h, { assert }) => {
+            assert.deepEqual(h.undeclared.sort(), [
+                'Event handled but not declared in manifest: guildAuditLogEntryCreate',
+                'Intent required but not declared in manifest: GuildModeration',
+                'Permission used but not declared in manifest: ViewAuditLog'
+            ]);
+            assert.deepEqual(h.declared, []);
+        }
+    },
+    {
+        name: 'routes components to registered handlers with their state',
+        event: 'interactionCreate',
+        setup: (h) => {
+            h.integration.registerComponent(/^vote-(yes|no)$/, function (interaction, state, match) {
+                return interaction.update({ content: `${this.config.id} ${match[1]} ${state.poll}` });
+            });
+        },
+        input: (h) => h.createInteraction({ type: 'button', customId: h.integration.componentId('vote-yes', { poll: 7 }) }),
+        expect: (h, { assert, input }) => {
+            assert.match(input.customId, /^integration-template:vote-yes:/);
+            assert.equal(input.replies[0].content, 'integration-template yes 7');
+        }
+    },
+    {
+        name: 'routes modal submissions and user selects',
+        run: async (h) => {
+            h.integration.registerComponent('report', (interaction, state) => {
+                return interaction.reply({ content: `${state.target}: ${interaction.fields.getTextInputValue('reason')}` });
+            });
+            h.integration.registerComponent('pick-user', (interaction) => interaction.reply({ content: interaction.values.join(',') }));
+
+            h.modal = h.createInteraction({ type: 'modal', customId: h.integration.componentId('report', { target: 'u1' }), fields: { reason: 'spam' } });
+            h.select = h.createInteraction({ type: 'userSelect', customId: h.integration.componentId('pick-user'), values: ['u2'] });
+            await h.dispatch('interactionCreate', h.modal);
+            await h.dispatch('interactionCreate', h.select);
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.modal.replies[0].content, 'u1: spam');
+            assert.equal(h.select.replies[0].content, 'u2');
+        }
+    },
+    {
+        name: 'rejects component state that was tampered with',
+        event: 'interactionCreate',
+        setup: (h) => {
+            h.integration.registerComponent('refund', () => {
+                throw new Error('Handler should not run');
+            });
+        },
+        input: (h) => {
+            const [prefix, name, signed] = h.integration.componentId('refund', { amount: 1 }).split(':');
+            const forged = Buffer.from(JSON.stringify({ amount: 1000 })).toString('base64url');
+            return h.createInteraction({ type: 'button', customId: `${prefix}:${name}:${forged}.${signed.split('.')[1]}` });
+        },
+        expect: (h, { assert, input }) => assert.equal(input.replies[0].ephemeral, true)
+    },
+    {
+        name: 'refuses component state that does not fit in a customId',
+        run: (h) => {
+            assert.throws(() => h.integration.componentId('big', { text: 'x'.repeat(100) }), { code: 'ERR_MERCY_COMPONENT_STATE_TOO_LARGE' });
+        }
+    },
+    {
+        name: 'acknowledges button presses',
+        event: 'interactionCreate',
+        input: (h) => h.createInteraction({ type: 'button', customId: 'example-button' }),
+        expect: (h, { assert, input }) => assert.equal(input.replied, true)
+    },
+    {
+        name: 'acknowledges select menus',
+        event: 'interactionCreate',
+        input: (h) => h.createInteraction({ type: 'selectMenu', customId: 'example-select', values: ['a'] }),
+        expect: (h, { assert, input }) => assert.equal(input.replied, true)
+    },
+    {
+        name: 'persists settings through updateStoredSettings',
+        run: (h) => h.integration.setSetting('prefix', '?'),
+        expect: (h, { assert }) => assert.equal(h.store.settings.prefix, '?')
+    },
+    {
+        name: 'fills missing settings from the manifest defaults',
+        expect: (h, { assert }) => {
+            assert.equal(h.integration.getSetting('welcomeMessage'), 'Welcome to the server!');
+            assert.equal(h.integration.getSetting('maxWarnings'), 3);
+        }
+    },
+    {
+        name: 'converts setting values to their declared type',
+        run: async (h) => {
+            await h.integration.setSetting('maxWarnings', '5');
+            await h.integration.setSetting('welcomeChannel', `<#${h.channel.id}>`);
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.integration.getSetting('maxWarnings'), 5);
+            assert.equal(h.integration.getSetting('welcomeChannel'), h.channel.id);
+        }
+    },
+    {
+        name: 'rejects invalid setting values',
+        run: async (h) => {
+            const rejects = (key, value) => assert.rejects(h.integration.setSetting(key, value), { code: 'ERR_MERCY_INVALID_SETTING' });
+            await rejects('maxWarnings', 'many');
+            await rejects('maxWarnings', 11);
+            await rejects('welcomeChannel', '999999999999999999');
+            await rejects('undeclared', true);
+        },
+        expect: (h, { assert }) => assert.equal(h.store.settings, null)
+    },
+    {
+        name: 'replaces invalid stored settings with their default',
+        setup: (h) => {
+            h.store.settings = { maxWarnings: 'lots', prefix: '?' };
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.integration.getSetting('maxWarnings'), 3);
+            assert.equal(h.integration.getSetting('prefix'), '?');
+        }
+    },
+    {
+        name: 'keeps stored false and zero values',
+        setup: (h) => {
+            h.manifest = { ...h.manifest, settings: { ...h.manifest.settings, enabled: { type: 'boolean', default: true } } };
+            h.integration = new IntegrationTemplate(h.manifest);
+            h.injectApi();
+            h.store.settings = { enabled: false, prefix: '' };
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.integration.getSetting('enabled', true), false);
+            assert.equal(h.integration.getSetting('prefix', '!'), '');
+        }
+    },
+    {
+        name: 'reports changed settings to onSettingsChanged',
+        setup: (h) => {
+            h.changes = [];
+            h.integration.onSettingsChanged = async (diff) => h.changes.push(diff);
+        },
+        run: async (h) => {
+            await h.integration.setSetting('prefix', '?');
+            await h.integration.setSetting('prefix', '?');
+            await h.integration.setSetting('prefix', null);
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.changes, [
+            { prefix: { previous: '!', current: '?' } },
+            { prefix: { previous: '?', current: '!' } }
+        ])
+    },
+    {
+        name: 'migrates settings written by an older version',
+        setup: (h) => {
+            class MigratingIntegration extends IntegrationTemplate {
+                static settingsMigrations = {
+                    '0.5.0': () => {
+                        throw new Error('already applied');
+                    },
+                    '1.0.0': ({ greeting, ...settings }) => ({ ...settings, welcomeMessage: greeting }),
+                    '2.0.0': () => {
+                        throw new Error('newer than the manifest');
+                    }
+                };
+            }
+            h.integration = new MigratingIntegration(h.manifest);
+            h.injectApi();
+            h.store.settings = { $version: '0.5.0', greeting: 'Hello {user}' };
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.integration.getSetting('welcomeMessage'), 'Hello {user}');
+            assert.deepEqual(h.store.settings, { $version: '1.0.0', welcomeMessage: 'Hello {user}' });
+        }
+    },
+    {
+        name: 'writes events to the log store',
+        run: (h) => h.integration.logEvent('test_event', { ok: true }),
+        expect: (h, { assert }) => {
+            assert.equal(h.store.logs.length, 1);
+            assert.equal(h.store.logs[0].guild, h.guild.id);
+        }
+    },
+    {
+        name: 'tags log records with the guild, event and correlation id',
+        event: 'messageCreate',
+        setup: (h) => {
+            h.integration.onMessage = async function (message) {
+                this.logger.info('Message received', { messageId: message.id });
+                await this.logEvent('message_seen', { messageId: message.id });
+                this.logger.child({ step: 'done' }).warn('Message handled');
+            };
+        },
+        expect: (h, { assert, input }) => {
+            const records = h.store.logRecords.filter(record => record.event === 'messageCreate');
+            assert.deepEqual(records.map(record => [record.level, record.message, record.fields]), [
+                ['info', 'Message received', { messageId: input.id }],
+                ['warn', 'Message handled', { step: 'done' }]
+            ]);
+            assert.ok(records.every(record => record.guild === h.guild.id && record.correlationId === records[0].correlationId));
+            assert.match(records[0].correlationId, /^[0-9a-f-]{36}$/);
+            assert.equal(h.store.logs[0].correlationId, records[0].correlationId);
+        }
+    },
+    {
+        name: 'drops log records below the configured level',
+        setup: (h) => {
+            h.manifest = { ...h.manifest, logging: { level: 'warn' } };
+            h.integration = new IntegrationTemplate(h.manifest);
+            h.injectApi();
+        },
+        run: (h) => {
+            const log = (label) => ['debug', 'info', 'warn', 'error'].forEach(level => h.integration.logger[level](label));
+            log('manifest');
+            h.integration.logLevel = 'debug';
+            log('host');
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.store.logRecords.map(record => `${record.message}:${record.level}`), [
+            'manifest:warn', 'manifest:error', 'host:debug', 'host:info', 'host:warn', 'host:error'
+        ])
+    },
+    {
+        name: 'redacts secrets from log records',
+        run: (h) => {
+            const token = `MTA${'x'.repeat(21)}.Gabcde.${'y'.repeat(38)}`;
+            h.integration.logger.error(`Login failed with ${token}`, {
+                apiKey: 'key-123',
+                request: { headers: { Authorization: 'Bearer abc.def' }, url: 'https://example.com' },
+                note: 'sent Bearer abc.def',
+                error: Object.assign(new Error('Request failed'), { code: 'ECONNRESET' })
+            });
+        },
+        expect: (h, { assert }) => {
+            const [record] = h.store.logRecords.filter(entry => entry.level === 'error');
+            assert.equal(record.message, 'Login failed with [REDACTED]');
+            assert.equal(record.fields.apiKey, '[REDACTED]');
+            assert.deepEqual(record.fields.request, { headers: { Authorization: '[REDACTED]' }, url: 'https://example.com' });
+            assert.equal(record.fields.note, 'sent [REDACTED]');
+            assert.equal(record.fields.error.code, 'ECONNRESET');
+        }
+    },
+    {
+        name: 'records hook latency and errors as metrics',
+        run: async (h) => {
+            await h.dispatch('messageCreate', h.createMessage());
+            h.integration.onMessage = async () => {
+                throw new Error('broken hook');
+            };
+            await assert.rejects(h.dispatch('messageCreate', h.createMessage()), /broken hook/);
+        },
+        expect: (h, { assert }) => {
+            const stats = h.integration.getStats();
+            assert.equal(stats.events, 2);
+            assert.equal(stats.errors, 1);
+            const [duration] = h.integration.metrics.snapshot().filter(metric => metric.name === 'mercy_hook_duration_seconds')
+                .map(metric => metric.series.find(series => series.labels.hook === 'messageCreate'));
+            assert.equal(duration.count, 2);
+            assert.ok(duration.sum > 0);
+        }
+    },
+    {
+        name: 'exports metrics in Prometheus text format',
+        run: (h) => {
+            const { metrics } = h.integration;
+            metrics.gauge('queue_size', 'Jobs "waiting"').set(3);
+            metrics.histogram('fetch_seconds', 'Fetch time', [0.1, 1]).observe({ source: 'rss' }, 0.5);
+            assert.throws(() => metrics.counter('queue_size'), { code: 'ERR_MERCY_METRIC' });
+            assert.throws(() => metrics.counter('greetings_total').inc(-1), { code: 'ERR_MERCY_METRIC' });
+        },
+        expect: (h, { assert }) => {
+            const labels = `guild="${h.guild.id}",integration="${h.manifest.id}"`;
+            const text = h.metrics.toPrometheus();
+            assert.match(text, /# HELP queue_size Jobs "waiting"\n# TYPE queue_size gauge\n/);
+            assert.ok(text.includes(`queue_size{${labels},version="${h.manifest.version}"} 3`));
+            assert.ok(text.includes(`fetch_seconds_bucket{${labels},source="rss",version="${h.manifest.version}",le="0.1"} 0`));
+            assert.ok(text.includes(`fetch_seconds_bucket{${labels},source="rss",version="${h.manifest.version}",le="+Inf"} 1`));
+
+            // A restored snapshot carries the same series, as after a host restart
+            const restored = new MetricsRegistry();
+            restored.restore(JSON.parse(JSON.stringify(h.metrics.snapshot())));
+            assert.equal(restored.toPrometheus(), text);
+        }
+    },
+    {
+        name: 'keeps loading guilds once a metric reaches its series limit',
+        run: async (h) => {
+            const host = new IntegrationHost();
+            host.integrations.set(h.manifest.id, { manifest: h.manifest, IntegrationClass: IntegrationTemplate, commandHandlers: new Map(), eventHandlers: new Map() });
+            const warnings = [];
+            const { warn } = console;
+            console.warn = (message) => warnings.push(message);
+            try {
+                h.failures = 0;
+                for (let index = 0; index < 1100; index++) {
+                    await host.load(h.manifest.id, new MockGuild(`metrics-guild-${index}`)).catch(() => h.failures++);
+                }
+            } finally {
+                console.warn = warn;
+            }
+            h.loaded = host.instances.size;
+            h.warnings = warnings;
+            h.snapshot = host.metrics.snapshot();
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.failures, 0);
+            assert.equal(h.loaded, 1100);
+            const duration = h.snapshot.find(metric => metric.name === 'mercy_hook_duration_seconds');
+            assert.equal(duration.series.length, 1000);
+            const dropped = h.snapshot.find(metric => metric.name === 'mercy_metric_updates_dropped_total');
+            assert.deepEqual(dropped.series, [{ labels: { metric: 'mercy_hook_duration_seconds' }, value: 100 }]);
+            assert.equal(h.warnings.length, 1);
+        }
+    },
+    {
+        name: 'stores, queries and deletes records in a collection',
+        run: async (h) => {
+            const warnings = h.integration.storage.collection('warnings');
+            await warnings.set('user-1', { reason: 'spam', count: 2 });
+            await warnings.set('user-2', { reason: 'caps', count: 5 });
+            await warnings.set('user-3', { reason: 'spam', count: 1 });
+            const stored = await warnings.get('user-1');
+            stored.count = 99;
+            h.deleted = [await warnings.delete('user-3'), await warnings.delete('user-3')];
+        },
+        expect: async (h, { assert }) => {
+            const warnings = h.integration.storage.collection('warnings');
+            assert.deepEqual(await warnings.get('user-1'), { reason: 'spam', count: 2 });
+            assert.equal(await warnings.get('user-3'), null);
+            assert.deepEqual(h.deleted, [true, false]);
+            const top = await warnings.query({ orderBy: 'value.count', descending: true, limit: 1 });
+            assert.deepEqual(top.map(record => [record.key, record.value.count]), [['user-2', 5]]);
+            assert.deepEqual((await warnings.query({ where: { reason: 'spam' } })).map(record => record.key), ['user-1']);
+        }
+    },
+    {
+        name: 'increments counters atomically and expires records',
+        run: async (h) => {
+            const points = h.integration.storage.collection('points');
+            h.totals = await Promise.all([points.increment('alice', 5), points.increment('alice'), points.increment('bob', 2)]);
+            await points.set('flag', true);
+            await assert.rejects(points.increment('flag'), { code: 'ERR_MERCY_STORAGE' });
+            await points.set('flag', true, { ttl: 1 });
+            await new Promise(resolve => setTimeout(resolve, 5));
+        },
+        expect: async (h, { assert }) => {
+            const points = h.integration.storage.collection('points');
+            assert.deepEqual(h.totals, [5, 6, 2]);
+            assert.equal(await points.get('flag'), null);
+            assert.deepEqual((await points.query({ orderBy: 'value', descending: true })).map(record => record.key), ['alice', 'bob']);
+        }
+    },
+    {
+        name: 'keeps storage separate per integration and guild',
+        run: async (h) => {
+            await h.integration.storage.collection('notes').set('pinned', 'first guild');
+            const other = new IntegrationStorage(h.dataStore, h.manifest.id, '999999999999999999');
+            const foreign = new IntegrationStorage(h.dataStore, 'another-integration', h.guild.id);
+            h.seen = [await other.collection('notes').get('pinned'), await foreign.collection('notes').get('pinned')];
+
+            const tiny = new IntegrationStorage(h.dataStore, h.manifest.id, h.guild.id, { maxRecordSize: 16 });
+            await assert.rejects(tiny.collection('notes').set('big', 'x'.repeat(32)), { code: 'ERR_MERCY_STORAGE' });
+            assert.throws(() => h.integration.storage.collection('../settings'), { code: 'ERR_MERCY_STORAGE' });
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.seen, [null, null])
+    },
+    {
+        name: 'exports and deletes a user\'s data with the integration hooks',
+        setup: (h) => {
+            h.hookCalls = [];
+            h.integration.onExportUserData = async (userId) => ({ nickname: `nick-${userId}` });
+            h.integration.onDeleteUserData = async (userId) => {
+                h.hookCalls.push(userId);
+            };
+        },
+        run: async (h) => {
+            const { storage } = h.integration;
+            await storage.collection('warnings').set(h.user.id, { count: 2 });
+            await storage.collection('notes').set(`${h.user.id}:1`, 'first note');
+            await storage.collection('notes').set('pinned', 'not personal');
+            h.exported = await h.integration.exportUserData(h.user.id);
+            h.deleted = await h.integration.deleteUserData(h.user.id);
+        },
+        expect: async (h, { assert }) => {
+            assert.deepEqual(h.exported.storage.map(record => [record.collection, record.key, record.value]), [
+                ['warnings', h.user.id, { count: 2 }],
+                ['notes', `${h.user.id}:1`, 'first note']
+            ]);
+            assert.deepEqual(h.exported.custom, { nickname: `nick-${h.user.id}` });
+            assert.deepEqual(h.hookCalls, [h.user.id]);
+            assert.equal(h.deleted.storage, 2);
+            assert.deepEqual(await h.integration.storage.findUserRecords(h.user.id), []);
+            assert.equal(await h.integration.storage.collection('notes').get('pinned'), 'not personal');
+        }
+    },
+    {
+        name: 'sweeps storage and logs past the retention period',
+        run: async (h) => {
+            const logStore = new MemoryLogStore();
+            const host = new IntegrationHost({ dataStore: h.dataStore, logStore });
+            const notes = h.integration.storage.collection('notes');
+            await notes.set('old', 'stale');
+            await notes.set('recent', 'kept');
+            h.dataStore.records({ integrationId: h.manifest.id, guildId: h.guild.id, collection: 'notes' }).get('old').updatedAt -= 91 * DAY_MS;
+            for (const age of [91, 1]) {
+                await logStore.append({ integrationId: h.manifest.id, event: `${age}_days`, timestamp: new Date(Date.now() - age * DAY_MS), guild: h.guild.id });
+            }
+
+            h.swept = await host.sweepRetention();
+            h.remainingLogs = (await logStore.query()).map(entry => entry.event);
+        },
+        expect: async (h, { assert }) => {
+            assert.deepEqual(h.swept, { storage: 1, logs: 1 });
+            assert.deepEqual((await h.integration.storage.collection('notes').query()).map(record => record.key), ['recent']);
+            assert.deepEqual(h.remainingLogs, ['1_days']);
+        }
+    },
+    {
+        name: 'sends HTTP requests only to allowed public hosts',
+        setup: (h) => {
+            h.integration.http.allowedHosts = ['api.example.com', '*.example.net'];
+            h.store.httpResponses['https://api.example.com/status'] = { data: { ok: true } };
+            h.store.httpResponses['https://cdn.example.net/large'] = { data: 'x'.repeat(2048) };
+        },
+        run: async (h) => {
+            const { http } = h.integration;
+            h.response = await http.get('https://api.example.com/status');
+            http.maxResponseSize = 1024;
+            h.errors = [];
+            for (const url of ['https://example.org/', 'http://127.0.0.1/', 'http://[::ffff:10.0.0.1]/', 'http://[64:ff9b::7f00:1]/', 'http://[2002:a00:1::1]/', 'file:///etc/passwd', 'https://cdn.example.net/large']) {
+                await http.get(url).catch(error => h.errors.push(error.code));
+            }
+
+            // A public hostname that resolves to a private address is refused before connecting
+            const resolvesInternally = new IntegrationHttp({
+                allowedHosts: ['internal.example.com'],
+                lookup: (hostname, options, callback) => callback(null, [{ address: '10.0.0.5', family: 4 }])
+            });
+            await resolvesInternally.get('http://internal.example.com/').catch(error => h.errors.push(error.code));
+        },
+        expect: (h, { assert }) => {
+            assert.deepEqual(h.response.data, { ok: true });
+            assert.equal(h.response.status, 200);
+            assert.deepEqual(h.store.httpRequests.map(request => request.url), ['https://api.example.com/status', 'https://cdn.example.net/large']);
+            assert.deepEqual(h.errors, [
+                'ERR_MERCY_HTTP_FORBIDDEN', 'ERR_MERCY_HTTP_FORBIDDEN', 'ERR_MERCY_HTTP_FORBIDDEN', 'ERR_MERCY_HTTP_FORBIDDEN',
+                'ERR_MERCY_HTTP_FORBIDDEN', 'ERR_MERCY_HTTP_FORBIDDEN', 'ERR_MERCY_HTTP', 'ERR_MERCY_HTTP_FORBIDDEN'
+            ]);
+        }
+    },
+    {
+        name: 'signs, retries and dead-letters outgoing webhooks',
+        run: async (h) => {
+            const receiver = new WebhookReceiver();
+            await receiver.listen();
+            const logStore = new MemoryLogStore();
+            const host = new IntegrationHost({ webhookReceiver: receiver, webhookRetry: { attempts: 2, baseDelay: 10 }, logStore });
+            const manifest = { ...h.manifest, webhooks: [{ name: 'alerts', description: 'Moderation alerts', url: 'https://hooks.example.com/alerts' }] };
+            const waitForDeliveries = async (count) => {
+                for (let waited = 0; receiver.deliveries.length < count && waited < 2000; waited += 10) {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                }
+            };
+
+            try {
+                receiver.failNext(1);
+                h.first = await host.sendWebhook(manifest, h.guild, 'alerts', { action: 'ban' });
+                await waitForDeliveries(2);
+
+                receiver.failNext(2, 503);
+                await host.sendWebhook(manifest, h.guild, 'alerts', { action: 'kick' });
+                await waitForDeliveries(4);
+                await new Promise(resolve => setTimeout(resolve, 20));
+                h.deadLetters = host.webhooks.listDeadLetters();
+                h.redelivered = await host.webhooks.redeliver(h.deadLetters[0].id);
+
+                h.receiver = receiver;
+                h.attempts = (await logStore.query({ type: 'webhook' })).map(entry => entry.data.status);
+                h.undeclared = await host.sendWebhook(manifest, h.guild, 'missing', {}).catch(error => error.code);
+            } finally {
+                host.webhooks.stop();
+                await receiver.close();
+            }
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.first.status, 'retrying');
+            assert.deepEqual(h.receiver.deliveries.map(delivery => [delivery.data.action, delivery.status]), [
+                ['ban', 500], ['ban', 200], ['kick', 503], ['kick', 503], ['kick', 200]
+            ]);
+            assert.ok(h.receiver.deliveries.every(delivery => delivery.verified && delivery.url === 'https://hooks.example.com/alerts'));
+            assert.equal(h.deadLetters.length, 1);
+            assert.equal(h.redelivered.status, 'delivered');
+            assert.deepEqual(h.attempts, ['retrying', 'delivered', 'retrying', 'failed', 'delivered']);
+            assert.equal(h.undeclared, 'ERR_MERCY_WEBHOOK');
+        }
+    },
+    {
+        name: 'checks a receiver\'s own secret and answers replayed deliveries with 409',
+        run: async (h) => {
+            const receiver = new WebhookReceiver({ secret: 'receiver-secret' });
+            await receiver.listen();
+            const send = (id, secret = 'receiver-secret', timestamp = Math.floor(Date.now() / 1000)) => {
+                const body = JSON.stringify({ id });
+                const headers = { 'Content-Type': 'application/json', 'X-Mercy-Delivery': id, 'X-Mercy-Timestamp': String(timestamp), 'X-Mercy-Signature': signWebhook(secret, timestamp, body) };
+                return fetch(receiver.url, { method: 'POST', headers, body }).then(({ status }) => status);
+            };
+
+            try {
+                h.statuses = [await send('first')];
+                h.statuses.push(await send('first'));
+                // The same delivery id with a fresh signature is still a replay
+                h.statuses.push(await send('first', 'receiver-secret', Math.floor(Date.now() / 1000) - 1));
+                receiver.failNext(1, 503);
+                h.statuses.push(await send('retried'), await send('retried'));
+                h.statuses.push(await send('forged', 'wrong-secret'));
+                h.receiver = receiver;
+            } finally {
+                await receiver.close();
+            }
+        },
+        expect: (h, { assert }) => {
+            assert.deepEqual(h.statuses, [200, 409, 409, 503, 200, 200]);
+            assert.deepEqual(h.receiver.deliveries.map(delivery => [delivery.id, delivery.verified, delivery.replayed]), [
+                ['first', true, false], ['first', true, true], ['first', true, true],
+                ['retried', true, false], ['retried', true, false], ['forged', false, false]
+            ]);
+        }
+    },
+    {
+        name: 'receives incoming webhooks after checking method, size, signature and rate limit',
+        setup: (h) => {
+            h.manifest = {
+                ...h.manifest,
+                webhooks: [
+                    { name: 'deploys', description: 'CI deployments', direction: 'incoming' },
+                    { name: 'github', description: 'GitHub pushes', direction: 'incoming', signature: 'github' }
+                ],
+                resources: { ...h.manifest.resources, maxFileSize: 1024, rateLimits: { methods: { onWebhook: { limit: 2, interval: 60 * 1000 } } } }
+            };
+            h.integration.rateLimiter = new RateLimiter(h.manifest.resources.rateLimits);
+            h.received = [];
+            h.integration.onWebhook = async (name, request) => {
+                h.received.push([name, request.body]);
+                return { ok: true };
+            };
+        },
+        run: async (h) => {
+            // Serve the harness's instance from a host
+            const host = new IntegrationHost();
+            host.integrations.set(h.manifest.id, { manifest: h.manifest });
+            host.instances.set(`${h.manifest.id}/${h.guild.id}`, h.integration);
+            const server = createWebhookServer(host);
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+            const base = `http://127.0.0.1:${server.address().port}/integrations/${h.manifest.id}/webhooks`;
+            const send = async (name, body, headers = {}, method = 'POST') => {
+                const response = await fetch(`${base}/${name}?guild=${h.guild.id}`, { method, headers: { 'Content-Type': 'application/json', ...headers }, body });
+                return response.status;
+            };
+            const signed = (body) => {
+                const timestamp = Math.floor(Date.now() / 1000);
+                return { 'X-Mercy-Timestamp': String(timestamp), 'X-Mercy-Signature': signWebhook(host.webhookSigningSecret(h.manifest.id, 'deploys', h.guild.id), timestamp, body) };
+            };
+            const body = JSON.stringify({ ref: 'main' });
+            const githubSignature = `sha256=${crypto.createHmac('sha256', host.webhookSigningSecret(h.manifest.id, 'github', h.guild.id)).update(body).digest('hex')}`;
+
+            try {
+                h.statuses = [
+                    await send('deploys', body, signed(body)),
+                    await send('github', body, { 'X-Hub-Signature-256': githubSignature }),
+                    await send('deploys', body, { 'X-Mercy-Timestamp': '1', 'X-Mercy-Signature': 'sha256=00' }),
+                    await send('deploys', undefined, {}, 'GET'),
+                    await send('deploys', 'x'.repeat(2048), signed('x'.repeat(2048))),
+                    await send('deploys', body, signed(body)),
+                    await send('unknown', body)
+                ];
+            } finally {
+                server.close();
+            }
+        },
+        expect: (h, { assert }) => {
+            assert.deepEqual(h.statuses, [200, 200, 401, 405, 413, 429, 404]);
+            assert.deepEqual(h.received, [['deploys', { ref: 'main' }], ['github', { ref: 'main' }]]);
+        }
+    },
+    {
+        name: 'answers replayed incoming deliveries with 409',
+        setup: (h) => {
+            h.manifest = {
+                ...h.manifest,
+                webhooks: [
+                    { name: 'deploys', description: 'CI deployments', direction: 'incoming' },
+                    { name: 'github', description: 'GitHub pushes', direction: 'incoming', signature: 'github' }
+                ]
+            };
+            h.received = [];
+            h.integration.onWebhook = async (name, request) => {
+                if (request.body.fail) throw new Error('Handler failed');
+                h.received.push([name, request.body.ref]);
+            };
+        },
+        run: async (h) => {
+            const host = new IntegrationHost();
+            host.integrations.set(h.manifest.id, { manifest: h.manifest });
+            host.instances.set(`${h.manifest.id}/${h.guild.id}`, h.integration);
+            const github = (body, delivery) => host.receiveWebhook(h.manifest.id, 'github', {
+                method: 'POST',
+                guildId: h.guild.id,
+                headers: {
+                    'content-type': 'application/json',
+                    'x-github-delivery': delivery,
+                    'x-hub-signature-256': `sha256=${crypto.createHmac('sha256', host.webhookSigningSecret(h.manifest.id, 'github', h.guild.id)).update(body).digest('hex')}`
+                },
+                rawBody: body
+            });
+            const timestamp = Math.floor(Date.now() / 1000);
+            const mercy = (body) => host.receiveWebhook(h.manifest.id, 'deploys', {
+                method: 'POST',
+                guildId: h.guild.id,
+                headers: {
+                    'content-type': 'application/json',
+                    'x-mercy-timestamp': String(timestamp),
+                    'x-mercy-signature': signWebhook(host.webhookSigningSecret(h.manifest.id, 'deploys', h.guild.id), timestamp, body)
+                },
+                rawBody: body
+            });
+
+            const responses = [
+                await github('{"ref":"main"}', 'a'),
+                await github('{"ref":"main"}', 'a'),
+                // Delivery ids are unsigned, so a replay under a new id is still caught by its signature
+                await github('{"ref":"main"}', 'b'),
+                await github('{"ref":"dev"}', 'a'),
+                await github('{"ref":"dev"}', 'c'),
+                await github('{"fail":true}', 'd'),
+                await github('{"fail":true}', 'd'),
+                await mercy('{"ref":"main"}'),
+                await mercy('{"ref":"main"}')
+            ];
+            h.statuses = responses.map(response => response.status);
+        },
+        expect: (h, { assert }) => {
+            assert.deepEqual(h.statuses, [204, 409, 409, 409, 204, 500, 500, 204, 409]);
+            assert.deepEqual(h.received, [['github', 'main'], ['github', 'dev'], ['deploys', 'main']]);
+        }
+    },
+    {
+        name: 'replaces an existing integration directory on init --force',
+        run: async (h) => {
+            const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mercy-init-'));
+            const answers = { name: 'Force Check', id: 'force-check', description: 'Exercises init --force', category: 'utility', developerName: 'Kit Tests', developerEmail: 'tests@mercy-bot.com' };
+            const integrationDir = path.join(workDir, answers.id);
+            const cwd = process.cwd();
+            try {
+                process.chdir(workDir);
+                await initIntegration({ answers, yes: true });
+                await fs.writeFile(path.join(integrationDir, 'src', 'commands', 'stale.js'), 'export default {};\n');
+                await initIntegration({ answers, yes: true, force: true });
+                h.files = await fs.readdir(path.join(integrationDir, 'src', 'commands'));
+                h.manifest = JSON.parse(await fs.readFile(path.join(integrationDir, 'mercy-integration.json'), 'utf8'));
+            } finally {
+                process.chdir(cwd);
+                await fs.rm(workDir, { recursive: true, force: true });
+            }
+        },
+        expect: (h, { assert }) => {
+            assert.ok(!h.files.includes('stale.js'));
+            assert.equal(h.manifest.id, 'force-check');
+        }
+    },
+    {
+        name: 'reads the CLI target directory after flags',
+        run: async (h) => {
+            const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mercy-cli-'));
+            const keyPath = path.join(workDir, 'signing-key.pem');
+            await fs.writeFile(keyPath, crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+            // Created next to mercy.js so its ../../mercy.js import resolves and it can be packaged
+            const kitDir = fileURLToPath(new URL('..', import.meta.url));
+            const id = `chk-cli-${crypto.randomBytes(4).toString('hex')}`;
+            const integrationDir = path.join(kitDir, id);
+            const cwd = process.cwd();
+            const exitCode = process.exitCode;
+            try {
+                process.chdir(kitDir);
+                await initIntegration({
+                    answers: { name: 'CLI Check', id, description: 'Exercises CLI argument parsing', category: 'utility', developerName: 'Kit Tests', developerEmail: 'tests@mercy-bot.com' },
+                    yes: true
+                });
+                const reportPath = path.join(workDir, 'report.json');
+                await runCli(['validate', '--format', 'json', '--output', reportPath, id]);
+                h.report = JSON.parse(await fs.readFile(reportPath, 'utf8'));
+                await runCli(['package', '--key', keyPath, id]);
+                h.archives = await fs.readdir(path.join(integrationDir, 'dist'));
+            } finally {
+                process.chdir(cwd);
+                process.exitCode = exitCode;
+                await fs.rm(workDir, { recursive: true, force: true });
+                await fs.rm(integrationDir, { recursive: true, force: true });
+            }
+            h.id = id;
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.report.integration, h.id);
+            assert.equal(h.report.isValid, true);
+            assert.deepEqual(h.archives.sort(), [`${h.id}-1.0.0.tgz`, `${h.id}-1.0.0.tgz.sig.json`]);
+        }
+    },
+    {
+        name: 'publishes the current sources through submit, review and approve',
+        run: async (h) => {
+            const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mercy-publish-'));
+            const keyPath = path.join(workDir, 'signing-key.pem');
+            const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+            await fs.writeFile(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+            const developerKeys = { 'tests@mercy-bot.com': publicKey.export({ type: 'spki', format: 'pem' }) };
+
+            // Integrations are created next to mercy.js so their ../../mercy.js import resolves
+            const kitDir = fileURLToPath(new URL('..', import.meta.url));
+            const id = `publish-check-${crypto.randomBytes(4).toString('hex')}`;
+            const integrationDir = path.join(kitDir, id);
+            const cwd = process.cwd();
+            const servers = [createMarketplaceServer({ developerKeys }), createMarketplaceServer({ developerKeys })];
+            try {
+                process.chdir(kitDir);
+                await initIntegration({
+                    answers: { name: 'Publish Check', id, description: 'Exercises the marketplace flow', category: 'utility', developerName: 'Kit Tests', developerEmail: 'tests@mercy-bot.com' },
+                    yes: true
+                });
+                const urls = [];
+                for (const server of servers) {
+                    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+                    urls.push(`http://127.0.0.1:${server.address().port}`);
+                }
+
+                h.first = await publishIntegration({ marketplaceUrl: urls[0], keyPath, integrationDir });
+                h.expectedScore = (await validateIntegration(integrationDir, { quiet: true })).score;
+
+                // An edit after the first publish must reach the marketplace without running package again
+                await fs.appendFile(path.join(integrationDir, 'src', 'integration.js'), '\n// Edited after publishing\n');
+                h.second = await publishIntegration({ marketplaceUrl: urls[1], keyPath, integrationDir });
+
+                const archivePath = path.join(integrationDir, 'dist', `${id}-1.0.0.tgz`);
+                const archive = await fs.readFile(archivePath);
+                const signature = JSON.parse(await fs.readFile(`${archivePath}.sig.json`, 'utf8'));
+                const metadata = JSON.parse(await fs.readFile(path.join(integrationDir, 'mercy-integration.json'), 'utf8'));
+                const submit = (url, body) => fetch(`${url}/integrations/${id}/versions`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ metadata, signature, archive: archive.toString('base64'), ...body })
+                }).then(response => response.status);
+                h.resubmitStatus = await submit(urls[1]);
+
+                // Signing with a key of one's own proves nothing: only the registered developer key is accepted
+                const impostor = crypto.generateKeyPairSync('ed25519').privateKey;
+                h.selfSignedStatus = await submit(urls[0], {
+                    signature: { ...signature, publicKey: crypto.createPublicKey(impostor).export({ type: 'spki', format: 'pem' }), signature: crypto.sign(null, archive, impostor).toString('base64') }
+                });
+                h.unregisteredStatus = await submit(urls[0], { metadata: { ...metadata, developer: { ...metadata.developer, email: 'someone@example.com' } } });
+                h.pinnedKey = (await verifyPackage(archivePath, { publicKey })).valid;
+                h.otherKey = (await verifyPackage(archivePath, { publicKey: crypto.createPublicKey(impostor) })).errors;
+
+                const review = await fetch(`${urls[1]}/submissions/${h.second.submissionId}/review`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ decision: 'approve', notes: 'Looks good' })
+                });
+                h.reviewStatus = review.status;
+                h.status = await getSubmissionStatus(h.second.submissionId, { marketplaceUrl: urls[1] });
+
+                const envUrl = process.env.MERCY_MARKETPLACE_URL;
+                delete process.env.MERCY_MARKETPLACE_URL;
+                h.noMarketplace = await getSubmissionStatus(h.second.submissionId).catch(error => error.code);
+                if (envUrl !== undefined) process.env.MERCY_MARKETPLACE_URL = envUrl;
+            } finally {
+                process.chdir(cwd);
+                servers.forEach(server => server.close());
+                await fs.rm(workDir, { recursive: true, force: true });
+                await fs.rm(integrationDir, { recursive: true, force: true });
+            }
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.first.status, 'pending_review');
+            assert.equal(h.first.score, h.expectedScore);
+            assert.notEqual(h.second.sha256, h.first.sha256);
+            assert.equal(h.resubmitStatus, 409);
+            assert.equal(h.selfSignedStatus, 422);
+            assert.equal(h.unregisteredStatus, 403);
+            assert.equal(h.pinnedKey, true);
+            assert.deepEqual(h.otherKey, ['Archive is not signed with the trusted developer key', 'Invalid archive signature']);
+            assert.equal(h.reviewStatus, 200);
+            assert.equal(h.status.status, 'approved');
+            assert.equal(h.status.notes, 'Looks good');
+            assert.equal(h.noMarketplace, 'ERR_MERCY_NO_MARKETPLACE');
+        }
+    },
+    {
+        name: 'flags globals reached through Reflect.get and Reflect.apply',
+        run: (h) => {
+            h.rules = securityRules([
+                "Reflect.get(globalThis, 'ev' + 'al')('1');",
+                'Reflect.get(globalThis, name);',
+                "const { env } = Reflect.get(process, 'env');",
+                "Reflect.apply(Function, null, ['return 1']);",
+                "Reflect.apply(require, null, ['child_' + 'process']);"
+            ].join('\n'));
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.rules, ['eval:1', 'dynamicGlobal:2', 'processEnv:3', 'functionConstructor:4', 'childProcess:5'])
+    },
+    {
+        name: 'flags loops whose condition is always true and that never exit',
+        run: (h) => {
+            h.rules = securityRules([
+                'while (1) {}',
+                'while (true) { if (done()) break; }',
+                'for (;;) { for (;;) { break; } }',
+                'do { switch (x) { case 1: break; } } while (!0);',
+                'while (1) { const f = () => { return 1; }; }',
+                'outer: while (1) { for (;;) { break outer; } }',
+                'while (1) { inner: for (;;) { break inner; } }',
+                'while (1) { throw new Error(); }'
+            ].join('\n'));
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.rules, ['infiniteLoop:1', 'infiniteLoop:3', 'infiniteLoop:4', 'infiniteLoop:5', 'infiniteLoop:7'])
+    },
+    {
+        name: 'flags dangerous globals reached through aliases',
+        run: (h) => {
+            h.rules = securityRules([
+                'const p = process;',
+                'const { env } = p;',
+                'const run = eval;',
+                'const { env: vars } = globalThis.process;'
+            ].join('\n'));
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.rules, ['processEnv:2', 'eval:3', 'processEnv:4'])
+    },
+    {
+        name: 'flags forbidden modules loaded with dynamic import()',
+        run: (h) => {
+            h.rules = securityRules([
+                "const cp = await import('child_' + 'process');",
+                "cp.execSync('id');",
+                'await import(moduleName);'
+            ].join('\n'));
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.rules, ['childProcess:1', 'processExec:2', 'dynamicImport:3'])
+    },
+    {
+        name: 'flags computed access to globals on the global object',
+        run: (h) => {
+            h.rules = securityRules([
+                "globalThis['ev' + 'al']('1');",
+                "const env = global[`proc${'ess'}`].env;",
+                'self[key]();'
+            ].join('\n'));
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.rules, ['eval:1', 'processEnv:2', 'dynamicGlobal:3'])
+    },
+    {
+        name: 'flags node: specifiers like bare built-in names',
+        run: (h) => {
+            h.rules = securityRules([
+                "import { execSync } from 'node:child_process';",
+                "import { writeFileSync } from 'node:fs';",
+                "import { env } from 'node:process';",
+                "execSync('id');",
+                "writeFileSync('out.txt', env.HOME);"
+            ].join('\n'));
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.rules, [
+            'childProcess:1', 'fsAccess:2', 'processEnv:3', 'unlistedModule:3', 'processExec:4', 'fsWrite:5'
+        ])
+    },
+    {
+        name: 'ignores forbidden APIs mentioned in comments and strings',
+        run: (h) => {
+            h.rules = securityRules([
+                "// eval('1') and require('child_process') used to be flagged here",
+                '/* process.env.TOKEN */',
+                "const help = 'Never call eval() or read process.env';"
+            ].join('\n'));
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.rules, [])
+    },
+    {
+        name: 'treats process.getBuiltinModule as a module load and flags native process APIs',
+        run: (h) => {
+            h.rules = securityRules([
+                "process.getBuiltinModule('child_process').execSync('id');",
+                'const { getBuiltinModule: load } = globalThis.process;',
+                "load('node:fs').writeFileSync('x', '');",
+                'process.getBuiltinModule(name);',
+                "process.binding('spawn_sync');",
+                'const { dlopen } = process;'
+            ].join('\n'));
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.rules, [
+            'childProcess:1', 'processExec:1', 'fsAccess:3', 'fsWrite:3', 'dynamicImport:4', 'processBinding:5', 'processBinding:6'
+        ])
+    },
+    {
+        name: 'tracks aliases per scope so shadowed names are not confused',
+        run: (h) => {
+            h.rules = securityRules([
+                'const config = process;',
+                'function read(process) { return process.env; }',
+                'function local() { const config = { env: {} }; return config.env; }',
+                'function leak() { return config.env; }'
+            ].join('\n'));
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.rules, ['processEnv:4'])
+    },
+    {
+        name: 'reports local imports Node ESM cannot resolve',
+        run: async (h) => {
+            const integrationDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mercy-imports-'));
+            try {
+                await fs.mkdir(path.join(integrationDir, 'src', 'utils'), { recursive: true });
+                await fs.writeFile(path.join(integrationDir, 'src', 'integration.js'), [
+                    "import './helper.js';",
+                    "import './helper';",
+                    "import './utils';"
+                ].join('\n'));
+                await fs.writeFile(path.join(integrationDir, 'src', 'helper.js'), "export const greeting = 'hi';");
+                await fs.writeFile(path.join(integrationDir, 'src', 'utils', 'index.js'), 'export default {};');
+                h.graph = await analyzeImportGraph(integrationDir);
+            } finally {
+                await fs.rm(integrationDir, { recursive: true, force: true });
+            }
+        },
+        expect: (h, { assert }) => {
+            assert.deepEqual(h.graph.map(entry => entry.file), ['src/integration.js', 'src/helper.js']);
+            assert.deepEqual(h.graph[0].findings.map(finding => `${finding.rule}:${finding.line}`), ['unresolvedImport:2', 'unresolvedImport:3']);
+        }
+    },
+    {
+        name: 'lists findings of every category in JUnit reports',
+        run: (h) => {
+            const categories = ['structure', 'configuration', 'package', 'security', 'privacy', 'additional', 'experimental'];
+            h.results = {
+                integration: 'report-check',
+                score: 60,
+                isValid: false,
+                findings: categories.map((category, index) => ({
+                    severity: index % 2 === 0 ? 'error' : 'warning',
+                    category,
+                    ruleId: category === 'security' ? 'security/eval' : `${category}/check`,
+                    message: `${category} finding`
+                }))
+            };
+            h.junit = formatValidationReport(h.results, 'junit');
+            h.sarif = JSON.parse(formatValidationReport(h.results, 'sarif'));
+        },
+        expect: (h, { assert }) => {
+            for (const finding of h.results.findings) {
+                assert.ok(h.junit.includes(finding.message), `${finding.category} is missing from the JUnit report`);
+            }
+            assert.deepEqual([...h.junit.matchAll(/<testcase [^>]*name="([^"]+)"/g)].map(match => match[1]), [
+                'File structure', 'Configuration', 'Package', 'Security analysis', 'Privacy', 'Additional checks', 'Other checks'
+            ]);
+            assert.match(h.junit, /<testsuite name="report-check" tests="7" failures="4">/);
+            assert.equal(h.sarif.runs[0].results.length, h.results.findings.length);
+        }
+    },
+    {
+        name: 'reports host-only kit exports imported by integration code',
+        run: async (h) => {
+            // Created next to mercy.js so ../../mercy.js is the kit
+            const kitDir = fileURLToPath(new URL('..', import.meta.url));
+            const integrationDir = path.join(kitDir, `imports-check-${crypto.randomBytes(4).toString('hex')}`);
+            try {
+                await fs.mkdir(path.join(integrationDir, 'src'), { recursive: true });
+                await fs.writeFile(path.join(integrationDir, 'src', 'integration.js'), [
+                    "import { IntegrationTemplate, FileSettingsStore } from '../../mercy.js';",
+                    "import * as kit from '../../mercy.js';",
+                    "import Template from '../../mercy.js';",
+                    "export { postWebhook as notify } from '../../mercy.js';",
+                    'export default class extends IntegrationTemplate {',
+                    "    async onLoad() { await kit.postWebhook('http://127.0.0.1/', {}); return new kit.FileDataStore('/tmp'); }",
+                    "    async onUnload() { const { FileLogStore } = await import('../../mercy.js'); return [FileLogStore, Template.name]; }",
+                    '}'
+                ].join('\n'));
+                h.graph = await analyzeImportGraph(integrationDir);
+            } finally {
+                await fs.rm(integrationDir, { recursive: true, force: true });
+            }
+        },
+        expect: (h, { assert }) => {
+            assert.deepEqual(h.graph[0].findings.filter(finding => finding.rule === 'hostApi').map(finding => `${finding.line}:${finding.message.split(': ')[1]}`), [
+                '1:FileSettingsStore', '4:postWebhook', '6:postWebhook', '6:FileDataStore', '7:FileLogStore'
+            ]);
+        }
+    },
+    {
+        name: 'logs an onLoad that throws without stopping the host or other integrations',
+        run: async (h) => {
+            class Broken extends IntegrationTemplate {
+                async onLoad() {
+                    throw new Error('Missing configuration');
+                }
+            }
+            class Stubborn extends IntegrationTemplate {
+                async onUnload() {
+                    throw new Error('Cleanup failed');
+                }
+            }
+
+            const logStore = new MemoryLogStore();
+            const host = new IntegrationHost({ logStore });
+            for (const [id, IntegrationClass] of [['broken', Broken], ['stubborn', Stubborn]]) {
+                host.integrations.set(id, {
+                    manifest: { ...h.manifest, id, name: id },
+                    IntegrationClass,
+                    commandHandlers: new Map(),
+                    eventHandlers: new Map()
+                });
+            }
+
+            const rejections = [];
+            const onRejection = reason => rejections.push(reason);
+            process.on('unhandledRejection', onRejection);
+            try {
+                const client = new EventEmitter();
+                host.attach(client);
+                client.emit('guildCreate', h.guild);
+                await new Promise(resolve => setTimeout(resolve, 20));
+                h.loaded = [...host.instances.keys()];
+
+                client.emit('guildDelete', h.guild);
+                await new Promise(resolve => setTimeout(resolve, 20));
+                h.remaining = host.instances.size;
+            } finally {
+                process.off('unhandledRejection', onRejection);
+            }
+
+            h.rejections = rejections;
+            h.hookErrors = (await logStore.query({ event: 'hook_error' })).map(entry => [entry.integrationId, entry.data.hook, entry.data.error]);
+        },
+        expect: (h, { assert }) => {
+            assert.deepEqual(h.loaded, [`stubborn/${h.guild.id}`]);
+            assert.equal(h.remaining, 0);
+            assert.deepEqual(h.rejections, []);
+            assert.deepEqual(h.hookErrors, [['broken', 'onLoad', 'Missing configuration'], ['stubborn', 'onUnload', 'Cleanup failed']]);
+        }
+    },
+    {
+        name: 'terminates a sandboxed hook that runs past maxExecutionTime',
+        run: async (h) => {
+            await withSandbox(h, { spin: 'for (;;) {}' }, { maxExecutionTime: 1000 }, async (sandbox) => {
+                h.timeout = await sandbox.handleEvent('spin').catch(error => error.code);
+                h.afterwards = await sandbox.handleEvent('start').catch(error => error.code);
+            });
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.timeout, 'ERR_MERCY_EXECUTION_TIMEOUT');
+            assert.equal(h.afterwards, 'ERR_MERCY_EXECUTION_TIMEOUT');
+        }
+    },
+    {
+        name: 'terminates a sandbox that exceeds maxMemoryUsage',
+        run: async (h) => {
+            const allocate = "const chunks = []; for (;;) chunks.push(new Array(1e5).fill('x'));";
+            await withSandbox(h, { allocate }, { maxMemoryUsage: 48 * 1024 * 1024 }, async (sandbox) => {
+                h.memory = await sandbox.handleEvent('allocate').catch(error => error.code);
+            });
+        },
+        expect: (h, { assert }) => assert.equal(h.memory, 'ERR_MERCY_MEMORY_LIMIT')
+    },
+    {
+        name: 'refuses imports outside the sandbox allowlist',
+        run: async (h) => {
+            const checks = {
+                childProcess: "return (await import('child_process')).execSync('id').toString();",
+                nodeFs: "return Object.keys(await import('node:fs'));",
+                workerThreads: "return (await import('worker_threads')).workerData;",
+                crypto: "return (await import('node:crypto')).createHash('sha256').update('x').digest('hex').length;"
+            };
+            await withSandbox(h, checks, {}, async (sandbox) => {
+                h.results = {};
+                for (const check of Object.keys(checks)) {
+                    h.results[check] = await sandbox.handleEvent(check).catch(error => error.code);
+                }
+            });
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.results, {
+            childProcess: 'ERR_MERCY_SANDBOX_IMPORT',
+            nodeFs: 'ERR_MERCY_SANDBOX_IMPORT',
+            workerThreads: 'ERR_MERCY_SANDBOX_IMPORT',
+            crypto: 64
+        })
+    },
+    {
+        name: 'refuses constructor and prototype lookups on host objects',
+        run: async (h) => {
+            const checks = {
+                constructor: "return this.guild.constructor.constructor('return process')().env.HOME;",
+                proto: 'return Object.keys(this.guild.__proto__);',
+                nested: "return this.guild.addChannel('probe').constructor.constructor('return process')().env.HOME;",
+                objectMethod: "return this.guild.hasOwnProperty.call(this.guild, 'name');",
+                functionMethod: "return this.guild.addChannel.bind.constructor;",
+                allowed: "const channel = this.guild.addChannel('sandbox-log'); return [this.guild.name, channel.name, (await this.getStoredSettings()).prefix];"
+            };
+            await withSandbox(h, checks, {}, async (sandbox) => {
+                h.results = {};
+                for (const check of Object.keys(checks)) {
+                    h.results[check] = await sandbox.handleEvent(check).catch(error => error.code ?? error.message);
+                }
+            });
+        },
+        expect: (h, { assert }) => {
+            assert.deepEqual(h.results, {
+                constructor: 'ERR_MERCY_SANDBOX_ACCESS',
+                proto: 'ERR_MERCY_SANDBOX_ACCESS',
+                nested: 'ERR_MERCY_SANDBOX_ACCESS',
+                objectMethod: 'ERR_MERCY_SANDBOX_ACCESS',
+                functionMethod: 'Functions cannot be passed out of the sandbox',
+                allowed: [h.guild.name, 'sandbox-log', '?']
+            });
+        }
+    },
+    {
+        name: 'blocks process APIs that bypass the sandbox module loader',
+        run: async (h) => {
+            const checks = {
+                getBuiltinModule: "return process.getBuiltinModule('child_process').execSync('id -un').toString();",
+                binding: "return typeof process.binding('spawn_sync');",
+                dlopen: "return process.dlopen({}, '/tmp/addon.node');",
+                kill: 'return process.kill(process.pid, 0);',
+                restore: "Object.defineProperty(process, 'getBuiltinModule', { value: () => 'restored' }); return process.getBuiltinModule();",
+                env: 'return Object.keys(process.env).length;'
+            };
+            await withSandbox(h, checks, {}, async (sandbox) => {
+                h.results = {};
+                for (const check of Object.keys(checks)) {
+                    h.results[check] = await sandbox.handleEvent(check).catch(error => error.code ?? error.name);
+                }
+            });
+        },
+        expect: (h, { assert }) => assert.deepEqual(h.results, {
+            getBuiltinModule: 'ERR_MERCY_SANDBOX_API',
+            binding: 'ERR_MERCY_SANDBOX_API',
+            dlopen: 'ERR_MERCY_SANDBOX_API',
+            kill: 'ERR_MERCY_SANDBOX_API',
+            restore: 'TypeError',
+            env: 0
+        })
+    },
+    {
+        name: 'refuses to run the sandbox without module.register()',
+        run: async (h) => {
+            const attempt = (create) => {
+                try {
+                    return create().constructor.name;
+                } catch (error) {
+                    return error.code;
+                }
+            };
+            // As on a Node.js version from before module.register()
+            const { register } = Module;
+            Module.register = undefined;
+            try {
+                h.host = attempt(() => new IntegrationHost({ sandbox: true }));
+                h.sandbox = attempt(() => new SandboxedIntegration(os.tmpdir(), h.manifest));
+            } finally {
+                Module.register = register;
+            }
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.host, 'ERR_MERCY_SANDBOX_UNSUPPORTED');
+            assert.equal(h.sandbox, 'ERR_MERCY_SANDBOX_UNSUPPORTED');
+        }
+    },
+    {
+        name: 'imports a sandboxed integration only inside its worker',
+        run: async (h) => {
+            const integrationDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mercy-sandbox-'));
+            await fs.mkdir(path.join(integrationDir, 'src'));
+            await fs.writeFile(path.join(integrationDir, 'mercy-integration.json'), JSON.stringify(h.manifest));
+            await fs.writeFile(path.join(integrationDir, 'src', 'integration.js'), [
+                "globalThis.mercyTopLevel = Object.keys(process.env).length;",
+                'export default class {',
+                '    async onLoad() { return true; }',
+                '    async onUnload() { return true; }',
+                '    async handleEvent() { return globalThis.mercyTopLevel; }',
+                '}'
+            ].join('\n'));
+
+            const host = new IntegrationHost({ sandbox: true });
+            try {
+                await host.register(integrationDir);
+                h.afterRegister = globalThis.mercyTopLevel;
+                const integration = await host.load(h.manifest.id, h.guild);
+                h.inWorker = await integration.handleEvent('check');
+                h.afterLoad = globalThis.mercyTopLevel;
+            } finally {
+                await host.unload(h.manifest.id);
+                await fs.rm(integrationDir, { recursive: true, force: true });
+            }
+        },
+        expect: (h, { assert }) => {
+            assert.equal(h.afterRegister, undefined);
+            assert.equal(h.inWorker, 0);
+            assert.equal(h.afterLoad, undefined);
+        }
+    },
+    {
+        name: 'keeps host-side kit exports and network globals out of the sandbox',
+        run: async (h) => {
+            const kitUrl = pathToFileURL(path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'mercy.js')).href;
+            h.target = path.join(os.tmpdir(), `mercy-sandbox-store-${process.pid}.json`);
+            const checks = {
+                exports: `return Object.keys(await import('${kitUrl}')).sort();`,
+                template: `return typeof (await import('${kitUrl}')).IntegrationTemplate;`,
+                settingsStore: `const { FileSettingsStore } = await import('${kitUrl}'); return new FileSettingsStore(${JSON.stringify(h.target)}).set('guild', 'x', {});`,
+                kitVariant: `return Object.keys(await import('${kitUrl}?variant'));`,
+                network: "return [typeof fetch, typeof WebSocket, typeof EventSource];"
+            };
+            await withSandbox(h, checks, {}, async (sandbox) => {
+                h.results = {};
+                for (const check of Object.keys(checks)) {
+                    h.results[check] = await sandbox.handleEvent(check).catch(error => error.code ?? error.name);
+                }
+            });
+            h.written = await fs.access(h.target).then(() => true, () => false);
+        },
+        expect: (h, { assert }) => {
+            assert.deepEqual(h.results, {
+                exports: ['IntegrationTemplate', 'default'],
+                template: 'function',
+                settingsStore: 'TypeError',
+                kitVariant: 'ERR_MERCY_SANDBOX_IMPORT',
+                network: ['undefined', 'undefined', 'undefined']
+            });
+            assert.equal(h.written, false);
+        }
+    }
+];